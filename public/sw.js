@@ -0,0 +1,121 @@
+// SafeRoutes service worker: offline app shell, cached API responses and map tiles.
+// Talks to src/lib/offline.js over MessageChannel.
+
+const SHELL_CACHE = 'saferoutes-shell-v1'
+const DATA_CACHE = 'saferoutes-data-v1'
+const TILE_CACHE = 'saferoutes-tiles-v1'
+const SHELL = ['/', '/index.html', '/favicon.svg', '/manifest.webmanifest']
+const TILE_HOSTS = /(^|\.)tile\.openstreetmap\.org$/
+
+// Hashed build assets referenced by index.html (scripts, styles, preloads)
+async function shellAssets() {
+  try {
+    const html = await (await fetch('/index.html', { cache: 'no-cache' })).text()
+    return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1])
+  } catch (e) {
+    return []
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE)
+    await cache.addAll([...SHELL, ...(await shellAssets())])
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, TILE_CACHE]
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names.filter((n) => !keep.includes(n)).map((n) => caches.delete(n)))
+    await self.clients.claim()
+  })())
+})
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  const hit = await cache.match(request)
+  if (hit) return hit
+  const res = await fetch(request)
+  if (res.ok || res.type === 'opaque') cache.put(request, res.clone())
+  return res
+}
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName)
+  try {
+    const res = await fetch(request)
+    if (res.ok) cache.put(request, res.clone())
+    return res
+  } catch (e) {
+    const hit = (await cache.match(request)) || (fallbackUrl && (await cache.match(fallbackUrl)))
+    if (hit) return hit
+    throw e
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (TILE_HOSTS.test(url.hostname)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE))
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'))
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE))
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, SHELL_CACHE))
+  } else if (request.headers.get('Accept') === 'application/json' || url.pathname.endsWith('.json') || url.pathname.endsWith('.geojson')) {
+    // Backend data (networks, reports) stays usable at its last known state
+    event.respondWith(networkFirst(request, DATA_CACHE))
+  }
+})
+
+async function cacheTiles(urls, port) {
+  const cache = await caches.open(TILE_CACHE)
+  let done = 0
+  let failed = 0
+  const queue = urls.slice()
+  // A few requests at a time, to be gentle with the tile server
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift()
+      try {
+        if (!(await cache.match(url))) {
+          const res = await fetch(url, { mode: 'cors' })
+          if (!res.ok) throw new Error(res.statusText)
+          await cache.put(url, res)
+        }
+      } catch (e) {
+        failed += 1
+      }
+      done += 1
+      if (done % 10 === 0 || done === urls.length) port.postMessage({ progress: { done, failed, total: urls.length } })
+    }
+  }
+  await Promise.all([worker(), worker()])
+  port.postMessage({ done: true, cached: done - failed, failed })
+}
+
+self.addEventListener('message', (event) => {
+  const port = event.ports[0]
+  const { type } = event.data || {}
+  if (!port) return
+  const run = async () => {
+    if (type === 'cache-tiles') return cacheTiles(event.data.urls, port)
+    if (type === 'clear-tiles') {
+      await caches.delete(TILE_CACHE)
+      return port.postMessage({ done: true })
+    }
+    if (type === 'tile-count') {
+      const keys = await (await caches.open(TILE_CACHE)).keys()
+      return port.postMessage({ done: true, count: keys.length })
+    }
+    return port.postMessage({ error: `Unknown request ${type}` })
+  }
+  event.waitUntil(run().catch((e) => port.postMessage({ error: e.message })))
+})
@@ -0,0 +1,90 @@
+// Offline stand-in for the conditions backend.
+// Serves the recorded fixture at GET /conditions (one batch per request), as a
+// server-sent event stream at GET /conditions/stream and over a WebSocket at /conditions/ws.
+//   npm run mock:conditions   (PORT defaults to 8000, matching VITE_BACKEND_URL's default)
+import http from 'node:http'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+
+const records = JSON.parse(readFileSync(new URL('../src/data/conditionsReplay.json', import.meta.url), 'utf8'))
+const port = Number(process.env.PORT) || 8000
+const intervalMs = Number(process.env.INTERVAL_MS) || 6000
+
+let cursor = 0
+const nextBatch = () => {
+  const rec = records[cursor % records.length]
+  cursor += 1
+  return { timestamp: new Date().toISOString(), updates: rec.updates }
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  if (req.url === '/conditions') {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(nextBatch()))
+    return
+  }
+  if (req.url === '/conditions/stream') {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+    const send = () => res.write(`data: ${JSON.stringify(nextBatch())}\n\n`)
+    send()
+    const iv = setInterval(send, intervalMs)
+    req.on('close', () => clearInterval(iv))
+    return
+  }
+  if (req.url === '/') {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ message: 'Mock conditions server' }))
+    return
+  }
+  res.writeHead(404)
+  res.end()
+})
+
+// Just enough of RFC 6455 to push text frames; what the client sends is only watched for close
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+const textFrame = (text) => {
+  const payload = Buffer.from(text)
+  const len = payload.length
+  let header
+  if (len < 126) {
+    header = Buffer.from([0x81, len])
+  } else if (len < 65536) {
+    header = Buffer.from([0x81, 126, 0, 0])
+    header.writeUInt16BE(len, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x81
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(len), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key']
+  if (req.url !== '/conditions/ws' || !key) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n')
+    return
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64')
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'))
+  const send = () => socket.write(textFrame(JSON.stringify(nextBatch())))
+  send()
+  const iv = setInterval(send, intervalMs)
+  socket.on('data', (buf) => {
+    // Opcode 0x8: the client is closing; answer with a close frame of our own
+    if ((buf[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]))
+  })
+  socket.on('close', () => clearInterval(iv))
+  socket.on('error', () => socket.destroy())
+})
+
+server.listen(port, () => console.log(`Mock conditions server on http://localhost:${port}`))
@@ -0,0 +1,65 @@
+// Local stand-in for the trip-sharing backend (see src/lib/tripShare.js).
+// POST /trips creates a shared trip, PUT /trips/:id updates it, GET /trips/:id returns
+// the latest payload and GET /trips lists them all. Updates are logged to the console.
+//   npm run mock:share   (PORT defaults to 8001; point VITE_SHARE_URL or the share
+//   panel at http://localhost:8001/trips)
+import http from 'node:http'
+
+const port = Number(process.env.PORT) || 8001
+const trips = new Map()
+let nextId = 1
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = ''
+  req.on('data', (chunk) => { data += chunk })
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(data || '{}'))
+    } catch (e) {
+      reject(e)
+    }
+  })
+})
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204)
+    res.end()
+    return
+  }
+  const [, base, id] = req.url.split('?')[0].split('/')
+  if (base !== 'trips') return json(res, 404, { error: 'Not found' })
+
+  try {
+    if (req.method === 'POST' && !id) {
+      const trip = { id: String(nextId++), ...(await readBody(req)) }
+      trips.set(trip.id, trip)
+      console.log(`trip ${trip.id} shared: ${trip.status}, eta ${trip.eta}`)
+      return json(res, 201, { id: trip.id, url: `http://localhost:${port}/trips/${trip.id}` })
+    }
+    if (req.method === 'PUT' && id) {
+      if (!trips.has(id)) return json(res, 404, { error: 'Unknown trip' })
+      const trip = { id, ...(await readBody(req)) }
+      trips.set(id, trip)
+      console.log(`trip ${id}: ${trip.status} at ${trip.position ? trip.position.join(',') : 'unknown position'}`)
+      return json(res, 200, { id })
+    }
+    if (req.method === 'GET') {
+      if (!id) return json(res, 200, [...trips.values()])
+      return trips.has(id) ? json(res, 200, trips.get(id)) : json(res, 404, { error: 'Unknown trip' })
+    }
+  } catch (e) {
+    return json(res, 400, { error: e.message })
+  }
+  return json(res, 405, { error: 'Method not allowed' })
+})
+
+server.listen(port, () => console.log(`Mock share server on http://localhost:${port}/trips`))
@@ -2,6 +2,7 @@ import React from 'react'
 import Layout from './components/Layout'
 import Hero from './components/Hero'
 import MapView from './components/MapView'
+import TripJournal from './components/TripJournal'
 
 function App() {
   return (
@@ -15,6 +16,9 @@ function App() {
             </div>
           </div>
         </section>
+        <section id="journal" className="mt-6 bg-white rounded-2xl shadow-xl ring-1 ring-black/5 p-4 md:p-6">
+          <TripJournal />
+        </section>
       </main>
     </Layout>
   )
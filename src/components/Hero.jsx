@@ -1,16 +1,69 @@
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import Spline from '@splinetool/react-spline'
 
+const SCENE = 'https://prod.spline.design/g5OaHmrKTDxRI7Ig/scene.splinecode'
+
+// Static stand-in for the 3D scene: offline, while it loads, or when it fails
+function HeroBackdrop() {
+  return (
+    <div className="absolute inset-0 bg-gradient-to-br from-slate-900 via-slate-800 to-emerald-900">
+      <svg className="absolute inset-0 w-full h-full opacity-30" viewBox="0 0 400 200" preserveAspectRatio="xMidYMid slice" aria-hidden="true">
+        <path d="M-10 150 C 80 120, 120 170, 200 130 S 330 60, 410 90" fill="none" stroke="#34d399" strokeWidth="3" strokeDasharray="8 6" />
+        <path d="M-10 60 C 90 80, 160 30, 240 70 S 360 140, 410 120" fill="none" stroke="#94a3b8" strokeWidth="2" />
+        <path d="M120 -10 L 150 210 M 290 -10 L 260 210" stroke="#64748b" strokeWidth="1.5" />
+        <circle cx="200" cy="130" r="5" fill="#34d399" />
+        <circle cx="330" cy="75" r="5" fill="#f59e0b" />
+      </svg>
+    </div>
+  )
+}
+
+// The Spline runtime throws its load errors during render
+class SceneBoundary extends React.Component {
+  constructor(props) {
+    super(props)
+    this.state = { failed: false }
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true }
+  }
+
+  render() {
+    return this.state.failed ? <HeroBackdrop /> : this.props.children
+  }
+}
+
 export default function Hero() {
+  const [online, setOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine)
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
   return (
     <section className="relative w-full h-[48vh] md:h-[58vh] lg:h-[64vh] overflow-hidden">
-      <Spline scene="https://prod.spline.design/g5OaHmrKTDxRI7Ig/scene.splinecode" style={{ width: '100%', height: '100%' }} />
+      {online ? (
+        <SceneBoundary>
+          <Spline scene={SCENE} style={{ width: '100%', height: '100%' }}>
+            <HeroBackdrop />
+          </Spline>
+        </SceneBoundary>
+      ) : (
+        <HeroBackdrop />
+      )}
       {/* Dark gradient overlay for readability - pointer events disabled so 3D stays interactive */}
       <div className="pointer-events-none absolute inset-0 bg-gradient-to-t from-slate-950/70 via-slate-900/20 to-transparent" />
       <div className="pointer-events-none absolute inset-0 flex items-end pb-8 md:pb-10 lg:pb-12">
         <div className="max-w-6xl mx-auto px-4 w-full">
           <h1 className="text-3xl md:text-5xl font-extrabold tracking-tight text-white drop-shadow-sm">SafeRoutes</h1>
           <p className="mt-2 md:mt-3 text-slate-200 max-w-xl">A safety-first navigation prototype that balances speed, visibility, and comfort. Mocked data. Realistic roads. No tracking.</p>
+          {!online && <p className="mt-1 text-xs text-amber-300">Offline — maps and routing use cached data.</p>}
         </div>
       </div>
     </section>
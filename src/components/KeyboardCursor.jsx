@@ -0,0 +1,86 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { useMap } from 'react-leaflet'
+import { routeOptions } from '../lib/profiles'
+
+// Keyboard picking: the map centre is the cursor. Arrow keys pan (Leaflet's own handler),
+// S / E / A set start, end or a stop there, Enter applies the current pick mode,
+// [ and ] cycle route profiles and J jumps to the directions.
+export const MAP_KEYS_HELP = 'Arrow keys move the crosshair. S sets start, E sets end, A adds a stop, Enter uses the selected pick mode. [ and ] change route profile, J jumps to directions.'
+
+export default function KeyboardCursor({ onPick, onCycleProfile, onJournal }) {
+  const map = useMap()
+  const [focused, setFocused] = useState(false)
+  useEffect(() => {
+    const el = map.getContainer()
+    el.setAttribute('role', 'application')
+    el.setAttribute('aria-roledescription', 'map')
+    el.setAttribute('aria-label', `Route map. ${MAP_KEYS_HELP}`)
+    const onFocus = () => setFocused(true)
+    const onBlur = () => setFocused(false)
+    const onKey = (e) => {
+      if (e.target !== el || e.ctrlKey || e.metaKey || e.altKey) return
+      const c = map.getCenter()
+      const point = [c.lat, c.lng]
+      const picks = { s: 'start', e: 'end', a: 'stop' }
+      const key = e.key.toLowerCase()
+      if (picks[key]) onPick(picks[key], point)
+      else if (e.key === 'Enter' || e.key === ' ') onPick(null, point)
+      else if (e.key === ']' || e.key === '[') onCycleProfile(e.key === ']' ? 1 : -1)
+      else if (key === 'j') onJournal()
+      else return
+      e.preventDefault()
+    }
+    el.addEventListener('focus', onFocus)
+    el.addEventListener('blur', onBlur)
+    el.addEventListener('keydown', onKey)
+    return () => {
+      el.removeEventListener('focus', onFocus)
+      el.removeEventListener('blur', onBlur)
+      el.removeEventListener('keydown', onKey)
+    }
+  }, [map, onPick, onCycleProfile, onJournal])
+  if (!focused) return null
+  return (
+    <div aria-hidden="true" className="pointer-events-none absolute left-1/2 top-1/2 z-[650] -translate-x-1/2 -translate-y-1/2">
+      <svg width="36" height="36" viewBox="0 0 36 36">
+        <circle cx="18" cy="18" r="9" fill="none" stroke="#0f172a" strokeWidth="2" />
+        <path d="M18 2v10M18 24v10M2 18h10M24 18h10" stroke="#0f172a" strokeWidth="2" />
+        <circle cx="18" cy="18" r="2" fill="#dc2626" />
+      </svg>
+    </div>
+  )
+}
+
+// What the keys do. pick(mode, latlng) places a point, a null mode meaning "use the
+// selected pick mode", through onPick(mode, latlng); it is confirmed by name once
+// `placeNames` has caught up. cycleProfile(dir) returns the newly selected profile key.
+export function useKeyboardPicking({ selectionMode, profileKey, placeNames, onPick, onProfile, announce }) {
+  const pickedRef = useRef(null)
+  const pick = useCallback((pickMode, latlng) => {
+    const mode = pickMode || selectionMode
+    if (mode === 'none') {
+      announce('Choose start or end first, or press S or E.')
+      return
+    }
+    pickedRef.current = mode
+    onPick(mode, latlng)
+  }, [selectionMode, onPick, announce])
+
+  useEffect(() => {
+    const picked = pickedRef.current
+    pickedRef.current = null
+    const { start, end, stops } = placeNames
+    if (picked === 'start') announce(`Start set: ${start || 'dropped pin'}`)
+    if (picked === 'end') announce(`Destination set: ${end || 'dropped pin'}`)
+    if (picked === 'stop') announce(`Stop ${stops.length} added: ${stops[stops.length - 1] || 'dropped pin'}`)
+  }, [placeNames, announce])
+
+  const cycleProfile = useCallback((dir) => {
+    const i = routeOptions.findIndex((o) => o.key === profileKey)
+    const next = routeOptions[(i + dir + routeOptions.length) % routeOptions.length].key
+    onProfile(next)
+    return next
+  }, [profileKey, onProfile])
+
+  return { pick, cycleProfile }
+}
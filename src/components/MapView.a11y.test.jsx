@@ -0,0 +1,125 @@
+// @vitest-environment jsdom
+import React from 'react'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, within, cleanup, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter } from 'react-router-dom'
+import axe from 'axe-core'
+import MapView from './MapView'
+
+// Leaflet only draws vector layers when the browser reports SVG support, which jsdom lacks
+vi.hoisted(() => {
+  window.SVGSVGElement.prototype.createSVGRect = () => ({})
+})
+
+afterEach(cleanup)
+
+const renderMap = () => render(<MemoryRouter><MapView /></MemoryRouter>)
+
+// jsdom does no layout, so contrast can't be measured here
+async function expectNoViolations(node) {
+  const { violations } = await axe.run(node, { rules: { 'color-contrast': { enabled: false } } })
+  expect(violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target.join(' ')).join(', ')}`)).toEqual([])
+}
+
+const planner = () => screen.getByText('Pick locations').parentElement
+const profiles = () => screen.getByRole('radiogroup', { name: 'Route profile' })
+const steps = () => screen.getByRole('list', { name: 'Turn-by-turn directions' })
+
+describe('planner', () => {
+  it('has no axe violations', async () => {
+    renderMap()
+    await expectNoViolations(planner())
+  })
+
+  it('sets the start from the search box with the keyboard alone', async () => {
+    const user = userEvent.setup()
+    renderMap()
+    const startCoords = () => within(planner()).getByText(/^Start:/).nextElementSibling.textContent
+    const before = startCoords()
+    await user.click(within(planner()).getByRole('combobox', { name: 'Search start' }))
+    await user.keyboard('Elm')
+    const box = within(planner()).getByRole('combobox', { name: 'Search start' })
+    await waitFor(() => expect(box.getAttribute('aria-expanded')).toBe('true'))
+    const first = screen.getAllByRole('option')[0]
+    expect(box.getAttribute('aria-activedescendant')).toBe(first.id)
+    const label = first.querySelector('.truncate').textContent
+    await user.keyboard('{Enter}')
+    expect(box.getAttribute('aria-expanded')).toBe('false')
+    expect(box.value).toBe(label)
+    expect(startCoords()).not.toBe(before)
+  })
+})
+
+describe('route profile picker', () => {
+  it('has no axe violations', async () => {
+    renderMap()
+    await expectNoViolations(profiles())
+  })
+
+  it('is a single tab stop that moves with the arrow keys', async () => {
+    const user = userEvent.setup()
+    renderMap()
+    const radios = within(profiles()).getAllByRole('radio')
+    const checked = () => radios.filter((r) => r.getAttribute('aria-checked') === 'true')
+    expect(radios.filter((r) => r.tabIndex === 0)).toEqual(checked())
+
+    const start = radios.indexOf(checked()[0])
+    checked()[0].focus()
+    await user.keyboard('{ArrowRight}')
+    const next = radios[(start + 1) % radios.length]
+    expect(document.activeElement).toBe(next)
+    expect(next.getAttribute('aria-checked')).toBe('true')
+    expect(radios.filter((r) => r.tabIndex === 0)).toEqual([next])
+
+    await user.keyboard('{ArrowLeft}{ArrowLeft}')
+    expect(document.activeElement).toBe(radios[(start - 1 + radios.length) % radios.length])
+  })
+
+  it('tabs from the checked profile straight to Compare all', async () => {
+    const user = userEvent.setup()
+    renderMap()
+    within(profiles()).getAllByRole('radio').find((r) => r.tabIndex === 0).focus()
+    await user.tab()
+    expect(document.activeElement).toBe(screen.getByRole('button', { name: 'Compare all' }))
+  })
+})
+
+describe('step list', () => {
+  it('has no axe violations', async () => {
+    renderMap()
+    expect(steps().children.length).toBeGreaterThan(1)
+    await expectNoViolations(steps())
+  })
+
+  it('is reached from the map with J and walked with the arrow keys', async () => {
+    const user = userEvent.setup()
+    renderMap()
+    const map = screen.getByRole('application')
+    map.focus()
+    await user.keyboard('j')
+    const items = [...steps().children]
+    expect(document.activeElement).toBe(items[0])
+    expect(items[0].getAttribute('aria-current')).toBe('step')
+
+    await user.keyboard('{ArrowDown}j')
+    expect(document.activeElement).toBe(items[2])
+    expect(items[2].getAttribute('aria-current')).toBe('step')
+    expect(items[0].hasAttribute('aria-current')).toBe(false)
+
+    await user.keyboard('{ArrowUp}')
+    expect(document.activeElement).toBe(items[1])
+  })
+
+  it('stops at the ends of the list', async () => {
+    const user = userEvent.setup()
+    renderMap()
+    const items = [...steps().children]
+    items[0].focus()
+    await user.keyboard('{ArrowUp}')
+    expect(document.activeElement).toBe(items[0])
+    items[items.length - 1].focus()
+    await user.keyboard('{ArrowDown}')
+    expect(document.activeElement).toBe(items[items.length - 1])
+  })
+})
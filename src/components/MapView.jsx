@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import React, { useCallback, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react'
 import {
   MapContainer,
   TileLayer,
@@ -10,7 +10,56 @@ import {
   useMapEvents,
 } from 'react-leaflet'
 import L from 'leaflet'
+import { useSearchParams } from 'react-router-dom'
 import 'leaflet/dist/leaflet.css'
+import PlaceSearch from './PlaceSearch'
+import ScoreBreakdown from './ScoreBreakdown'
+import OfflinePanel from './OfflinePanel'
+import SosPanel, { TripSafety, useCheckIn, useTripShare } from './SafetyTools'
+import PoiLayer, { PoiFilters, DEFAULT_POI_FILTERS, visiblePois } from './PoiLayer'
+import SafetyOverlay, { MapLegend, DEFAULT_OVERLAY } from './SafetyOverlay'
+import ZoneLayer, { ZonePanel } from './ZoneEditor'
+import KeyboardCursor, { useKeyboardPicking } from './KeyboardCursor'
+import NavigationControls, { useNavigation } from './Navigation'
+import { buildPath, pathDistance, cumulativeDistances, elevationStats, effortDistance } from '../lib/geo'
+import { accessWarnings, hasAccessData } from '../lib/accessibility'
+import { buildGraph, snapToGraph } from '../lib/graph'
+import { planStops, optimizeStopOrder, stopLegCost } from '../lib/router'
+import { routeOptions, edgeCostFor, edgeTimeFor } from '../lib/profiles'
+import { travelModes, modeOf, modeSpeed, profileForMode, WALK_SPEED } from '../lib/travelModes'
+import { loadGtfsFiles } from '../lib/gtfs'
+import { planTransitStops } from '../lib/transit'
+import { importNetwork } from '../lib/networkImport'
+import { buildInstructions, upcomingInstruction } from '../lib/maneuvers'
+import { parseTrack, trackToSegments } from '../lib/tracking'
+import { exportFormats } from '../lib/routeExport'
+import { compareRoutes } from '../lib/compare'
+import { OSM_TILES } from '../lib/offline'
+import { scoreRoute, explainScore, exposureOf } from '../lib/scoring'
+import { decideSuggestion, dismissSuggestion, DEFAULT_SUGGESTION_SETTINGS } from '../lib/suggestions'
+import { downloadFile } from '../lib/download'
+import { parseRouteParams, serializeRouteParams, routeIdentity } from '../lib/deepLink'
+import { tripStore } from '../lib/tripJournal'
+import { defaultGeocoder } from '../lib/geocoder'
+import { nearestSafeSegments, nearestHavens } from '../lib/emergency'
+import { parsePois, havensBySegment, havenRelief } from '../lib/pois'
+import { routeSafetyColor, overlayMetric, networkValues, heatSamples, heatGrid } from '../lib/overlay'
+import { zoneStore, zonesBySegment, activeZones, withUserZones } from '../lib/zones'
+import { reportStore, reportCategories, reportPenalty, reportsAhead, categoryOf } from '../lib/reports'
+import {
+  createGuidance,
+  speechSynthesisBackend,
+  stagedPrompt,
+  guidanceStages,
+  voiceModes,
+  languages,
+  DEFAULT_VOICE_SETTINGS,
+} from '../lib/voiceGuidance'
+import { createProvider, applyBatch, normalizeBatch, providerKinds, DEFAULT_CONDITION } from '../lib/conditions'
+import { createBaselineModel, observationsFromBatch, lightingPenalty, darknessAt } from '../lib/prediction'
+import { roadNetwork } from '../data/roadNetwork'
+import defaultPois from '../data/pois.json'
+import conditionsReplay from '../data/conditionsReplay.json'
 
 // Fix default marker icons for Leaflet in Vite
 import iconUrl from 'leaflet/dist/images/marker-icon.png'
@@ -29,163 +78,6 @@ const DefaultIcon = L.icon({
 })
 L.Marker.prototype.options.icon = DefaultIcon
 
-// Mocked road network with realistic curved segments (polyline chunks per street)
-// Each segment contains: coordinates, street name, speed (km/h), safety score 0-100
-const roadNetwork = {
-  streets: [
-    {
-      id: 'A',
-      name: 'Aurora Ave',
-      segments: [
-        {
-          id: 'A1',
-          coords: [
-            [37.776, -122.424],
-            [37.7765, -122.421],
-            [37.7768, -122.4185],
-            [37.7772, -122.416],
-          ],
-          speed: 40,
-          safety: 62,
-          signals: [[37.7765, -122.421], [37.7772, -122.416]],
-          lanes: 2,
-        },
-        {
-          id: 'A2',
-          coords: [
-            [37.7772, -122.416],
-            [37.7783, -122.4135],
-            [37.779, -122.4115],
-          ],
-          speed: 40,
-          safety: 55,
-          signals: [[37.7783, -122.4135]],
-          lanes: 2,
-        },
-      ],
-    },
-    {
-      id: 'B',
-      name: 'Beacon St',
-      segments: [
-        {
-          id: 'B1',
-          coords: [
-            [37.7745, -122.419],
-            [37.7752, -122.417],
-            [37.776, -122.4145],
-          ],
-          speed: 30,
-          safety: 80,
-          signals: [[37.7752, -122.417]],
-          lanes: 1,
-        },
-        {
-          id: 'B2',
-          coords: [
-            [37.776, -122.4145],
-            [37.777, -122.412],
-            [37.7778, -122.41],
-          ],
-          speed: 30,
-          safety: 78,
-          signals: [[37.777, -122.412]],
-          lanes: 1,
-        },
-      ],
-    },
-    {
-      id: 'C',
-      name: 'Cobalt Blvd',
-      segments: [
-        {
-          id: 'C1',
-          coords: [
-            [37.7735, -122.4235],
-            [37.773, -122.421],
-            [37.7725, -122.418],
-          ],
-          speed: 50,
-          safety: 45,
-          signals: [[37.773, -122.421]],
-          lanes: 3,
-        },
-        {
-          id: 'C2',
-          coords: [
-            [37.7725, -122.418],
-            [37.772, -122.4155],
-            [37.7715, -122.413],
-          ],
-          speed: 50,
-          safety: 42,
-          signals: [[37.772, -122.4155]],
-          lanes: 3,
-        },
-      ],
-    },
-  ],
-  intersections: [
-    { id: 'I1', coord: [37.7765, -122.421] },
-    { id: 'I2', coord: [37.7772, -122.416] },
-    { id: 'I3', coord: [37.7752, -122.417] },
-    { id: 'I4', coord: [37.776, -122.4145] },
-    { id: 'I5', coord: [37.773, -122.421] },
-    { id: 'I6', coord: [37.772, -122.4155] },
-  ],
-}
-
-const routeOptions = [
-  { key: 'fastest', label: 'Fastest', color: '#0ea5e9' },
-  { key: 'safest', label: 'Safest', color: '#10b981' },
-  { key: 'balanced', label: 'Balanced', color: '#f59e0b' },
-  { key: 'night', label: 'Night-Safe', color: '#6366f1' },
-  { key: 'female', label: 'Female-Friendly', color: '#ec4899' },
-]
-
-// Helper: compute haversine distance in meters
-function haversineDistance(a, b) {
-  const R = 6371e3
-  const [lat1, lon1] = a
-  const [lat2, lon2] = b
-  const toRad = (deg) => (deg * Math.PI) / 180
-  const dLat = toRad(lat2 - lat1)
-  const dLon = toRad(lon2 - lon1)
-  const la1 = toRad(lat1)
-  const la2 = toRad(lat2)
-  const sinDLat = Math.sin(dLat / 2)
-  const sinDLon = Math.sin(dLon / 2)
-  const h =
-    sinDLat * sinDLat + Math.cos(la1) * Math.cos(la2) * sinDLon * sinDLon
-  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h))
-  return R * c
-}
-
-function buildPath(segments) {
-  const path = []
-  segments.forEach((seg, idx) => {
-    seg.coords.forEach((pt, i) => {
-      if (idx > 0 && i === 0) return
-      path.push(pt)
-    })
-  })
-  return path
-}
-
-function pathDistance(path) {
-  let total = 0
-  for (let i = 0; i < path.length - 1; i++) total += haversineDistance(path[i], path[i + 1])
-  return total
-}
-
-function routeSafetyColor(score) {
-  if (score >= 80) return '#10b981'
-  if (score >= 60) return '#84cc16'
-  if (score >= 40) return '#f59e0b'
-  if (score >= 20) return '#f97316'
-  return '#ef4444'
-}
-
 function TrafficSignalsLayer({ intersections }) {
   return intersections.map((ix) => (
     <CircleMarker
@@ -204,15 +96,104 @@ function TrafficSignalsLayer({ intersections }) {
   ))
 }
 
-function FitBounds({ path, extraPoints = [] }) {
+// Raster tiles read straight from a local PMTiles archive
+function PMTilesLayer({ archive }) {
   const map = useMap()
   useEffect(() => {
-    const pts = [...(path || []), ...extraPoints]
-    if (pts && pts.length > 0) {
-      const bounds = L.latLngBounds(pts)
-      map.fitBounds(bounds, { padding: [40, 40] })
-    }
-  }, [path, extraPoints, map])
+    const { header, getTile } = archive
+    const Layer = L.GridLayer.extend({
+      createTile(coords, done) {
+        const img = document.createElement('img')
+        img.alt = ''
+        getTile(coords.z, coords.x, coords.y)
+          .then((buf) => {
+            if (!buf) return done(null, img)
+            const url = URL.createObjectURL(new Blob([buf], { type: header.mime }))
+            img.onload = () => {
+              URL.revokeObjectURL(url)
+              done(null, img)
+            }
+            img.onerror = () => done(new Error('Bad tile image'), img)
+            img.src = url
+            return undefined
+          })
+          .catch((err) => done(err, img))
+        return img
+      },
+    })
+    const layer = new Layer({ minZoom: 0, maxNativeZoom: header.maxZoom, maxZoom: 19, attribution: 'Local tiles' })
+    layer.addTo(map)
+    return () => layer.remove()
+  }, [map, archive])
+  return null
+}
+
+function BaseTiles({ source }) {
+  if (source.kind === 'pmtiles') return <PMTilesLayer archive={source.archive} />
+  if (source.kind === 'url') return <TileLayer key={source.template} url={source.template} attribution="Local tiles" />
+  return <TileLayer url={OSM_TILES} attribution="&copy; OpenStreetMap contributors" />
+}
+
+// Numbered marker for an intermediate stop
+const stopIcon = (n) => L.divIcon({
+  html: `<div style="transform: translate(-50%, -50%); width:22px; height:22px; border-radius:9999px; background:#7c3aed; color:#fff; font-size:12px; font-weight:600; display:flex; align-items:center; justify-content:center; border:2px solid #fff">${n}</div>`,
+  className: 'stop-marker',
+})
+
+function SafetyReportsLayer({ reports, now, onRemove }) {
+  return reports.filter((r) => r.expiresAt > now).map((r) => {
+    const cat = categoryOf(r.category)
+    return (
+      <CircleMarker
+        key={r.id}
+        center={r.coord}
+        radius={4 + r.severity * 2}
+        pathOptions={{ color: cat.color, fillColor: cat.color, fillOpacity: 0.6, dashArray: r.synced ? undefined : '3 3' }}
+      >
+        <Popup>
+          <div className="text-sm">
+            <div className="font-semibold">{cat.label}</div>
+            <div>Severity {r.severity} / 3</div>
+            <div className="text-xs text-slate-500">Expires {new Date(r.expiresAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</div>
+            {!r.synced && <div className="text-xs text-amber-600">Waiting to sync</div>}
+            <button className="mt-1 text-xs underline text-slate-500" onClick={() => onRemove(r.id)}>Remove</button>
+          </div>
+        </Popup>
+      </CircleMarker>
+    )
+  })
+}
+
+function ReportForm({ draft, onChange, onSubmit, onCancel }) {
+  return (
+    <div className="bg-white/95 border border-slate-200 rounded-lg shadow p-3 text-sm">
+      <div className="font-semibold">Report a hazard</div>
+      <div className="text-xs text-slate-500 mb-2">{draft.street ? `On ${draft.street}` : 'Not near a mapped street'}</div>
+      <select aria-label="Hazard category" value={draft.category} onChange={(e) => onChange({ ...draft, category: e.target.value, hours: categoryOf(e.target.value).defaultHours })} className="w-full border rounded px-2 py-1 bg-white text-xs">
+        {reportCategories.map((c) => <option key={c.key} value={c.key}>{c.label}</option>)}
+      </select>
+      <label className="block text-xs text-slate-500 mt-2">Severity: {draft.severity}</label>
+      <input aria-label="Severity" type="range" min="1" max="3" step="1" value={draft.severity} onChange={(e) => onChange({ ...draft, severity: parseInt(e.target.value) })} className="w-full" />
+      <label className="block text-xs text-slate-500 mt-1">Expires in (hours)</label>
+      <input aria-label="Expires in hours" type="number" min="1" max="720" value={draft.hours} onChange={(e) => onChange({ ...draft, hours: Math.max(1, parseInt(e.target.value) || 1) })} className="w-full border rounded px-2 py-1 text-xs" />
+      <div className="flex gap-2 mt-3">
+        <button disabled={!draft.segmentId} onClick={onSubmit} className="px-3 py-1.5 rounded-md bg-slate-900 text-white text-sm disabled:opacity-50">Submit</button>
+        <button onClick={onCancel} className="px-3 py-1.5 rounded-md bg-slate-100 text-slate-700 text-sm border">Cancel</button>
+      </div>
+    </div>
+  )
+}
+
+// Refits only when fitKey changes (other stops or another way through the network), not
+// on every conditions tick, so the keyboard crosshair and a selected step stay in view
+function FitBounds({ path, extraPoints = [], fitKey }) {
+  const map = useMap()
+  const pointsRef = useRef([])
+  pointsRef.current = [...(path || []), ...extraPoints]
+  useEffect(() => {
+    const pts = pointsRef.current
+    if (pts.length > 0) map.fitBounds(L.latLngBounds(pts), { padding: [40, 40] })
+  }, [fitKey, map])
   return null
 }
 
@@ -238,29 +219,287 @@ function LaneGuidance({ path }) {
   return null
 }
 
-function RouteJournal({ steps, total, etaMin, profile, safetyAvg }) {
+// Re-plans an "arrive by" trip may take before settling on a departure time
+const ARRIVE_BY_PASSES = 4
+
+const clockTime = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+// Value for <input type="datetime-local"> in local time
+function toLocalInput(ts) {
+  const d = new Date(ts)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`
+}
+
+function DepartureTimePicker({ timing, onChange }) {
+  return (
+    <div className="flex items-center gap-2 mb-3 text-sm">
+      <select
+        aria-label="Departure or arrival"
+        value={timing.mode}
+        onChange={(e) => onChange({ ...timing, mode: e.target.value, time: timing.mode === 'now' ? Date.now() : timing.time })}
+        className="border rounded px-2 py-1 bg-white"
+      >
+        <option value="now">Leave now</option>
+        <option value="depart">Leave at</option>
+        <option value="arrive">Arrive by</option>
+      </select>
+      {timing.mode !== 'now' && (
+        <input
+          aria-label={timing.mode === 'depart' ? 'Departure time' : 'Arrival time'}
+          type="datetime-local"
+          value={toLocalInput(timing.time)}
+          onChange={(e) => {
+            const t = new Date(e.target.value).getTime()
+            if (Number.isFinite(t)) onChange({ ...timing, time: t })
+          }}
+          className="border rounded px-2 py-1 bg-white flex-1 min-w-0"
+        />
+      )}
+    </div>
+  )
+}
+
+function RouteTools({ onSave, onExport, onAuditFile, audit, auditRoute, onClearAudit }) {
+  return (
+    <div className="mb-3 text-xs text-slate-600">
+      <div className="flex items-center gap-2 flex-wrap">
+        <button className="px-2 py-1 rounded border bg-slate-900 text-white" onClick={onSave}>Save trip</button>
+        <span className="text-slate-500">Export</span>
+        {exportFormats.map((f) => (
+          <button key={f.key} className="px-2 py-1 rounded border bg-white" onClick={() => onExport(f)}>{f.label}</button>
+        ))}
+        <label className="px-2 py-1 rounded border bg-white cursor-pointer ml-auto">
+          Audit track…
+          <input
+            type="file"
+            accept=".gpx,.json,.geojson"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files && e.target.files[0]
+              if (file) onAuditFile(file)
+              e.target.value = ''
+            }}
+          />
+        </label>
+      </div>
+      {audit && (
+        <div className="mt-2 p-2 rounded-md border border-slate-200 bg-white">
+          <div className="flex items-center justify-between">
+            <div className="font-medium text-slate-700 truncate">{audit.name}</div>
+            <button className="text-slate-400 hover:text-slate-700" onClick={onClearAudit}>Clear</button>
+          </div>
+          {audit.error ? (
+            <div className="text-red-600">{audit.error}</div>
+          ) : auditRoute && (
+            <div>
+              {(auditRoute.total / 1000).toFixed(2)} km • {Math.round(auditRoute.etaMin)} min • avg safety {Math.round(auditRoute.avgSafety)} / 100
+              {audit.unmatched > 0 && (
+                <div className="text-amber-600">{audit.unmatched} of {audit.points} points off the mapped network</div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Stops between start and destination with per-leg totals. Stops are reordered by drag and drop.
+function StopList({ legs, names, onReorder, onRemove, onOptimize }) {
+  const [dragging, setDragging] = useState(null)
+  const fmtLeg = (leg) => (leg.avgSafety === undefined
+    ? 'same place'
+    : `${(leg.distance / 1000).toFixed(2)} km • ${Math.round(leg.etaMin)} min • safety ${Math.round(leg.avgSafety)}`)
+  return (
+    <div className="p-3 rounded-md bg-white/80 border border-slate-200 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="font-medium">Stops</div>
+        <button className="text-xs px-2 py-1 rounded border" onClick={onOptimize} disabled={names.length < 2}>Optimize order</button>
+      </div>
+      <ol className="mt-2 space-y-1">
+        {names.map((name, i) => (
+          <li
+            key={i}
+            draggable
+            onDragStart={() => setDragging(i)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => {
+              if (dragging !== null && dragging !== i) onReorder(dragging, i)
+              setDragging(null)
+            }}
+            className={`flex items-center justify-between gap-2 px-2 py-1 rounded border cursor-move ${dragging === i ? 'opacity-50' : 'bg-white'}`}
+          >
+            <div>
+              <div className="text-xs text-slate-500">Leg {i + 1}: {legs[i] ? fmtLeg(legs[i]) : '—'}</div>
+              <div><span className="text-violet-700 font-semibold">{i + 1}.</span> {name || 'Dropped pin'}</div>
+            </div>
+            <div className="flex items-center gap-1">
+              <button aria-label={`Move stop ${i + 1} up`} className="text-xs px-1 rounded border" disabled={i === 0} onClick={() => onReorder(i, i - 1)}>↑</button>
+              <button aria-label={`Move stop ${i + 1} down`} className="text-xs px-1 rounded border" disabled={i === names.length - 1} onClick={() => onReorder(i, i + 1)}>↓</button>
+              <button aria-label={`Remove stop ${i + 1}`} className="text-xs px-1 rounded border text-red-600" onClick={() => onRemove(i)}>×</button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <div className="mt-1 text-xs text-slate-500">Last leg to destination: {legs[names.length] ? fmtLeg(legs[names.length]) : '—'}</div>
+    </div>
+  )
+}
+
+// Thresholds for "better route" prompts, and whether to switch without asking
+function SuggestionSettings({ settings, onChange }) {
+  const num = (key, label, max) => (
+    <label className="flex items-center justify-between gap-2">
+      <span>{label}</span>
+      <input
+        type="number"
+        min="0"
+        max={max}
+        value={settings[key]}
+        onChange={(e) => onChange({ ...settings, [key]: Math.max(0, Number(e.target.value) || 0) })}
+        className="w-14 border rounded px-1 py-0.5 text-right"
+      />
+    </label>
+  )
+  return (
+    <details className="mt-2 text-xs text-slate-600">
+      <summary className="cursor-pointer text-slate-500">Reroute prompts</summary>
+      <div className="mt-1 space-y-1">
+        {num('minMinutesSaved', 'Min. minutes saved', 60)}
+        {num('minSafetyGain', 'Min. safety gain', 100)}
+        {num('cooldownMin', 'Quiet after dismiss (min)', 120)}
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={settings.autoSwitch} onChange={(e) => onChange({ ...settings, autoSwitch: e.target.checked })} />
+          Switch automatically
+        </label>
+      </div>
+    </details>
+  )
+}
+
+// Every profile side by side; hovering a row highlights that route on the map
+function RouteComparison({ comparison, activeKey, onHover, onSelect }) {
+  const { rows, best } = comparison
+  const cell = (row, col, text) => (
+    <td className={`px-1 py-1 text-right font-mono ${best[col] === row.key ? 'text-emerald-700 font-semibold' : ''}`}>{text}</td>
+  )
   return (
-    <div className="h-full overflow-y-auto space-y-3" id="journal">
+    <div className="mt-3 rounded-md border border-slate-200 bg-white/80 overflow-x-auto">
+      <table className="w-full text-xs">
+        <thead className="text-slate-500">
+          <tr>
+            <th className="px-1 py-1 text-left font-medium">Profile</th>
+            <th className="px-1 py-1 text-right font-medium">km</th>
+            <th className="px-1 py-1 text-right font-medium">min</th>
+            <th className="px-1 py-1 text-right font-medium">Safety</th>
+            <th className="px-1 py-1 text-right font-medium">Crowd</th>
+            <th className="px-1 py-1 text-right font-medium">Score</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <React.Fragment key={row.key}>
+              <tr
+                className={`cursor-pointer border-t border-slate-100 ${row.key === activeKey ? 'bg-slate-100' : 'hover:bg-slate-50'}`}
+                onMouseEnter={() => onHover(row.key)}
+                onMouseLeave={() => onHover(null)}
+                onClick={() => onSelect(row.key)}
+              >
+                <td className="px-1 py-1">
+                  <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: row.color }} />
+                  {row.label}
+                </td>
+                {cell(row, 'distance', (row.distance / 1000).toFixed(2))}
+                {cell(row, 'etaMin', Math.round(row.etaMin))}
+                {cell(row, 'avgSafety', Math.round(row.avgSafety))}
+                {cell(row, 'avgCrowd', row.avgCrowd.toFixed(2))}
+                {cell(row, 'score', row.score.toFixed(2))}
+              </tr>
+              {row.worst && (
+                <tr className="text-[11px] text-slate-500" onMouseEnter={() => onHover(row.key)} onMouseLeave={() => onHover(null)}>
+                  <td colSpan={6} className="px-1 pb-1">
+                    Worst: {row.worst.name} ({Math.round(row.worst.distance)} m, safety {Math.round(row.worst.safety)})
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function RouteJournal({ steps, total, etaMin, departAt, arriveAt, profile, safetyAvg, explanation, elevation, accessNotes = [], zoneNotes = [], legs = [], stopNames = [], onReorderStop, onRemoveStop, onOptimizeStops, selectedStep, onSelectStep, listRef }) {
+  // Up/Down (or K/J) step through the maneuvers; each one is shown on the map as it gets focus
+  const onStepKey = (e, idx) => {
+    const next = e.key === 'ArrowDown' || e.key === 'j' ? idx + 1 : e.key === 'ArrowUp' || e.key === 'k' ? idx - 1 : null
+    if (next === null || next < 0 || next >= steps.length) return
+    e.preventDefault()
+    listRef.current.children[next].focus()
+  }
+  return (
+    <div className="h-full overflow-y-auto space-y-3">
       <div className="p-3 rounded-md bg-slate-900/60 text-slate-100">
         <div className="flex items-center justify-between">
           <div>
             <div className="text-sm uppercase tracking-wider text-slate-400">{profile.label} Route</div>
             <div className="text-xl font-semibold">{(total / 1000).toFixed(2)} km • {Math.round(etaMin)} min</div>
+            <div className="text-xs text-slate-300">Leave {clockTime(departAt)} → arrive {clockTime(arriveAt)}</div>
             <div className="text-xs text-emerald-300">Avg safety {Math.round(safetyAvg)} / 100</div>
+            {elevation && (
+              <div className="text-xs text-slate-300">
+                ↑ {Math.round(elevation.ascent)} m ↓ {Math.round(elevation.descent)} m • effort ≈ {(elevation.effort / 1000).toFixed(2)} km flat (+{Math.round(elevation.climbMin)} min walking)
+              </div>
+            )}
+          </div>
+          <div className="flex flex-col items-end gap-1">
+            {explanation && <ScoreBreakdown explanation={explanation} label="Why this route?" dark />}
           </div>
-          <div className="text-xs text-slate-400">Mocked</div>
         </div>
       </div>
-      {steps.map((s, idx) => (
-        <div key={idx} className="p-3 rounded-md bg-white/80 backdrop-blur shadow border border-slate-200">
-          <div className="flex items-center justify-between">
-            <div className="font-medium">{s.instruction}</div>
-            <div className="text-sm text-slate-500">{(s.distance/1000).toFixed(2)} km</div>
-          </div>
-          <div className="text-sm text-slate-600">{s.street}</div>
-          {s.note && <div className="text-xs mt-1 text-amber-600">{s.note}</div>}
+      {accessNotes.length > 0 && (
+        <div className="p-3 rounded-md bg-amber-50 border border-amber-200 text-xs text-amber-800">
+          {accessNotes.map((n) => <div key={n}>{n}</div>)}
         </div>
-      ))}
+      )}
+      {zoneNotes.length > 0 && (
+        <div className="p-3 rounded-md bg-red-50 border border-red-200 text-xs text-red-800" role="note" aria-label="Avoid zones on this route">
+          {zoneNotes.map((n) => <div key={n}>{n}</div>)}
+        </div>
+      )}
+      {stopNames.length > 0 && (
+        <StopList legs={legs} names={stopNames} onReorder={onReorderStop} onRemove={onRemoveStop} onOptimize={onOptimizeStops} />
+      )}
+      <ol ref={listRef} aria-label="Turn-by-turn directions" className="space-y-3">
+        {steps.map((s, idx) => (
+          <li
+            key={idx}
+            tabIndex={0}
+            aria-current={selectedStep === idx ? 'step' : undefined}
+            aria-label={`Step ${idx + 1} of ${steps.length}: ${s.instruction}, ${s.street}, ${(s.distance / 1000).toFixed(2)} kilometers${s.note ? `. ${s.note}` : ''}`}
+            onFocus={() => onSelectStep(idx)}
+            onKeyDown={(e) => onStepKey(e, idx)}
+            className={`p-3 rounded-md bg-white/80 backdrop-blur shadow border outline-none focus-visible:ring-2 focus-visible:ring-sky-500 ${selectedStep === idx ? 'border-sky-400' : 'border-slate-200'}`}
+          >
+            <div className="flex items-center justify-between">
+              <div className="font-medium">
+                {s.line && <span className="mr-1 px-1.5 py-0.5 rounded bg-slate-800 text-white text-xs">{s.line}</span>}
+                {s.instruction}
+              </div>
+              <div className="text-sm text-slate-500">{(s.distance/1000).toFixed(2)} km</div>
+            </div>
+            <div className="flex items-center justify-between text-sm text-slate-600">
+              <span>{s.street}</span>
+              <span className="text-xs text-slate-400">{clockTime(s.at)}</span>
+            </div>
+            {s.note && <div className="text-xs mt-1 text-amber-600">{s.note}</div>}
+            {s.warnings && s.warnings.map((w) => <div key={w} className="text-xs mt-1 text-orange-700">♿ {w}</div>)}
+            {s.zones && s.zones.map((z) => <div key={z} className="text-xs mt-1 text-red-700">⛔ Inside avoid zone "{z}"</div>)}
+          </li>
+        ))}
+      </ol>
     </div>
   )
 }
@@ -292,20 +531,65 @@ function FloatingManeuver({ nextPoint, label }) {
   )
 }
 
-function useSpeech() {
-  const speak = useCallback((text) => {
-    try {
-      const synth = window.speechSynthesis
-      if (!synth) return
-      const utter = new SpeechSynthesisUtterance(text)
-      utter.rate = 1
-      synth.cancel()
-      synth.speak(utter)
-    } catch (e) {
-      // noop for environments without speech
-    }
-  }, [])
-  return { speak }
+// Voice guidance (lib/voiceGuidance) on the Web Speech API. Every prompt is mirrored
+// into `spoken`, which the map renders in an assertive live region for screen readers
+function useGuidance(settings) {
+  const [spoken, setSpoken] = useState('')
+  const backend = useMemo(() => speechSynthesisBackend(), [])
+  const guidance = useMemo(() => createGuidance({ backend, settings, onSpeak: setSpoken }), [backend])
+  useEffect(() => { guidance.update(settings) }, [guidance, settings])
+  useEffect(() => () => guidance.stop(), [guidance])
+  return { guidance, backend, spoken }
+}
+
+function VoiceSettings({ settings, backend, onChange }) {
+  const [voices, setVoices] = useState(() => backend.voices())
+  useEffect(() => backend.onVoicesChanged(() => setVoices(backend.voices())), [backend])
+  const matching = voices.filter((v) => v.lang.toLowerCase().startsWith(settings.lang))
+  const preview = () => {
+    const sample = { type: 'turn', modifier: 'left', street: 'Beacon St', signal: false }
+    backend.speak(stagedPrompt(sample, 100, guidanceStages[1], settings.lang), settings)
+  }
+  return (
+    <details className="mt-2 text-xs text-slate-600">
+      <summary className="cursor-pointer text-slate-500">Voice guidance</summary>
+      <div className="mt-1 space-y-1">
+        <label className="flex items-center justify-between gap-2">
+          <span>Speak</span>
+          <select value={settings.mode} onChange={(e) => onChange({ ...settings, mode: e.target.value })} className="border rounded px-1 py-0.5 bg-white">
+            {voiceModes.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span>Language</span>
+          <select value={settings.lang} onChange={(e) => onChange({ ...settings, lang: e.target.value, voice: null })} className="border rounded px-1 py-0.5 bg-white">
+            {languages.map((l) => <option key={l.key} value={l.key}>{l.label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span>Voice</span>
+          <select value={settings.voice || ''} onChange={(e) => onChange({ ...settings, voice: e.target.value || null })} className="border rounded px-1 py-0.5 bg-white max-w-[10rem]">
+            <option value="">Default</option>
+            {matching.map((v) => <option key={v.name} value={v.name}>{v.name}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span>Rate {settings.rate.toFixed(1)}×</span>
+          <input type="range" min="0.6" max="1.6" step="0.1" value={settings.rate} onChange={(e) => onChange({ ...settings, rate: Number(e.target.value) })} />
+        </label>
+        <button className="px-2 py-1 rounded border" onClick={preview} disabled={settings.mode === 'mute'}>Preview</button>
+      </div>
+    </details>
+  )
+}
+
+// Keep a point in view, e.g. the maneuver selected in the journal
+function PanTo({ point }) {
+  const map = useMap()
+  useEffect(() => {
+    if (point) map.panTo(point)
+  }, [map, point])
+  return null
 }
 
 function ClickSetter({ onSet }) {
@@ -318,75 +602,316 @@ function ClickSetter({ onSet }) {
   return null
 }
 
-export default function MapView() {
-  const [start, setStart] = useState([37.7745, -122.423])
-  const [end, setEnd] = useState([37.7782, -122.4095])
-  const [selectionMode, setSelectionMode] = useState('none') // 'start' | 'end' | 'none'
-  const [profileKey, setProfileKey] = useState('balanced')
+function initialConditions(network) {
+  const obj = {}
+  network.streets.forEach((st) =>
+    st.segments.forEach((seg) => {
+      obj[seg.id] = { ...DEFAULT_CONDITION }
+    })
+  )
+  return obj
+}
+
+// First and last vertex of a network, used as default endpoints for a freshly loaded dataset
+function networkEndpoints(network) {
+  const first = network.streets[0].segments[0].coords[0]
+  const lastStreet = network.streets[network.streets.length - 1]
+  const lastSeg = lastStreet.segments[lastStreet.segments.length - 1]
+  return [first, lastSeg.coords[lastSeg.coords.length - 1]]
+}
+
+function NetworkLoader({ status, onLoad }) {
+  return (
+    <div className="mt-2 text-xs text-slate-600">
+      <label className="inline-block px-2 py-1 rounded border cursor-pointer bg-white">
+        Load network…
+        <input
+          type="file"
+          accept=".geojson,.json,.osm,.xml"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files && e.target.files[0]
+            if (file) onLoad(file)
+            e.target.value = ''
+          }}
+        />
+      </label>
+      {status && (
+        <div className={`mt-1 ${status.error ? 'text-red-600' : 'text-slate-500'}`}>
+          {status.error || status.message}
+          {status.issues && status.issues.length > 0 && (
+            <ul className="list-disc pl-4 max-h-16 overflow-y-auto text-amber-700">
+              {status.issues.map((iss, i) => (
+                <li key={i}>Feature {iss.feature}: {iss.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Travel mode switch; walk + transit also takes a local GTFS feed
+function TravelModePicker({ mode, onChange, hasFeed, status, onLoadFeed }) {
+  return (
+    <div className="mb-2">
+      <div className="flex gap-1" role="radiogroup" aria-label="Travel mode">
+        {travelModes.map((m) => (
+          <button
+            key={m.key}
+            role="radio"
+            aria-checked={mode === m.key}
+            onClick={() => onChange(m.key)}
+            className={`text-xs px-2 py-1 rounded border ${mode === m.key ? 'bg-slate-900 text-white border-slate-900' : 'bg-white text-slate-700'}`}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+      {mode === 'transit' && (
+        <div className="mt-1 text-xs text-slate-600">
+          <label className="inline-block px-2 py-1 rounded border cursor-pointer bg-white">
+            {hasFeed ? 'Replace GTFS feed…' : 'Load GTFS feed…'}
+            <input
+              type="file"
+              accept=".zip,.txt"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files && e.target.files.length > 0) onLoadFeed(e.target.files)
+                e.target.value = ''
+              }}
+            />
+          </label>
+          <div className={`mt-1 ${status && status.error ? 'text-red-600' : 'text-slate-500'}`}>
+            {status ? status.error || status.message : 'No feed loaded; routes walk the whole way.'}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function MapView({ network: initialNetwork = roadNetwork, conditionsProvider, predictionModel }) {
+  const [network, setNetwork] = useState(initialNetwork)
+  const [networkStatus, setNetworkStatus] = useState(null)
+
+  // Deep link: the query string seeds the initial view
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [initialLink] = useState(() => parseRouteParams(searchParams))
+  const [linkErrors, setLinkErrors] = useState(initialLink.errors)
+
+  const [start, setStart] = useState(initialLink.start || [37.7745, -122.423])
+  const [end, setEnd] = useState(initialLink.end || [37.7782, -122.4095])
+  const [waypoints, setWaypoints] = useState(initialLink.waypoints || []) // intermediate stops, in visiting order
+  const stops = useMemo(() => [start, ...waypoints, end], [start, waypoints, end])
+  const [selectionMode, setSelectionMode] = useState('none') // 'start' | 'end' | 'stop' | 'report' | 'zone' | 'prefer' | 'none'
+  const [profileKey, setProfileKey] = useState(initialLink.profileKey || 'balanced')
+  const [travelMode, setTravelMode] = useState(initialLink.mode || 'walk')
+  const [transitFeed, setTransitFeed] = useState(null) // parsed GTFS (lib/gtfs)
+  const [transitStatus, setTransitStatus] = useState(null)
 
   // Live conditions: per-segment dynamic modifiers (speed, safety, crowd)
-  const [conditions, setConditions] = useState(() => {
-    const obj = {}
-    roadNetwork.streets.forEach((st) =>
-      st.segments.forEach((seg) => {
-        obj[seg.id] = { speedFactor: 1, safetyAdj: 0, crowd: 0.3 }
-      })
-    )
-    return obj
-  })
+  const [conditions, setConditions] = useState(() => initialConditions(network))
+  const [providerKind, setProviderKind] = useState('random')
+  const [conditionsInfo, setConditionsInfo] = useState({ timestamp: null, error: null })
 
   // User preferences
-  const [prefs, setPrefs] = useState({ avoidBusy: 0.4, preferLit: 0.6, comfort: 0.6 })
-  const [horizon, setHorizon] = useState(15) // minutes
-
-  // "GPS" simulated progress along active route
-  const [progress, setProgress] = useState({ idx: 0, t: 0 }) // path index
-  const [simOn, setSimOn] = useState(true)
+  const [prefs, setPrefs] = useState({ avoidBusy: 0.4, preferLit: 0.6, comfort: 0.6, nearHavens: 0, ...initialLink.prefs })
+  const [horizon, setHorizon] = useState(initialLink.horizon ?? 0) // minutes from now when leaving "now"
+  const [timing, setTiming] = useState(initialLink.timing || { mode: 'now', time: Date.now() }) // 'now' | 'depart' | 'arrive'
+
+  // Keep the URL in sync: route changes push a history entry, preference tweaks replace it.
+  // Changes coming from the URL itself (back/forward, pasted links) are applied to state.
+  const linkQuery = serializeRouteParams({ start, end, waypoints, profileKey, mode: travelMode, prefs, horizon, timing })
+  const linkIdentity = routeIdentity({ start, end, waypoints, profileKey })
+  // lastLinkRef: the query last written or applied, the route it identifies, and the
+  // state it was written from. setSearchParams changes with the URL, so the first effect
+  // also runs on back/forward before the state has caught up; `state` keeps it from
+  // writing the stale query back.
+  const lastLinkRef = useRef({ query: null, identity: linkIdentity, state: null })
+  useEffect(() => {
+    if (linkQuery === lastLinkRef.current.state) return
+    lastLinkRef.current.state = linkQuery
+    if (linkQuery === searchParams.toString()) {
+      lastLinkRef.current.identity = linkIdentity
+      return
+    }
+    const push = lastLinkRef.current.identity !== linkIdentity
+    lastLinkRef.current = { query: linkQuery, identity: linkIdentity, state: linkQuery }
+    setSearchParams(linkQuery, { replace: !push })
+  }, [linkQuery, linkIdentity, searchParams, setSearchParams])
+  useEffect(() => {
+    const query = searchParams.toString()
+    if (query === lastLinkRef.current.query) return
+    const link = parseRouteParams(searchParams)
+    lastLinkRef.current = { ...lastLinkRef.current, query }
+    if (link.start) setStart(link.start)
+    if (link.end) setEnd(link.end)
+    setWaypoints(link.waypoints || [])
+    if (link.profileKey) setProfileKey(link.profileKey)
+    if (link.mode) setTravelMode(link.mode)
+    if (link.prefs) setPrefs((p) => ({ ...p, ...link.prefs }))
+    if (link.horizon !== undefined) setHorizon(link.horizon)
+    setTiming(link.timing || { mode: 'now', time: Date.now() })
+    setLinkErrors(link.errors)
+  }, [searchParams])
 
   // Previous route for comparisons
   const [prevRoute, setPrevRoute] = useState(null)
   const [suggestion, setSuggestion] = useState(null)
+  const [suggestionSettings, setSuggestionSettings] = useState(DEFAULT_SUGGESTION_SETTINGS)
+  const [dismissed, setDismissed] = useState({}) // profile key -> suppressed until (ms)
   const [showCompare, setShowCompare] = useState(false)
+  const [compareAll, setCompareAll] = useState(false)
+  const [mapInstance, setMapInstance] = useState(null)
+  const [tileSource, setTileSource] = useState({ kind: 'osm' })
+  const [hoverKey, setHoverKey] = useState(null)
+
+  const [voiceSettings, setVoiceSettings] = useState(DEFAULT_VOICE_SETTINGS)
+  const { guidance, backend: speechBackend, spoken } = useGuidance(voiceSettings)
+  const [announcement, setAnnouncement] = useState('') // polite live region
+
+  // Routable graph of the road network (nodes at shared vertices and intersections)
+  const graph = useMemo(() => buildGraph(network), [network])
+  const geocoder = useMemo(() => defaultGeocoder(network, graph), [network, graph])
+
+  // Readable names for the endpoints and stops, e.g. "Beacon St near I3"
+  const [placeNames, setPlaceNames] = useState({ start: null, end: null, stops: [] })
+  useEffect(() => {
+    const ctrl = new AbortController()
+    const name = (coord) => geocoder.reverse(coord, { signal: ctrl.signal }).then((r) => (r ? r.label : null)).catch(() => null)
+    Promise.all(stops.map(name)).then((names) => {
+      if (ctrl.signal.aborted) return
+      setPlaceNames({ start: names[0], end: names[names.length - 1], stops: names.slice(1, -1) })
+    })
+    return () => ctrl.abort()
+  }, [geocoder, stops])
 
-  const { speak } = useSpeech()
-
-  // Prepare route candidates (fixed segment sequences that follow roads exactly)
-  const baseCandidates = useMemo(() => {
-    const A = roadNetwork.streets.find((s) => s.id === 'A')
-    const B = roadNetwork.streets.find((s) => s.id === 'B')
-    const C = roadNetwork.streets.find((s) => s.id === 'C')
-
-    // Attach parent street name for convenience
-    const withName = (seg, name) => ({ ...seg, name })
-
-    const fastestSegs = [withName(C.segments[0], 'Cobalt Blvd'), withName(C.segments[1], 'Cobalt Blvd'), withName(A.segments[1], 'Aurora Ave')]
-    const safestSegs = [withName(B.segments[0], 'Beacon St'), withName(B.segments[1], 'Beacon St')]
-    const balancedSegs = [withName(A.segments[0], 'Aurora Ave'), withName(B.segments[0], 'Beacon St'), withName(B.segments[1], 'Beacon St')]
-    const nightSegs = [withName(A.segments[0], 'Aurora Ave'), withName(A.segments[1], 'Aurora Ave')]
-    const femaleSegs = [withName(B.segments[0], 'Beacon St'), withName(A.segments[1], 'Aurora Ave')]
-
-    return [
-      { key: 'fastest', segs: fastestSegs },
-      { key: 'safest', segs: safestSegs },
-      { key: 'balanced', segs: balancedSegs },
-      { key: 'night', segs: nightSegs },
-      { key: 'female', segs: femaleSegs },
-    ]
+  useEffect(() => { setNetwork(initialNetwork) }, [initialNetwork])
+  useEffect(() => { setConditions(initialConditions(network)) }, [network])
+
+  // Swap in a user-supplied GeoJSON / OSM XML dataset
+  const loadNetworkFile = useCallback(async (file) => {
+    try {
+      const { network: next, issues } = importNetwork(await file.text(), file.name)
+      const [s, e] = networkEndpoints(next)
+      setNetwork(next)
+      setStart(s)
+      setEnd(e)
+      setWaypoints([])
+      setNetworkStatus({ message: `${file.name}: ${next.streets.length} streets, ${next.intersections.length} junctions`, issues })
+    } catch (err) {
+      setNetworkStatus({ error: `${file.name}: ${err.message}`, issues: err.issues })
+    }
   }, [])
 
-  // Mock AI predictor: returns predicted multipliers for each segment in next horizon mins
-  const predict = useCallback((segId, horizonMin) => {
-    // Deterministic-ish pseudo prediction using segId hash
-    const seed = segId.split('').reduce((a, c) => a + c.charCodeAt(0), 0)
-    const phase = (Math.sin((Date.now() / 100000 + seed) % Math.PI) + 1) / 2
-    const congestion = 0.9 + 0.3 * phase * (horizonMin / 30) // 0.9..1.2
-    const risk = -5 + 15 * phase * (horizonMin / 30) // -5..+10
-    const lightingPenalty = segId.startsWith('C') ? 8 : segId.startsWith('A') ? 2 : 0
-    return { speedFactor: 1 / congestion, safetyAdj: risk - lightingPenalty }
+  // The traveller's avoid zones and preferred streets, and the segments they cover
+  const { zones, preferred } = useSyncExternalStore(zoneStore.subscribe, zoneStore.getSnapshot)
+  const zonesNear = useMemo(() => zonesBySegment(network, zones), [network, zones])
+  const preferredSet = useMemo(() => new Set(preferred), [preferred])
+  const [draftZone, setDraftZone] = useState(null) // { polygon, name, hard, hours } while drawing
+  const [zoneError, setZoneError] = useState(null)
+
+  // Points of interest (bundled, or a user-supplied GeoJSON) and the havens along each segment
+  const [poiList, setPoiList] = useState(() => parsePois(defaultPois).pois)
+  const [poiFilters, setPoiFilters] = useState(DEFAULT_POI_FILTERS)
+  const [poiStatus, setPoiStatus] = useState(null)
+  const havensNear = useMemo(() => havensBySegment(network, poiList), [network, poiList])
+  const loadPoiFile = useCallback(async (file) => {
+    try {
+      const { pois: next, issues } = parsePois(JSON.parse(await file.text()))
+      setPoiList(next)
+      setPoiStatus({ message: `${file.name}: ${next.length} places`, issues })
+    } catch (err) {
+      setPoiStatus({ error: `${file.name}: ${err.message}`, issues: err.issues })
+    }
+  }, [])
+
+  // Prediction model: injected, or a time-of-day baseline seeded from the recorded feed
+  const model = useMemo(() => predictionModel || createBaselineModel({
+    history: conditionsReplay.flatMap((r) => observationsFromBatch(normalizeBatch(r))),
+  }), [predictionModel])
+
+  // Forecast conditions for a segment at a future timestamp
+  const predict = useCallback((seg, at, now = Date.now()) => (
+    model.predict(seg, { at, now, recent: conditions[seg.id] })
+  ), [model, conditions])
+
+  // Crowdsourced hazard reports, synced with the backend when it is reachable
+  const { reports, lastError: reportsError } = useSyncExternalStore(reportStore.subscribe, reportStore.getSnapshot)
+  const [draftReport, setDraftReport] = useState(null)
+  useEffect(() => {
+    reportStore.prune()
+    reportStore.pull()
+    reportStore.sync()
+    const retry = () => {
+      reportStore.sync()
+      reportStore.pull()
+    }
+    window.addEventListener('online', retry)
+    const iv = setInterval(retry, 60000)
+    return () => {
+      window.removeEventListener('online', retry)
+      clearInterval(iv)
+    }
+  }, [])
+
+  // Effective state of a segment for a traveller reaching it at timestamp `at`
+  // The safety components are kept so scores can be explained term by term.
+  const mode = modeOf(travelMode)
+  const segmentState = useCallback((seg, at) => {
+    const f = predict(seg, at)
+    const lightPenalty = lightingPenalty(seg, at)
+    const hazardPenalty = reportPenalty(reports, seg.id, at)
+    return {
+      speed: modeSpeed(mode, seg, f.speedFactor), // km/h
+      freeSpeed: modeSpeed(mode, seg),
+      safety: Math.max(0, Math.min(100, seg.safety + f.safetyAdj - lightPenalty - hazardPenalty)),
+      baseSafety: seg.safety,
+      predictedAdj: f.safetyAdj,
+      lightingPenalty: lightPenalty,
+      reportPenalty: hazardPenalty,
+      crowd: f.crowd,
+      lighting: seg.lighting ?? 0.5,
+      darkness: darknessAt(at),
+      havenRelief: havenRelief(havensNear.get(seg.id), at, prefs.nearHavens),
+      avoidZones: activeZones(zonesNear.get(seg.id), at),
+      preferred: preferredSet.has(seg.id),
+    }
+  }, [predict, reports, mode, havensNear, prefs.nearHavens, zonesNear, preferredSet])
+
+  // Route a profile for a given departure time, restricted to the travel mode and kept
+  // out of hard avoid zones; when that leaves no route, zones are crossed at a steep cost
+  const planFor = useCallback((opt, departAt) => {
+    const plan = (prof) => {
+      const costAt = (t) => edgeCostFor(prof, segmentState, t)
+      const timeAt = (t) => edgeTimeFor(segmentState, t)
+      return mode.transit
+        ? planTransitStops(graph, transitFeed, stops, departAt, { weight: prof.weight, stateOf: segmentState, costAt, timeAt, canUse: prof.canUse })
+        : planStops(graph, stops, departAt, costAt, timeAt, { canUse: prof.canUse })
+    }
+    const base = profileForMode(opt, mode)
+    const strict = plan(withUserZones(base))
+    const zonesForced = strict.segs.length === 0 && zones.some((z) => z.hard)
+    return { key: opt.key, ...(zonesForced ? plan(withUserZones(base, { strict: false })) : strict), zonesForced }
+  }, [graph, stops, segmentState, mode, transitFeed, zones])
+
+  const loadTransitFiles = useCallback(async (files) => {
+    try {
+      const feed = await loadGtfsFiles(files)
+      setTransitFeed(feed)
+      setTransitStatus({ message: `${feed.stops.size} stops, ${feed.routes.size} lines, ${feed.trips.size} trips` })
+      setTravelMode('transit')
+    } catch (err) {
+      setTransitStatus({ error: err.message })
+    }
   }, [])
 
-  // Score and compute metrics for a candidate considering current conditions, AI prediction, and prefs
-  const evaluate = useCallback((candidate) => {
+  // Score and compute metrics for a candidate considering current conditions, AI prediction, and prefs.
+  // Time accumulates segment by segment so each one is judged at the moment it is reached.
+  const evaluate = useCallback((candidate, departAt) => {
     const segs = candidate.segs
     // Build path
     const path = buildPath(segs)
@@ -396,178 +921,326 @@ export default function MapView() {
     let totalTimeH = 0
     let safetySum = 0
     let crowdSum = 0
+    let exposureTotal = 0
+    const colored = []
 
-    const steps = segs.map((s, i) => {
+    const perSeg = segs.map((s) => {
       const dist = pathDistance(s.coords)
       totalMeters += dist
 
-      const cond = conditions[s.id] || { speedFactor: 1, safetyAdj: 0, crowd: 0.3 }
-      const pred = predict(s.id, horizon)
+      const at = departAt + totalTimeH * 3600 * 1000
+      if (s.transit) {
+        // Rides keep to the timetable. What counts for safety and crowds is the stop area
+        // while waiting, as much as walking there for the same time would.
+        const ride = s.transit.kind === 'ride'
+        const state = segmentState(ride ? s.transit.board.seg : s.transit.seg, at)
+        const waitS = ride ? Math.max(0, (s.transit.board.at - at) / 1000) : 0
+        const timeS = ride ? waitS + (s.transit.alight.at - s.transit.board.at) / 1000 : s.transit.timeS
+        const exposure = (ride ? waitS : timeS) * (WALK_SPEED / 3.6)
+        totalTimeH += timeS / 3600
+        safetySum += state.safety * exposure
+        crowdSum += state.crowd * exposure
+        exposureTotal += exposure
+        colored.push({ coords: s.coords, color: s.transit.color || '#334155', dashed: true })
+        return { id: s.id, name: s.name, dist, exposure, at, timeS, freeTimeS: timeS - waitS, waitS, safety: state.safety, crowd: state.crowd, state }
+      }
+      const state = segmentState(s, at)
 
-      const effSpeed = Math.max(5, s.speed * cond.speedFactor * pred.speedFactor) // km/h
-      const timeH = (dist / 1000) / effSpeed
+      const timeH = (dist / 1000) / state.speed
       totalTimeH += timeH
 
-      const effSafety = Math.max(0, Math.min(100, s.safety + cond.safetyAdj + pred.safetyAdj))
+      const effSafety = state.safety
       safetySum += effSafety * dist
 
-      const crowd = cond.crowd
-      crowdSum += crowd * dist
+      crowdSum += state.crowd * dist
+      exposureTotal += dist
+      colored.push({ coords: s.coords, color: routeSafetyColor(effSafety) })
 
+      return { id: s.id, name: s.name, dist, at, timeS: timeH * 3600, freeTimeS: (dist / 1000 / state.freeSpeed) * 3600, safety: effSafety, crowd: state.crowd, state }
+    })
+    const arriveAt = departAt + totalTimeH * 3600 * 1000
+    const safetyOver = (rows) => {
+      const exposure = rows.reduce((a, c) => a + exposureOf(c), 0)
+      return exposure > 0 ? rows.reduce((a, c) => a + c.safety * exposureOf(c), 0) / exposure : undefined
+    }
+
+    // Per-leg totals between consecutive stops; endPathIndex is where the leg ends on `path`
+    const pathStarts = [0]
+    segs.forEach((s) => pathStarts.push(pathStarts[pathStarts.length - 1] + s.coords.length - 1))
+    const legs = (candidate.legs || [{ from: 0, to: segs.length }]).map((leg) => {
+      const covered = perSeg.slice(leg.from, leg.to)
+      const distance = covered.reduce((a, c) => a + c.dist, 0)
+      const timeS = covered.reduce((a, c) => a + c.timeS, 0)
+      const legDepart = covered.length > 0 ? covered[0].at : perSeg[leg.from] ? perSeg[leg.from].at : arriveAt
       return {
-        instruction: i === 0 ? `Head onto ${s.name}` : `Continue along ${s.name}`,
-        street: s.name,
-        distance: dist,
-        safety: effSafety,
-        note: effSafety >= 75 ? 'Well-lit area with cameras' : effSafety <= 45 ? 'Low visibility, avoid late hours' : undefined,
+        distance,
+        etaMin: timeS / 60,
+        avgSafety: safetyOver(covered),
+        departAt: legDepart,
+        arriveAt: legDepart + timeS * 1000,
+        endPathIndex: pathStarts[leg.to],
       }
     })
 
-    const avgSafety = safetySum / Math.max(totalMeters, 1)
-    const avgCrowd = crowdSum / Math.max(totalMeters, 1)
+    // Climb, when the network has elevations (Naismith: a minute per 10 m of ascent)
+    const climb = segs.map((s) => elevationStats(s.coords))
+    const known = climb.reduce((a, c) => a + c.known, 0)
+    const ascent = climb.reduce((a, c) => a + c.ascent, 0)
+    const elevation = known > 0
+      ? { ascent, descent: climb.reduce((a, c) => a + c.descent, 0), effort: effortDistance(totalMeters, ascent), climbMin: ascent / 10 }
+      : null
+
+    // Step-free routes report every compromise they had to make
+    const opt = routeOptions.find((o) => o.key === candidate.key)
+    const accessible = !!(opt && opt.accessible)
+    const accessNotes = []
+    if (accessible) {
+      if (segs.length === 0) accessNotes.push('No step-free route between these points')
+      const unknown = perSeg.reduce((a, c, i) => a + (segs[i].transit || hasAccessData(segs[i]) ? 0 : c.dist), 0)
+      if (unknown > 0) accessNotes.push(`${Math.round(unknown)} m without accessibility data`)
+    }
 
-    // Preference weighting
-    // Higher score is better: penalize time and crowd, reward safety
-    const timeMin = totalTimeH * 60
-    const score = (avgSafety / 100) * (0.5 + prefs.preferLit * 0.5) -
-                  (timeMin / 30) * (0.5 + (1 - prefs.comfort) * 0.5) -
-                  avgCrowd * prefs.avoidBusy * 0.8
-
-    const colored = segs.map((s) => {
-      const cond = conditions[s.id] || { safetyAdj: 0 }
-      const pred = predict(s.id, horizon)
-      const eff = Math.max(0, Math.min(100, s.safety + cond.safetyAdj + pred.safetyAdj))
-      return { coords: s.coords, color: routeSafetyColor(eff) }
+    // Journal steps are the turn-by-turn instructions, each carrying the stretch it covers
+    const stopsAt = (candidate.legs || []).slice(0, -1).map((leg) => leg.to)
+    const steps = buildInstructions(segs, { intersections: network.intersections, stopsAt }).map((ins) => {
+      const covered = perSeg.slice(ins.fromSeg, ins.toSeg)
+      const dist = covered.reduce((a, c) => a + c.dist, 0)
+      const safety = safetyOver(covered)
+      return {
+        ...ins,
+        distance: dist,
+        safety,
+        at: ins.type === 'board' ? segs[ins.fromSeg].transit.board.at : covered.length > 0 ? covered[0].at : arriveAt,
+        warnings: accessible ? [...new Set(segs.slice(ins.fromSeg, ins.toSeg).filter((s) => !s.transit).flatMap(accessWarnings))] : [],
+        zones: [...new Set(covered.flatMap((c) => c.state.avoidZones.map((z) => z.name)))],
+        note: safety === undefined ? undefined : safety >= 75 ? 'Well-lit area with cameras' : safety <= 45 ? 'Low visibility, avoid late hours' : undefined,
+      }
     })
 
+    // Avoid zones the route still passes through: hard ones only when there was no way around
+    const inZones = new Map()
+    perSeg.forEach((c) => c.state.avoidZones.forEach((z) => {
+      const entry = inZones.get(z.id) || { zone: z, meters: 0 }
+      entry.meters += c.dist
+      inZones.set(z.id, entry)
+    }))
+    const zoneNotes = [...inZones.values()].map(({ zone, meters }) => (zone.hard
+      ? `No way around avoid zone "${zone.name}": ${Math.round(meters)} m inside it`
+      : `${Math.round(meters)} m through avoid zone "${zone.name}"`))
+    const zoneExposure = perSeg.reduce((a, c) => a + (c.state.avoidZones.length > 0 ? exposureOf(c) : 0), 0)
+
+    const avgSafety = safetySum / Math.max(exposureTotal, 1)
+    const avgCrowd = crowdSum / Math.max(exposureTotal, 1)
+
+    // Preference weighting (see lib/scoring): reward safety, penalize time, crowd and avoid zones
+    const timeMin = totalTimeH * 60
+    const score = scoreRoute({ avgSafety, timeMin, avgCrowd, zoneShare: zoneExposure / Math.max(exposureTotal, 1) }, prefs)
+
     return {
       key: candidate.key,
       segs,
       path,
       total: totalMeters,
       etaMin: timeMin,
+      departAt,
+      arriveAt,
       steps,
+      legs,
+      elevation,
+      accessNotes,
+      zoneNotes,
+      zonesForced: !!candidate.zonesForced,
+      cumulative: cumulativeDistances(path),
+      segmentStats: perSeg,
       colored,
       avgSafety,
       avgCrowd,
       score,
+      explanation: explainScore(perSeg, prefs),
     }
-  }, [conditions, horizon, prefs, predict])
+  }, [prefs, segmentState, network])
 
-  // Compute all candidates
+  // Compute all candidates. "Arrive by" works back from the target: the route is
+  // re-planned from the implied departure until that moves by less than a minute.
+  // Only the selected profile is iterated; the others get one correction, which is
+  // close enough for the comparison.
+  const arriveByKey = timing.mode === 'arrive' ? profileKey : null
   const routes = useMemo(() => {
     const r = {}
-    baseCandidates.forEach((c) => {
-      r[c.key] = evaluate(c)
+    routeOptions.forEach((opt) => {
+      const run = (departAt) => evaluate(planFor(opt, departAt), departAt)
+      if (timing.mode === 'arrive') {
+        let route = run(timing.time)
+        const passes = opt.key === arriveByKey ? ARRIVE_BY_PASSES : 1
+        for (let i = 0; i < passes; i++) {
+          const departAt = timing.time - route.etaMin * 60000
+          if (Math.abs(departAt - route.departAt) < 60000) break
+          route = run(departAt)
+        }
+        r[opt.key] = route
+      } else {
+        r[opt.key] = run(timing.mode === 'depart' ? timing.time : Date.now() + horizon * 60000)
+      }
     })
     return r
-  }, [baseCandidates, evaluate])
+  }, [planFor, evaluate, timing, horizon, arriveByKey])
 
   const active = routes[profileKey]
-  const profile = routeOptions.find((r) => r.key === profileKey) || { label: 'Route' }
 
-  // Simulate live conditions update every 6 seconds
-  useEffect(() => {
-    const iv = setInterval(() => {
-      setConditions((prev) => {
-        const next = { ...prev }
-        Object.keys(next).forEach((id) => {
-          const jitter = (n) => Math.max(0.7, Math.min(1.3, (next[id].speedFactor + (Math.random() - 0.5) * 0.1)))
-          const crowd = Math.max(0, Math.min(1, next[id].crowd + (Math.random() - 0.5) * 0.1))
-          const safetyAdj = Math.max(-20, Math.min(20, next[id].safetyAdj + (Math.random() - 0.5) * 2))
-          next[id] = { speedFactor: jitter(), crowd, safetyAdj }
-        })
-        return next
-      })
-    }, 6000)
-    return () => clearInterval(iv)
+  // Navigation along the active route (see Navigation); leaving it replans from where
+  // the traveller is, without the stops already reached
+  const replanFrom = useCallback((coord, reached) => {
+    if (reached > 0) setWaypoints((w) => w.slice(reached))
+    setStart(coord)
   }, [])
+  const {
+    navMode,
+    setNavMode,
+    replayTrack,
+    position,
+    status: navStatus,
+    progress,
+    simOn,
+    setSimOn,
+    activeRef,
+    countReroute,
+    loadTrackFile,
+  } = useNavigation({ active, stops, waypoints, profileKey, travelMode, network, guidance, onReroute: replanFrom })
+  const comparison = useMemo(() => compareRoutes(routes, routeOptions), [routes])
+  const hovered = compareAll && hoverKey ? comparison.rows.find((row) => row.key === hoverKey) : null
+  const profile = routeOptions.find((r) => r.key === profileKey) || { label: 'Route' }
 
-  // Detect if a better route exists -> suggest change
-  useEffect(() => {
-    const best = Object.values(routes).reduce((a, b) => (a.score > b.score ? a : b))
-    if (!active || !best) return
-    if (best.key !== active.key) {
-      // compute deltas
-      const timeSaved = Math.max(0, active.etaMin - best.etaMin)
-      const safetyGain = Math.max(0, best.avgSafety - active.avgSafety)
-      setSuggestion({ best, timeSaved, safetyGain })
-    } else {
-      setSuggestion(null)
+  // Whole-network overlay at the trip's departure, or at the time picked on its slider
+  const [overlay, setOverlay] = useState(DEFAULT_OVERLAY)
+  const overlayMetricDef = overlayMetric(overlay.metric)
+  const overlayAt = useMemo(() => (
+    overlay.offsetMin === null ? active.departAt : Date.now() + overlay.offsetMin * 60000
+  ), [overlay.offsetMin, active.departAt])
+  const overlayValues = useMemo(() => (
+    overlay.show ? networkValues(network, segmentState, overlayAt, overlayMetricDef) : []
+  ), [overlay.show, network, segmentState, overlayAt, overlayMetricDef])
+  const overlayGrid = useMemo(() => (
+    overlay.show && overlay.heat ? heatGrid(heatSamples(overlayValues)) : null
+  ), [overlay.show, overlay.heat, overlayValues])
+
+  // Recorded track audited with the same scoring as planned routes
+  const [auditTrack, setAuditTrack] = useState(null)
+  const auditRoute = useMemo(() => (
+    auditTrack && evaluate({ key: 'audit', segs: auditTrack.segs }, auditTrack.departAt)
+  ), [auditTrack, evaluate])
+
+  const loadAuditFile = useCallback(async (file) => {
+    try {
+      const points = parseTrack(await file.text(), file.name)
+      const { segs, unmatched, startTime } = trackToSegments(graph, points)
+      if (segs.length === 0) throw new Error('Track does not follow any mapped street')
+      setAuditTrack({ name: file.name, segs, unmatched, points: points.length, departAt: startTime ?? Date.now(), error: null })
+    } catch (err) {
+      setAuditTrack({ name: file.name, error: err.message })
     }
-  }, [routes, active])
-
-  // Simulate movement along active route
-  const progressRef = useRef(progress)
-  useEffect(() => { progressRef.current = progress }, [progress])
+  }, [graph])
+
+  // Save the current plan to the trip journal
+  const savePlannedTrip = useCallback(() => {
+    tripStore.save({
+      status: 'planned',
+      start,
+      end,
+      waypoints,
+      mode: travelMode,
+      profile: active.key,
+      distance: active.total,
+      etaMin: active.etaMin,
+      avgSafety: active.avgSafety,
+      reroutes: navStatus.reroutes,
+      departAt: active.departAt,
+      arriveAt: active.arriveAt,
+    })
+  }, [start, end, waypoints, travelMode, active, navStatus.reroutes])
+
+  // Active route plus whatever is on screen for comparison
+  const exportRoutes = useCallback((format) => {
+    const entries = compareAll
+      ? routeOptions.map((opt) => ({ route: routes[opt.key], label: `${opt.label} route` }))
+      : [{ route: active, label: `${profile.label} route` }]
+    if (showCompare && prevRoute) entries.push({ route: prevRoute, label: 'Previous route' })
+    if (auditRoute) entries.push({ route: auditRoute, label: `Audited track (${auditTrack.name})` })
+    downloadFile(`saferoutes-${active.key}.${format.ext}`, format.build(entries), format.mime)
+  }, [active, profile, routes, compareAll, showCompare, prevRoute, auditRoute, auditTrack])
+
+  // Live conditions feed: an injected provider, or one picked in the preferences panel
   useEffect(() => {
-    if (!simOn || !active || active.path.length < 2) return
-    let raf
-    const step = () => {
-      const cur = progressRef.current
-      // advance based on an approximate speed derived from ETA
-      const points = active.path
-      const totalTimeMs = active.etaMin * 60 * 1000
-      const dt = 250 // ms per frame
-      const idxInc = Math.max(1, Math.round((points.length / (totalTimeMs / dt))))
-      const nextIdx = Math.min(points.length - 1, cur.idx + idxInc)
-      setProgress({ idx: nextIdx, t: Date.now() })
-      raf = setTimeout(step, dt)
-    }
-    raf = setTimeout(step, 300)
-    return () => clearTimeout(raf)
-  }, [active, simOn])
-
-  // Determine upcoming maneuver at segment boundary
-  const maneuvers = useMemo(() => {
-    const arr = []
-    baseCandidates.find((c) => c.key === active.key)?.segs.forEach((s, i, list) => {
-      if (i < list.length - 1) {
-        const nextStart = list[i + 1].coords[0]
-        arr.push({ point: nextStart, label: `Then continue to ${list[i + 1].name}` })
-      }
+    const segmentIds = network.streets.flatMap((st) => st.segments.map((seg) => seg.id))
+    const onError = (err) => setConditionsInfo((info) => ({ ...info, error: err.message }))
+    const provider = conditionsProvider || createProvider(providerKind, { segmentIds, records: conditionsReplay, speed: 5, onError })
+    const stop = provider.start((batch) => {
+      observationsFromBatch(batch).forEach(model.observe)
+      setConditions((prev) => applyBatch(prev, batch))
+      setConditionsInfo({ timestamp: batch.timestamp, error: null })
     })
-    return arr
-  }, [active, baseCandidates])
+    return stop
+  }, [conditionsProvider, providerKind, network, model])
+
+  // Detect if a better route exists -> suggest change (thresholds and hysteresis in lib/suggestions)
+  useEffect(() => {
+    setSuggestion((current) => decideSuggestion({ routes, activeKey: profileKey, settings: suggestionSettings, current, dismissed }))
+  }, [routes, profileKey, suggestionSettings, dismissed])
 
+  // Next maneuver ahead of the traveller, with a distance countdown
   const currentManeuver = useMemo(() => {
-    if (!active) return null
-    const idx = progress.idx
-    // find closest maneuver point ahead
-    let best = null
-    maneuvers.forEach((m) => {
-      // approximate by index distance on path
-      const nearestIndex = active.path.findIndex((p) => p[0] === m.point[0] && p[1] === m.point[1])
-      if (nearestIndex > idx && (best === null || nearestIndex < best.nearestIndex)) best = { ...m, nearestIndex }
-    })
-    return best
-  }, [maneuvers, progress.idx, active])
+    if (!active || active.path.length === 0) return null
+    const next = upcomingInstruction(active.steps, active.cumulative, progress.idx, progress.along)
+    return next && { ...next, point: active.path[next.pathIndex] }
+  }, [progress.idx, progress.along, active])
 
-  // Voice when approaching maneuver
-  const voicedRef = useRef({})
+  // Staged voice prompts for the next maneuver; stages start over on a new route
+  const alertedRef = useRef(new Set())
   useEffect(() => {
-    if (!currentManeuver || !active) return
-    const distanceAhead = (function () {
-      let d = 0
-      for (let i = progress.idx; i < Math.min(currentManeuver.nearestIndex, active.path.length - 1); i++) {
-        d += haversineDistance(active.path[i], active.path[i + 1])
-      }
-      return d
-    })()
-    if (distanceAhead < 80 && !voicedRef.current[currentManeuver.nearestIndex]) {
-      speak(currentManeuver.label)
-      voicedRef.current[currentManeuver.nearestIndex] = true
-    }
-  }, [currentManeuver, progress.idx, active, speak])
+    guidance.reset()
+    alertedRef.current = new Set()
+  }, [guidance, profileKey, stops])
+  useEffect(() => {
+    if (currentManeuver) guidance.maneuver(currentManeuver, currentManeuver.distanceTo)
+  }, [currentManeuver, guidance])
 
-  const acceptSuggestion = () => {
-    if (!suggestion) return
-    setPrevRoute(active)
-    setProfileKey(suggestion.best.key)
+  // Safety alert for each reported hazard coming up on the route
+  useEffect(() => {
+    if (!active || active.path.length === 0) return
+    const along = progress.along != null ? progress.along : active.cumulative[progress.idx] || 0
+    reportsAhead(reports, active, along, Date.now()).forEach((r) => {
+      if (alertedRef.current.has(r.id)) return
+      alertedRef.current.add(r.id)
+      guidance.alert('hazard', { category: r.category })
+    })
+  }, [progress.idx, progress.along, active, reports, guidance])
+
+  // Switching also quiets the route we left, so the prompt doesn't flap straight back.
+  // The route is read through activeRef so the callback (and the auto-switch effect
+  // below) doesn't change with every tick.
+  const acceptSuggestion = useCallback((accepted) => {
+    if (!accepted) return
+    const left = activeRef.current
+    setPrevRoute(left)
+    setProfileKey(accepted.best.key)
     setShowCompare(true)
+    setDismissed((d) => dismissSuggestion(d, left.key, suggestionSettings))
+    setSuggestion(null)
+    countReroute()
+  }, [suggestionSettings, countReroute])
+
+  const dismissCurrentSuggestion = () => {
+    if (!suggestion) return
+    setDismissed((d) => dismissSuggestion(d, suggestion.best.key, suggestionSettings))
     setSuggestion(null)
   }
 
+  useEffect(() => {
+    if (!suggestion || !suggestionSettings.autoSwitch) return
+    const label = (routeOptions.find((o) => o.key === suggestion.best.key) || {}).label
+    guidance.alert('switchRoute', { route: label })
+    acceptSuggestion(suggestion)
+  }, [suggestion, suggestionSettings.autoSwitch, acceptSuggestion, guidance])
+
   // Geolocation helper
   const useMyLocation = async () => {
     if (!('geolocation' in navigator)) return
@@ -581,13 +1254,169 @@ export default function MapView() {
   const handleMapSet = useCallback((latlng) => {
     if (selectionMode === 'start') setStart(latlng)
     else if (selectionMode === 'end') setEnd(latlng)
+    else if (selectionMode === 'stop') setWaypoints((w) => [...w, latlng])
+    else if (selectionMode === 'report') {
+      // Reports attach to the nearest street segment
+      const snap = snapToGraph(graph, latlng)
+      const onStreet = snap && snap.distance <= 60
+      setDraftReport({
+        coord: onStreet ? snap.point : latlng,
+        segmentId: onStreet ? snap.edge.seg.id : null,
+        street: onStreet ? snap.edge.seg.name : null,
+        category: reportCategories[0].key,
+        severity: 2,
+        hours: reportCategories[0].defaultHours,
+      })
+    } else if (selectionMode === 'zone') {
+      setDraftZone((d) => d && { ...d, polygon: [...d.polygon, latlng] })
+    } else if (selectionMode === 'prefer') {
+      const snap = snapToGraph(graph, latlng)
+      if (snap && snap.distance <= 40) zoneStore.togglePreferred(snap.edge.seg.id)
+    }
+  }, [selectionMode, graph])
+
+  // Keyboard map control (see KeyboardCursor)
+  const placeKeyboardPick = useCallback((pick, latlng) => {
+    if (pick === 'start') setStart(latlng)
+    else if (pick === 'end') setEnd(latlng)
+    else if (pick === 'stop') setWaypoints((w) => [...w, latlng])
+    else handleMapSet(latlng)
+  }, [handleMapSet])
+  const { pick: keyboardPick, cycleProfile } = useKeyboardPicking({
+    selectionMode,
+    profileKey,
+    placeNames,
+    onPick: placeKeyboardPick,
+    onProfile: setProfileKey,
+    announce: setAnnouncement,
+  })
+
+  // Journal step selected by keyboard focus, shown on the map
+  const [selectedStep, setSelectedStep] = useState(null)
+  const journalListRef = useRef(null)
+  const focusJournal = useCallback(() => {
+    const first = journalListRef.current && journalListRef.current.children[0]
+    if (first) first.focus()
+  }, [])
+  useEffect(() => { setSelectedStep(null) }, [profileKey, stops, network])
+  const selectedPoint = active && selectedStep != null && active.steps[selectedStep]
+    ? active.path[active.steps[selectedStep].pathIndex]
+    : null
+
+  // Polite announcements for route changes and new suggestions
+  const profileAnnouncedRef = useRef(profileKey)
+  useEffect(() => {
+    if (!active || profileAnnouncedRef.current === profileKey) return
+    profileAnnouncedRef.current = profileKey
+    const label = (routeOptions.find((o) => o.key === profileKey) || {}).label
+    setAnnouncement(`${label} route: ${(active.total / 1000).toFixed(2)} kilometers, ${Math.round(active.etaMin)} minutes, safety ${Math.round(active.avgSafety)}.`)
+  }, [profileKey, active])
+  const suggestedKey = suggestion && suggestion.best.key
+  useEffect(() => {
+    if (!suggestion) return
+    const label = (routeOptions.find((o) => o.key === suggestion.best.key) || {}).label
+    const gains = [
+      suggestion.timeSaved >= 1 && `${Math.round(suggestion.timeSaved)} minutes faster`,
+      suggestion.safetyGain >= 1 && `${Math.round(suggestion.safetyGain)} points safer`,
+    ].filter(Boolean).join(' and ')
+    setAnnouncement(`Suggestion: the ${label} route${gains ? ` is ${gains}` : ''}.`)
+  }, [suggestedKey])
+
+  // Where the traveller is now: the tracked fix, else the simulated position
+  const here = navMode !== 'sim' && position
+    ? position
+    : active.path.length > 0 ? active.path[Math.min(progress.idx, active.path.length - 1)] : start
+  const arrived = active.path.length > 1 && progress.idx >= active.path.length - 1
+
+  // SOS: nearest well-lit streets and safe havens, and a safest-profile route to one
+  const [sosOpen, setSosOpen] = useState(false)
+  const [sosAt, setSosAt] = useState(null) // when an SOS status was sent to the shared trip
+  const safeStreets = useMemo(() => (sosOpen ? nearestSafeSegments(graph, here, segmentState, Date.now()) : []), [sosOpen, graph, here, segmentState])
+  const havens = useMemo(() => (sosOpen ? nearestHavens(poiList, here, Date.now()) : []), [sosOpen, poiList, here])
+  const goToSafety = (coord) => {
+    setStart(here)
+    setWaypoints([])
+    setEnd(coord)
+    setProfileKey('safest')
+    setSosOpen(false)
+  }
+
+  // Check-in timer and trip sharing (see SafetyTools); I'm safe also clears an SOS
+  const checkIn = useCheckIn({ arrived, etaMin: active.etaMin, guidance })
+  const checkInState = checkIn.status
+  const confirmSafe = () => {
+    checkIn.confirm()
+    setSosAt(null)
+  }
+
+  // The shared status follows SOS, then the check-in, then arrival
+  const shareStatus = sosAt ? 'sos' : checkInState === 'overdue' || checkInState === 'safe' ? checkInState : arrived ? 'arrived' : 'active'
+  const tripShare = useTripShare({
+    route: active,
+    position: here,
+    status: shareStatus,
+    profile: profileKey,
+    mode: travelMode,
+    onError: (err) => setAnnouncement(`Could not share the trip: ${err.message}`),
+  })
+  const sendSos = () => {
+    setSosAt(Date.now())
+    tripShare.start('sos')
+  }
+
+  // Intermediate stops: move, drop, reorder (from the journal) and optimize for the profile
+  const moveStop = (i, coord) => setWaypoints((w) => w.map((p, j) => (j === i ? coord : p)))
+  const removeStop = (i) => setWaypoints((w) => w.filter((_, j) => j !== i))
+  const reorderStop = (from, to) => setWaypoints((w) => {
+    const next = w.slice()
+    next.splice(to, 0, next.splice(from, 1)[0])
+    return next
+  })
+  const optimizeStops = () => {
+    const legCost = stopLegCost(graph, stops, edgeCostFor(withUserZones(profile, { strict: false }), segmentState, active.departAt), { canUse: profile.canUse })
+    setWaypoints(optimizeStopOrder(stops.length, legCost).map((i) => stops[i]))
+  }
+
+  // Avoid zones are drawn corner by corner on the map
+  const startZoneDraw = () => {
+    setDraftZone({ polygon: [], name: '', hard: true, hours: '' })
+    setZoneError(null)
+    setSelectionMode('zone')
+  }
+  const endZoneDraw = () => {
+    setDraftZone(null)
+    setZoneError(null)
+    setSelectionMode('none')
+  }
+  useEffect(() => {
+    if (selectionMode !== 'zone') setDraftZone(null)
   }, [selectionMode])
+  const saveZone = () => {
+    try {
+      zoneStore.addZone({ ...draftZone, hours: draftZone.hours.trim() || null })
+      endZoneDraw()
+    } catch (err) {
+      setZoneError(err.message)
+    }
+  }
+  const preferredSegs = useMemo(() => (
+    network.streets.flatMap((st) => st.segments.filter((seg) => preferredSet.has(seg.id)))
+  ), [network, preferredSet])
+
+  const submitReport = () => {
+    reportStore.add(draftReport)
+    setDraftReport(null)
+    setSelectionMode('none')
+  }
 
   return (
     <div className="grid grid-cols-1 lg:grid-cols-[1fr_380px] gap-4">
       <div className="relative h[560px] lg:h-[680px] rounded-xl overflow-hidden shadow ring-1 ring-slate-200">
-        <MapContainer center={[37.7755, -122.418]} zoom={14} scrollWheelZoom className="h-full w-full">
-          <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="&copy; OpenStreetMap contributors" />
+        <MapContainer ref={setMapInstance} center={[37.7755, -122.418]} zoom={14} scrollWheelZoom className="h-full w-full">
+          <BaseTiles source={tileSource} />
+
+          {/* Network-wide safety / crowd overlay */}
+          {overlay.show && <SafetyOverlay values={overlayValues} grid={overlayGrid} metric={overlayMetricDef} />}
 
           {/* Map click to set start/end depending on selection mode */}
           {selectionMode !== 'none' && <ClickSetter onSet={handleMapSet} />}
@@ -604,60 +1433,163 @@ export default function MapView() {
           }}}>
             <Popup>Destination</Popup>
           </Marker>
+          {waypoints.map((w, i) => (
+            <Marker key={`stop-${i}`} position={w} icon={stopIcon(i + 1)} draggable={true} eventHandlers={{ dragend: (e) => {
+              const ll = e.target.getLatLng()
+              moveStop(i, [ll.lat, ll.lng])
+            }}}>
+              <Popup>
+                <div className="text-sm">Stop {i + 1}</div>
+                <button className="text-xs underline text-slate-500" onClick={() => removeStop(i)}>Remove stop</button>
+              </Popup>
+            </Marker>
+          ))}
 
           {/* Old route comparison overlay */}
           {showCompare && prevRoute && (
             <Polyline positions={prevRoute.path} pathOptions={{ color: '#94a3b8', weight: 4, opacity: 0.8, dashArray: '6 6' }} />
           )}
 
+          {/* Audited track, colored by the safety it was scored with */}
+          {auditRoute && auditRoute.colored.map((c, idx) => (
+            <Polyline key={`audit-${idx}`} positions={c.coords} pathOptions={{ color: c.color, weight: 4, opacity: 0.9, dashArray: '2 8' }} />
+          ))}
+
+          {/* Compare mode: every profile in its own color, the hovered one on top with its worst stretch */}
+          {compareAll && routeOptions.filter((opt) => opt.key !== hoverKey).map((opt) => (
+            <Polyline
+              key={`cmp-${opt.key}`}
+              positions={routes[opt.key].path}
+              pathOptions={{ color: opt.color, weight: opt.key === profileKey ? 6 : 4, opacity: hoverKey ? 0.25 : 0.8 }}
+            />
+          ))}
+          {hovered && (
+            <>
+              <Polyline positions={routes[hovered.key].path} pathOptions={{ color: hovered.color, weight: 8, opacity: 1 }} />
+              {hovered.worst && (
+                <Polyline positions={hovered.worst.coords} pathOptions={{ color: '#dc2626', weight: 12, opacity: 0.6, dashArray: '4 8' }} />
+              )}
+            </>
+          )}
+
           {/* Draw per-segment safety colored polylines for active route */}
-          {active.colored.map((c, idx) => (
-            <Polyline key={idx} positions={c.coords} pathOptions={{ color: c.color, weight: 6, opacity: 0.95 }} />
+          {!compareAll && active.colored.map((c, idx) => (
+            <Polyline key={idx} positions={c.coords} pathOptions={{ color: c.color, weight: 6, opacity: 0.95, dashArray: c.dashed ? '10 8' : undefined }} />
           ))}
 
           {/* Render all intersections with traffic signals */}
-          <TrafficSignalsLayer intersections={roadNetwork.intersections} />
+          <TrafficSignalsLayer intersections={network.intersections.filter((ix) => ix.signal !== false)} />
+
+          {/* Avoid zones and preferred streets */}
+          <ZoneLayer zones={zones} preferredSegs={preferredSegs} draft={draftZone} at={active.departAt} onRemove={zoneStore.removeZone} />
+
+          {/* Points of interest, open or closed at departure */}
+          <PoiLayer pois={visiblePois(poiList, poiFilters, active.departAt)} at={active.departAt} />
+
+          {/* Crowdsourced hazard reports */}
+          <SafetyReportsLayer reports={reports} now={Date.now()} onRemove={reportStore.remove} />
+          {draftReport && (
+            <CircleMarker center={draftReport.coord} radius={8} pathOptions={{ color: '#0f172a', dashArray: '2 4', fillOpacity: 0.1 }} />
+          )}
 
           {/* Lane guidance hints */}
           <LaneGuidance path={active.path} />
 
           {/* Fit bounds to active route + user-selected points */}
-          <FitBounds path={active.path} extraPoints={[start, end]} />
+          <FitBounds
+            path={active.path}
+            extraPoints={stops}
+            fitKey={`${stops.map((p) => p.join(',')).join(';')}|${active.key}|${active.segs.map((seg) => seg.id).join(',')}`}
+          />
+
+          {/* User position: the raw fix when tracking, else simulated along the route */}
+          {navMode !== 'sim' && position ? (
+            <Marker position={position}>
+              <Popup>You are here{navMode === 'replay' ? ' (replayed track)' : ''}</Popup>
+            </Marker>
+          ) : active.path.length > 0 && (
+            <Marker position={active.path[Math.min(progress.idx, active.path.length - 1)]}>
+              <Popup>You are here (simulated)</Popup>
+            </Marker>
+          )}
 
-          {/* Simulated user position along route */}
-          <Marker position={active.path[Math.min(progress.idx, active.path.length - 1)]}>
-            <Popup>You are here (simulated)</Popup>
-          </Marker>
+          {/* SOS: nearest well-lit streets and safe havens */}
+          {sosOpen && safeStreets.map((c) => (
+            <Polyline key={`safe-${c.seg.id}`} positions={c.seg.coords} pathOptions={{ color: '#16a34a', weight: 9, opacity: 0.5 }} />
+          ))}
+          {sosOpen && havens.map((h) => (
+            <CircleMarker key={h.id} center={h.coord} radius={9} pathOptions={{ color: '#16a34a', weight: 3, fillColor: '#ffffff', fillOpacity: 0.9 }}>
+              <Popup>
+                <div className="text-sm font-medium">{h.name}</div>
+                <button className="text-xs underline text-slate-500" onClick={() => goToSafety(h.coord)}>Route here</button>
+              </Popup>
+            </CircleMarker>
+          ))}
+
+          <KeyboardCursor onPick={keyboardPick} onCycleProfile={cycleProfile} onJournal={focusJournal} />
+          {selectedPoint && (
+            <>
+              <PanTo point={selectedPoint} />
+              <CircleMarker center={selectedPoint} radius={10} pathOptions={{ color: '#0ea5e9', weight: 3, fillOpacity: 0.15 }} />
+            </>
+          )}
 
           {/* Floating maneuver callout anchored to next turn */}
           {currentManeuver && (
-            <FloatingManeuver nextPoint={currentManeuver.point} label={currentManeuver.label} />
+            <FloatingManeuver nextPoint={currentManeuver.point} label={currentManeuver.countdown} />
           )}
         </MapContainer>
 
-        {/* Route selector overlay */}
+        {/* Screen reader mirrors of speech output and other status changes */}
+        <div className="sr-only" aria-live="assertive" aria-atomic="true">{spoken}</div>
+        <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
+
+        {/* Route selector overlay; Compare all sits outside the radio group */}
         <div className="absolute top-3 left-3 flex flex-wrap gap-2 z-[700]">
-          {routeOptions.map((r) => (
-            <button
-              key={r.key}
-              onClick={() => setProfileKey(r.key)}
-              className={`px-3 py-1.5 rounded-full text-sm font-medium shadow backdrop-blur border ${
-                profileKey === r.key
-                  ? 'bg-slate-900 text-white border-slate-900'
-                  : 'bg-white/90 text-slate-700 border-slate-200 hover:bg-white'
-              }`}
-              style={{ outlineColor: r.color }}
-            >
-              <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: r.color }} />
-              {r.label}
-            </button>
-          ))}
+          <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Route profile">
+            {routeOptions.map((r) => (
+              <button
+                key={r.key}
+                role="radio"
+                aria-checked={profileKey === r.key}
+                tabIndex={profileKey === r.key ? 0 : -1}
+                onClick={() => setProfileKey(r.key)}
+                onKeyDown={(e) => {
+                  const dir = e.key === 'ArrowRight' || e.key === 'ArrowDown' ? 1 : e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 0
+                  if (!dir) return
+                  e.preventDefault()
+                  const next = cycleProfile(dir)
+                  e.currentTarget.parentElement.querySelector(`[data-profile="${next}"]`).focus()
+                }}
+                data-profile={r.key}
+                className={`px-3 py-1.5 rounded-full text-sm font-medium shadow backdrop-blur border outline-none focus-visible:ring-2 focus-visible:ring-sky-500 ${
+                  profileKey === r.key
+                    ? 'bg-slate-900 text-white border-slate-900'
+                    : 'bg-white/90 text-slate-700 border-slate-200 hover:bg-white'
+                }`}
+                style={{ outlineColor: r.color }}
+              >
+                <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: r.color }} />
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => setCompareAll((c) => !c)}
+            aria-pressed={compareAll}
+            className={`px-3 py-1.5 rounded-full text-sm font-medium shadow backdrop-blur border ${
+              compareAll ? 'bg-violet-600 text-white border-violet-600' : 'bg-white/90 text-slate-700 border-slate-200 hover:bg-white'
+            }`}
+          >
+            Compare all
+          </button>
         </div>
 
         {/* Start/End picking toolbar */}
         <div className="absolute top-3 right-3 z-[700] max-w-xs space-y-2">
           <div className="bg-white/95 border border-slate-200 rounded-lg shadow p-3">
             <div className="text-sm font-semibold mb-2">Pick locations</div>
+            <TravelModePicker mode={travelMode} onChange={setTravelMode} hasFeed={!!transitFeed} status={transitStatus} onLoadFeed={loadTransitFiles} />
             <div className="flex gap-2">
               <button
                 aria-label="Select start on map"
@@ -676,20 +1608,68 @@ export default function MapView() {
             </div>
             <div className="flex items-center gap-2 mt-2">
               <button className="text-xs px-2 py-1 rounded border" onClick={useMyLocation}>Use my location</button>
+              <button
+                className={`text-xs px-2 py-1 rounded border ${selectionMode === 'report' ? 'bg-amber-500 text-white border-amber-500' : ''}`}
+                onClick={() => setSelectionMode(selectionMode === 'report' ? 'none' : 'report')}
+              >
+                Report hazard
+              </button>
               <button className="text-xs px-2 py-1 rounded border" onClick={() => setSelectionMode('none')}>Done</button>
             </div>
+            {(reportsError || reports.some((r) => !r.synced)) && (
+              <div className="mt-1 text-[11px] text-slate-400">
+                {reports.filter((r) => !r.synced).length} report(s) waiting to sync{reportsError ? ` • ${reportsError}` : ''}
+              </div>
+            )}
+            {linkErrors.length > 0 && (
+              <div className="mt-2 text-xs text-amber-700">
+                Ignored invalid link parameter{linkErrors.length > 1 ? 's' : ''}: {linkErrors.join(', ')}
+              </div>
+            )}
+            <PoiFilters filters={poiFilters} onChange={setPoiFilters} status={poiStatus} onLoad={loadPoiFile} />
+            <details className="mt-2 text-xs text-slate-600">
+              <summary className="cursor-pointer font-medium text-slate-700">Keyboard shortcuts</summary>
+              <ul className="mt-1 space-y-0.5">
+                <li>Tab to the map, then arrow keys move the crosshair</li>
+                <li><kbd>S</kbd> / <kbd>E</kbd> set start / end, <kbd>A</kbd> adds a stop</li>
+                <li><kbd>Enter</kbd> uses the selected pick mode</li>
+                <li><kbd>[</kbd> / <kbd>]</kbd> switch route profile</li>
+                <li><kbd>J</kbd> jumps to directions; <kbd>↑</kbd> / <kbd>↓</kbd> step through them</li>
+              </ul>
+            </details>
+            <NetworkLoader status={networkStatus} onLoad={loadNetworkFile} />
+            <div className="grid grid-cols-2 gap-2 mt-2">
+              <PlaceSearch geocoder={geocoder} label="Search start" placeholder="Start: street or crossing" onPick={(r) => setStart(r.coord)} />
+              <PlaceSearch geocoder={geocoder} label="Search destination" placeholder="End: street or crossing" onPick={(r) => setEnd(r.coord)} />
+            </div>
+            <div className="flex items-center gap-2 mt-2">
+              <div className="flex-1">
+                <PlaceSearch geocoder={geocoder} label="Add a stop" placeholder="Add stop: street or crossing" onPick={(r) => setWaypoints((w) => [...w, r.coord])} />
+              </div>
+              <button
+                aria-label="Add stops on map"
+                className={`text-xs px-2 py-1 rounded border ${selectionMode === 'stop' ? 'bg-violet-600 text-white border-violet-600' : ''}`}
+                onClick={() => setSelectionMode(selectionMode === 'stop' ? 'none' : 'stop')}
+              >
+                + Stop
+              </button>
+            </div>
             <div className="grid grid-cols-2 gap-2 mt-2 text-xs text-slate-600">
               <div>
-                <div>Start</div>
-                <div className="font-mono">{start[0].toFixed(5)}, {start[1].toFixed(5)}</div>
+                <div>Start: <span className="font-medium text-slate-800">{placeNames.start || 'Dropped pin'}</span></div>
+                <div className="font-mono text-[10px] text-slate-400">{start[0].toFixed(5)}, {start[1].toFixed(5)}</div>
               </div>
               <div>
-                <div>End</div>
-                <div className="font-mono">{end[0].toFixed(5)}, {end[1].toFixed(5)}</div>
+                <div>End: <span className="font-medium text-slate-800">{placeNames.end || 'Dropped pin'}</span></div>
+                <div className="font-mono text-[10px] text-slate-400">{end[0].toFixed(5)}, {end[1].toFixed(5)}</div>
               </div>
             </div>
           </div>
 
+          {draftReport && (
+            <ReportForm draft={draftReport} onChange={setDraftReport} onSubmit={submitReport} onCancel={() => setDraftReport(null)} />
+          )}
+
           {/* Live alert suggestions */}
           {suggestion && (
             <div className="bg-white/95 border border-slate-200 rounded-lg shadow p-3">
@@ -702,28 +1682,46 @@ export default function MapView() {
                 </div>
                 <div className="pl-3">
                   <div className="text-slate-500">Safety +</div>
-                  <div className="font-semibold">{Math.round((suggestion.safetyGain / Math.max(active.avgSafety, 1)) * 100)}%</div>
+                  <div className="font-semibold">{Math.max(0, Math.round((suggestion.safetyGain / Math.max(active.avgSafety, 1)) * 100))}%</div>
                 </div>
               </div>
+              <div className="mt-2 text-right">
+                <ScoreBreakdown explanation={suggestion.best.explanation} baseline={active.explanation} />
+              </div>
               <div className="flex gap-2 mt-3">
-                <button onClick={acceptSuggestion} className="px-3 py-1.5 rounded-md bg-slate-900 text-white text-sm">Switch</button>
+                <button onClick={() => acceptSuggestion(suggestion)} className="px-3 py-1.5 rounded-md bg-slate-900 text-white text-sm">Switch</button>
                 <button onClick={() => setShowCompare((s) => !s)} className="px-3 py-1.5 rounded-md bg-slate-100 text-slate-700 text-sm border">
                   {showCompare ? 'Hide compare' : 'Compare'}
                 </button>
+                <button onClick={dismissCurrentSuggestion} className="px-3 py-1.5 rounded-md text-slate-500 text-sm">
+                  Dismiss
+                </button>
               </div>
             </div>
           )}
         </div>
 
-        {/* Legend */}
-        <div className="absolute bottom-3 left-3 z-[700] bg-white/90 backdrop-blur border border-slate-200 rounded-lg p-3 text-sm text-slate-700 shadow">
-          <div className="font-semibold mb-1">Legend</div>
-          <div className="flex items-center gap-3 flex-wrap">
-            <div className="flex items-center gap-1"><span className="w-3 h-1.5 rounded-sm bg-emerald-500 inline-block" /> High safety</div>
-            <div className="flex items-center gap-1"><span className="w-3 h-1.5 rounded-sm bg-amber-500 inline-block" /> Medium</div>
-            <div className="flex items-center gap-1"><span className="w-3 h-1.5 rounded-sm bg-red-500 inline-block" /> Low</div>
-            <div className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-red-500 inline-block" /> Signal</div>
-          </div>
+        {/* SOS button, with the legend and network overlay controls below it */}
+        <div className="absolute bottom-3 left-3 z-[700] flex flex-col items-start gap-2">
+          {sosOpen ? (
+            <SosPanel
+              safeStreets={safeStreets}
+              havens={havens}
+              sharing={!!tripShare.share}
+              onGoTo={goToSafety}
+              onSendLocation={sendSos}
+              onClose={() => setSosOpen(false)}
+            />
+          ) : (
+            <button
+              className={`w-14 h-14 rounded-full font-bold text-white shadow-lg ${checkInState === 'overdue' || sosAt ? 'bg-red-700 ring-4 ring-red-300' : 'bg-red-600'}`}
+              aria-label="Emergency help"
+              onClick={() => setSosOpen(true)}
+            >
+              SOS
+            </button>
+          )}
+          <MapLegend overlay={overlay} metric={overlayMetricDef} at={overlayAt} onChange={setOverlay} />
         </div>
 
         {/* Preferences panel */}
@@ -738,20 +1736,112 @@ export default function MapView() {
             <input aria-label="Comfort level" type="range" min="0" max="1" step="0.25" value={prefs.comfort} onChange={(e)=>setPrefs((p)=>({ ...p, comfort: parseFloat(e.target.value) }))} className="w-full" />
             <span className="text-xs w-14 text-right">{prefs.comfort < 0.34 ? 'Low' : prefs.comfort < 0.67 ? 'Medium' : 'High'}</span>
           </div>
-          <label className="block text-xs text-slate-500 mt-3">Predict next (min): {horizon}</label>
-          <input aria-label="Prediction horizon" type="range" min="5" max="30" step="5" value={horizon} onChange={(e)=>setHorizon(parseInt(e.target.value))} className="w-full" />
+          <label className="block text-xs text-slate-500 mt-2" title="Safest and Night-Safe routes favour streets past places open at the time you pass">
+            Favour open safe havens: {(prefs.nearHavens*100).toFixed(0)}%
+          </label>
+          <input aria-label="Favour open safe havens" type="range" min="0" max="1" step="0.25" value={prefs.nearHavens} onChange={(e)=>setPrefs((p)=>({ ...p, nearHavens: parseFloat(e.target.value) }))} className="w-full" />
+          {timing.mode === 'now' && (
+            <>
+              <label className="block text-xs text-slate-500 mt-3">Leave in (min): {horizon}</label>
+              <input aria-label="Prediction horizon" type="range" min="0" max="30" step="5" value={horizon} onChange={(e)=>setHorizon(parseInt(e.target.value))} className="w-full" />
+            </>
+          )}
+          {!conditionsProvider && (
+            <>
+              <label className="block text-xs text-slate-500 mt-2">Live data</label>
+              <select aria-label="Live data source" value={providerKind} onChange={(e)=>setProviderKind(e.target.value)} className="w-full text-xs border rounded px-1 py-1 bg-white">
+                {providerKinds.map((k) => <option key={k.key} value={k.key}>{k.label}</option>)}
+              </select>
+            </>
+          )}
+          <div className={`text-[11px] mt-1 ${conditionsInfo.error ? 'text-red-600' : 'text-slate-400'}`}>
+            {conditionsInfo.error || (conditionsInfo.timestamp ? `Updated ${new Date(conditionsInfo.timestamp).toLocaleTimeString()}` : 'Waiting for data…')}
+          </div>
+          <ZonePanel
+            zones={zones}
+            preferredCount={preferredSegs.length}
+            selectionMode={selectionMode}
+            draft={draftZone}
+            error={zoneError}
+            onDraft={setDraftZone}
+            onStartDraw={startZoneDraw}
+            onSaveDraft={saveZone}
+            onCancelDraft={endZoneDraw}
+            onTogglePrefer={() => setSelectionMode(selectionMode === 'prefer' ? 'none' : 'prefer')}
+            onUpdate={zoneStore.updateZone}
+            onRemove={zoneStore.removeZone}
+            onClearPreferred={zoneStore.clearPreferred}
+          />
+          <SuggestionSettings settings={suggestionSettings} onChange={setSuggestionSettings} />
+          <VoiceSettings settings={voiceSettings} backend={speechBackend} onChange={setVoiceSettings} />
           <div className="flex items-center justify-between mt-2">
             <button className={`text-xs px-2 py-1 rounded border ${simOn ? 'bg-emerald-600 text-white border-emerald-600' : 'bg-white'}`} onClick={()=>setSimOn((v)=>!v)}>
               {simOn ? 'Sim ON' : 'Sim OFF'}
             </button>
             <button className="text-xs px-2 py-1 rounded border" onClick={()=>setShowCompare((s)=>!s)}>{showCompare ? 'Hide compare' : 'Show compare'}</button>
           </div>
+          <NavigationControls
+            navMode={navMode}
+            status={navStatus}
+            hasTrack={!!replayTrack}
+            onModeChange={setNavMode}
+            onTrackFile={loadTrackFile}
+          />
+          <TripSafety
+            timer={checkIn.timer}
+            status={checkInState}
+            canStart={active.path.length > 1}
+            onStartTimer={checkIn.start}
+            onCheckIn={confirmSafe}
+            onExtend={checkIn.extend}
+            onCancelTimer={checkIn.cancel}
+            share={tripShare.share}
+            endpoint={tripShare.endpoint}
+            onEndpoint={tripShare.setEndpoint}
+            onShare={() => tripShare.start()}
+            onStopShare={tripShare.stop}
+          />
         </div>
       </div>
 
       {/* Route journal side panel */}
-      <div className="h-[560px] lg:h-[680px] rounded-xl overflow-hidden bg-gradient-to-b from-slate-50 to-white border border-slate-200 shadow p-4">
-        <RouteJournal steps={active.steps} total={active.total} etaMin={active.etaMin} profile={profile} safetyAvg={active.avgSafety} />
+      <div className="h-[560px] lg:h-[680px] rounded-xl overflow-hidden bg-gradient-to-b from-slate-50 to-white border border-slate-200 shadow p-4 flex flex-col">
+        <DepartureTimePicker timing={timing} onChange={setTiming} />
+        <RouteTools
+          onSave={savePlannedTrip}
+          onExport={exportRoutes}
+          onAuditFile={loadAuditFile}
+          audit={auditTrack}
+          auditRoute={auditRoute}
+          onClearAudit={() => setAuditTrack(null)}
+        />
+        <OfflinePanel map={mapInstance} tileSource={tileSource} onTileSource={setTileSource} />
+        {compareAll && (
+          <RouteComparison comparison={comparison} activeKey={profileKey} onHover={setHoverKey} onSelect={setProfileKey} />
+        )}
+        <div className="flex-1 min-h-0">
+          <RouteJournal
+            steps={active.steps}
+            total={active.total}
+            etaMin={active.etaMin}
+            departAt={active.departAt}
+            arriveAt={active.arriveAt}
+            profile={profile}
+            safetyAvg={active.avgSafety}
+            explanation={active.explanation}
+            elevation={active.elevation}
+            accessNotes={active.accessNotes}
+            zoneNotes={active.zoneNotes}
+            legs={active.legs}
+            selectedStep={selectedStep}
+            onSelectStep={setSelectedStep}
+            listRef={journalListRef}
+            stopNames={waypoints.map((_, i) => placeNames.stops[i])}
+            onReorderStop={reorderStop}
+            onRemoveStop={removeStop}
+            onOptimizeStops={optimizeStops}
+          />
+        </div>
       </div>
     </div>
   )
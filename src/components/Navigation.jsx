@@ -0,0 +1,197 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import {
+  createGeolocationSource,
+  createTrackReplaySource,
+  createOffRouteDetector,
+  matchToPath,
+  hasArrived,
+  parseTrack,
+} from '../lib/tracking'
+import { haversineDistance } from '../lib/geo'
+import { tripStore } from '../lib/tripJournal'
+
+export default function NavigationControls({ navMode, status, hasTrack, onModeChange, onTrackFile }) {
+  const btn = (active) => `text-xs px-2 py-1 rounded border ${active ? 'bg-sky-600 text-white border-sky-600' : 'bg-white'}`
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-2">
+        <button className={btn(navMode === 'live')} onClick={() => onModeChange(navMode === 'live' ? 'sim' : 'live')}>
+          {navMode === 'live' ? 'Stop GPS' : 'Live GPS'}
+        </button>
+        <button className={btn(navMode === 'replay')} disabled={!hasTrack} onClick={() => onModeChange(navMode === 'replay' ? 'sim' : 'replay')}>
+          {navMode === 'replay' ? 'Stop replay' : 'Replay'}
+        </button>
+        <label className="text-xs px-2 py-1 rounded border cursor-pointer bg-white">
+          Track…
+          <input
+            type="file"
+            accept=".gpx,.json,.geojson"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files && e.target.files[0]
+              if (file) onTrackFile(file)
+              e.target.value = ''
+            }}
+          />
+        </label>
+      </div>
+      {navMode !== 'sim' && (
+        <div className={`text-[11px] mt-1 ${status.error ? 'text-red-600' : 'text-slate-400'}`}>
+          {status.error || `${Math.round(status.offRoute)} m from route • ${status.reroutes} reroute${status.reroutes === 1 ? '' : 's'}`}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// The trip being travelled, as recorded in the journal on arrival. Travel starts with the
+// first simulated step or position fix, against the route planned at that moment.
+const newTrip = (waypoints, mode) => ({ waypoints, mode, startedAt: null, origin: null, planned: null, travelled: 0, reroutes: 0, recorded: false })
+
+// Navigation session along the active route: 'sim' (timer), 'live' (device GPS) or
+// 'replay' (recorded track). Tracked fixes are map-matched onto the route, and leaving
+// it calls onReroute(coord, reached) with the number of stops already reached so the
+// route can be recomputed from there. Arrivals go into the trip journal.
+//   progress: { idx (path index), t, along }   status: { offRoute (m), reroutes, error }
+export function useNavigation({ active, stops, waypoints, profileKey, travelMode, network, guidance, onReroute }) {
+  const [progress, setProgress] = useState({ idx: 0, t: 0 })
+  const [simOn, setSimOn] = useState(true)
+  const [navMode, setNavMode] = useState('sim')
+  const [replayTrack, setReplayTrack] = useState(null)
+  const [position, setPosition] = useState(null) // last raw fix
+  const [status, setStatus] = useState({ offRoute: 0, reroutes: 0, error: null })
+
+  // Any trip in progress on another network: back to the simulated one, from the start
+  useEffect(() => {
+    setNavMode('sim')
+    setReplayTrack(null)
+    setPosition(null)
+    setProgress({ idx: 0, t: Date.now() })
+    setStatus({ offRoute: 0, reroutes: 0, error: null })
+  }, [network])
+
+  // Restart the simulated trip whenever the endpoints move
+  useEffect(() => { setProgress({ idx: 0, t: Date.now() }) }, [stops])
+
+  // One reroute count per trip, for off-route recalculations and accepted switches
+  // alike. A new plan (stops, profile or mode) starts a new trip, unless the change
+  // is the reroute itself.
+  const tripRef = useRef(null)
+  const reroutingRef = useRef(false)
+  useEffect(() => {
+    if (reroutingRef.current) {
+      reroutingRef.current = false
+      return
+    }
+    tripRef.current = newTrip(waypoints, travelMode)
+    setStatus((st) => ({ ...st, reroutes: 0 }))
+  }, [stops, waypoints, profileKey, travelMode, network])
+
+  const countReroute = useCallback(() => {
+    reroutingRef.current = true
+    tripRef.current.reroutes += 1
+    const { reroutes } = tripRef.current
+    setStatus((st) => ({ ...st, reroutes }))
+  }, [])
+
+  // Distance covered is added up as the traveller moves, so it follows the way actually taken
+  const travel = useCallback((route, from, to) => {
+    const trip = tripRef.current
+    if (trip.startedAt === null) Object.assign(trip, { startedAt: Date.now(), origin: from, planned: route })
+    trip.travelled += haversineDistance(from, to)
+  }, [])
+
+  const recordArrival = useCallback((route) => {
+    const trip = tripRef.current
+    if (trip.recorded || trip.startedAt === null) return
+    trip.recorded = true
+    tripStore.save({
+      status: 'completed',
+      start: trip.origin,
+      end: route.path[route.path.length - 1],
+      waypoints: trip.waypoints,
+      mode: trip.mode,
+      profile: route.key,
+      distance: trip.travelled,
+      etaMin: trip.planned.etaMin,
+      actualMin: (Date.now() - trip.startedAt) / 60000,
+      avgSafety: trip.planned.avgSafety,
+      reroutes: trip.reroutes,
+      departAt: trip.startedAt,
+      arriveAt: Date.now(),
+    })
+  }, [])
+
+  // Simulate movement along active route
+  const progressRef = useRef(progress)
+  useEffect(() => { progressRef.current = progress }, [progress])
+  useEffect(() => {
+    if (navMode !== 'sim' || !simOn || !active || active.path.length < 2) return
+    let raf
+    const step = () => {
+      const cur = progressRef.current
+      // advance based on an approximate speed derived from ETA
+      const points = active.path
+      const totalTimeMs = active.etaMin * 60 * 1000
+      const dt = 250 // ms per frame
+      const idxInc = Math.max(1, Math.round((points.length / (totalTimeMs / dt))))
+      const nextIdx = Math.min(points.length - 1, cur.idx + idxInc)
+      if (nextIdx > cur.idx) travel(active, points[cur.idx], points[nextIdx])
+      if (nextIdx === points.length - 1) recordArrival(active)
+      setProgress({ idx: nextIdx, t: Date.now() })
+      raf = setTimeout(step, dt)
+    }
+    raf = setTimeout(step, 300)
+    return () => clearTimeout(raf)
+  }, [active, simOn, navMode, travel, recordArrival])
+
+  // Follow real (or replayed) positions: map-match each fix onto the active path and
+  // recompute the route from the current position once the traveller leaves it
+  const activeRef = useRef(active)
+  useEffect(() => { activeRef.current = active }, [active])
+  useEffect(() => {
+    // Changing how the trip is followed starts it over
+    tripRef.current = newTrip(tripRef.current.waypoints, tripRef.current.mode)
+    setStatus({ offRoute: 0, reroutes: 0, error: null })
+    if (navMode === 'sim') return
+    const source = navMode === 'live'
+      ? createGeolocationSource()
+      : createTrackReplaySource({ points: replayTrack || [], speed: 4 })
+    const detector = createOffRouteDetector()
+    let last = null
+    return source.start((fix) => {
+      setPosition(fix.coord)
+      const route = activeRef.current
+      if (!route || route.path.length < 2) return
+      travel(route, last || fix.coord, fix.coord)
+      last = fix.coord
+      if (hasArrived(fix.coord, route.path)) {
+        setProgress({ idx: route.path.length - 1, t: fix.timestamp })
+        recordArrival(route)
+        return
+      }
+      const m = matchToPath(fix.coord, route.path, route.cumulative, progressRef.current.idx)
+      setStatus((st) => ({ ...st, offRoute: m.distance, error: null }))
+      if (detector.update(m.distance, fix.accuracy)) {
+        countReroute()
+        // Stops already reached are not visited again
+        const reached = route.legs.slice(0, -1).filter((leg) => leg.endPathIndex <= progressRef.current.idx).length
+        onReroute(fix.coord, reached)
+        guidance.alert('offRoute')
+        return
+      }
+      setProgress({ idx: m.index, t: fix.timestamp, along: m.along })
+    }, (err) => setStatus((st) => ({ ...st, error: err.message })))
+  }, [navMode, replayTrack, guidance, travel, recordArrival, countReroute, onReroute])
+
+  const loadTrackFile = useCallback(async (file) => {
+    try {
+      setReplayTrack(parseTrack(await file.text(), file.name))
+      setNavMode('replay')
+    } catch (err) {
+      setStatus((st) => ({ ...st, error: `${file.name}: ${err.message}` }))
+    }
+  }, [])
+
+  return { navMode, setNavMode, replayTrack, position, status, progress, simOn, setSimOn, activeRef, countReroute, loadTrackFile }
+}
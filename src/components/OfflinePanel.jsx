@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react'
+import {
+  MAX_REGION_TILES,
+  countTiles,
+  downloadRegion,
+  clearTileCache,
+  tileCacheSize,
+  offlineAvailable,
+} from '../lib/offline'
+import { openPMTiles, fileSource, urlSource } from '../lib/pmtiles'
+
+const boundsOf = (map) => {
+  const b = map.getBounds()
+  return [[b.getSouth(), b.getWest()], [b.getNorth(), b.getEast()]]
+}
+
+// Tile source picker plus "download this area" for offline use.
+// Tile sources: { kind: 'osm' } | { kind: 'url', template } | { kind: 'pmtiles', archive, name }
+export default function OfflinePanel({ map, tileSource, onTileSource }) {
+  const [online, setOnline] = useState(() => navigator.onLine)
+  const [zooms, setZooms] = useState({ min: 13, max: 16 })
+  const [estimate, setEstimate] = useState(0)
+  const [job, setJob] = useState(null) // { done, failed, total } while downloading
+  const [message, setMessage] = useState(null)
+  const [cached, setCached] = useState(null)
+  const [localUrl, setLocalUrl] = useState('http://localhost:8080/tiles/{z}/{x}/{y}.png')
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  // Re-estimate the download whenever the view or zoom range changes
+  useEffect(() => {
+    if (!map) return undefined
+    const update = () => setEstimate(countTiles(boundsOf(map), zooms.min, zooms.max))
+    update()
+    map.on('moveend', update)
+    return () => map.off('moveend', update)
+  }, [map, zooms])
+
+  const refreshCount = () => {
+    if (offlineAvailable()) tileCacheSize().then(setCached).catch(() => setCached(null))
+  }
+  useEffect(refreshCount, [])
+
+  const download = async () => {
+    setMessage(null)
+    setJob({ done: 0, failed: 0, total: estimate })
+    try {
+      const res = await downloadRegion({ bounds: boundsOf(map), minZoom: zooms.min, maxZoom: zooms.max, onProgress: setJob })
+      setMessage(`Saved ${res.cached} tiles${res.failed ? `, ${res.failed} failed` : ''}`)
+    } catch (err) {
+      setMessage(err.message)
+    }
+    setJob(null)
+    refreshCount()
+  }
+
+  const clear = async () => {
+    await clearTileCache()
+    setMessage('Offline tiles removed')
+    refreshCount()
+  }
+
+  const openArchive = async (source) => {
+    try {
+      const archive = await openPMTiles(source)
+      onTileSource({ kind: 'pmtiles', archive, name: source.name })
+      setMessage(`${source.name}: zoom ${archive.header.minZoom}–${archive.header.maxZoom}`)
+      if (map) map.fitBounds(archive.header.bounds)
+    } catch (err) {
+      setMessage(`${source.name}: ${err.message}`)
+    }
+  }
+
+  const swReady = offlineAvailable()
+
+  return (
+    <details className="mt-3 text-xs text-slate-600">
+      <summary className="cursor-pointer font-medium text-slate-700">
+        Offline maps <span className={online ? 'text-emerald-600' : 'text-amber-600'}>• {online ? 'online' : 'offline'}</span>
+      </summary>
+
+      <div className="mt-2 space-y-2">
+        <label className="block">
+          <span className="text-slate-500">Tiles</span>
+          <select
+            value={tileSource.kind}
+            onChange={(e) => {
+              if (e.target.value === 'osm') onTileSource({ kind: 'osm' })
+              if (e.target.value === 'url') onTileSource({ kind: 'url', template: localUrl })
+            }}
+            className="w-full border rounded px-1 py-1 bg-white"
+          >
+            <option value="osm">OpenStreetMap (cached)</option>
+            <option value="url">Local tile server (MBTiles)</option>
+            {tileSource.kind === 'pmtiles' && <option value="pmtiles">PMTiles: {tileSource.name}</option>}
+          </select>
+        </label>
+        {tileSource.kind === 'url' && (
+          <input
+            aria-label="Local tile URL template"
+            value={localUrl}
+            onChange={(e) => setLocalUrl(e.target.value)}
+            onBlur={() => onTileSource({ kind: 'url', template: localUrl })}
+            className="w-full border rounded px-1 py-1 font-mono text-[11px]"
+          />
+        )}
+        <div className="flex items-center gap-2">
+          <label className="inline-block px-2 py-1 rounded border cursor-pointer bg-white">
+            Open .pmtiles…
+            <input
+              type="file"
+              accept=".pmtiles"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files && e.target.files[0]
+                if (file) openArchive(fileSource(file))
+                e.target.value = ''
+              }}
+            />
+          </label>
+          {tileSource.kind === 'url' && /\.pmtiles(\?|$)/.test(localUrl) && (
+            <button className="px-2 py-1 rounded border" onClick={() => openArchive(urlSource(localUrl))}>Open URL as PMTiles</button>
+          )}
+        </div>
+
+        <div className="pt-2 border-t border-slate-100">
+          <div className="text-slate-500">Save the visible area ({tileSource.kind === 'osm' ? 'OpenStreetMap tiles' : 'switch to OpenStreetMap tiles first'})</div>
+          <div className="flex items-center gap-2 mt-1">
+            <label>Zoom</label>
+            <input aria-label="Minimum zoom" type="number" min="1" max="18" value={zooms.min} onChange={(e) => setZooms((z) => ({ ...z, min: Math.min(z.max, Number(e.target.value) || 1) }))} className="w-12 border rounded px-1" />
+            <span>to</span>
+            <input aria-label="Maximum zoom" type="number" min="1" max="18" value={zooms.max} onChange={(e) => setZooms((z) => ({ ...z, max: Math.max(z.min, Math.min(18, Number(e.target.value) || 1)) }))} className="w-12 border rounded px-1" />
+            <span className={estimate > MAX_REGION_TILES ? 'text-red-600' : 'text-slate-400'}>{estimate} tiles</span>
+          </div>
+          <div className="flex items-center gap-2 mt-1">
+            <button
+              className="px-2 py-1 rounded border disabled:opacity-50"
+              onClick={download}
+              disabled={!swReady || !online || !!job || !map || tileSource.kind !== 'osm' || estimate > MAX_REGION_TILES}
+            >
+              Download area
+            </button>
+            <button className="px-2 py-1 rounded border disabled:opacity-50" onClick={clear} disabled={!swReady || !!job}>Clear</button>
+            {cached != null && <span className="text-slate-400">{cached} cached</span>}
+          </div>
+          {!swReady && <div className="text-slate-400 mt-1">Offline caching needs the installed app (production build).</div>}
+          {job && <div className="mt-1">Downloading {job.done} / {job.total}…</div>}
+        </div>
+        {message && <div className="text-slate-500">{message}</div>}
+      </div>
+    </details>
+  )
+}
@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+// Search box with autocomplete backed by a geocoder (see lib/geocoder)
+export default function PlaceSearch({ geocoder, label, placeholder, onPick }) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [open, setOpen] = useState(false)
+  const [active, setActive] = useState(0)
+  const [error, setError] = useState(null)
+  const listId = useRef(`place-search-${Math.random().toString(36).slice(2, 8)}`).current
+
+  // Debounced lookup; a newer query aborts the request in flight
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([])
+      return undefined
+    }
+    const ctrl = new AbortController()
+    const t = setTimeout(() => {
+      geocoder.search(query, { limit: 6, signal: ctrl.signal })
+        .then((rows) => {
+          setResults(rows)
+          setActive(0)
+          setError(null)
+        })
+        .catch((e) => {
+          if (e.name !== 'AbortError') setError(e.message)
+        })
+    }, 200)
+    return () => {
+      clearTimeout(t)
+      ctrl.abort()
+    }
+  }, [query, geocoder])
+
+  const pick = (r) => {
+    onPick(r)
+    setQuery(r.label)
+    setOpen(false)
+  }
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setOpen(true)
+      setActive((i) => Math.min(results.length - 1, i + 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActive((i) => Math.max(0, i - 1))
+    } else if (e.key === 'Enter' && open && results[active]) {
+      e.preventDefault()
+      pick(results[active])
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+    }
+  }
+
+  const showList = open && results.length > 0
+
+  return (
+    <div className="relative">
+      <input
+        type="search"
+        role="combobox"
+        aria-label={label}
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={showList ? `${listId}-${active}` : undefined}
+        value={query}
+        placeholder={placeholder}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setOpen(true)
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={onKeyDown}
+        className="w-full border rounded px-2 py-1 text-xs"
+      />
+      {showList && (
+        <ul id={listId} role="listbox" className="absolute z-[1100] left-0 right-0 mt-1 bg-white border border-slate-200 rounded shadow max-h-48 overflow-auto">
+          {results.map((r, i) => (
+            <li
+              key={`${r.label}-${i}`}
+              id={`${listId}-${i}`}
+              role="option"
+              aria-selected={i === active}
+              onMouseDown={(e) => {
+                e.preventDefault()
+                pick(r)
+              }}
+              className={`px-2 py-1 text-xs cursor-pointer ${i === active ? 'bg-slate-100' : ''}`}
+            >
+              <div className="truncate">{r.label}</div>
+              <div className="text-[10px] text-slate-400">{r.kind === 'intersection' ? 'Intersection' : r.kind === 'street' ? 'Street' : 'Place'}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <div className="text-[11px] text-amber-700 mt-1">Search unavailable: {error}</div>}
+    </div>
+  )
+}
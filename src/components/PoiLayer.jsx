@@ -0,0 +1,129 @@
+import React, { useState } from 'react'
+import { CircleMarker, Marker, Popup, useMap, useMapEvents } from 'react-leaflet'
+import L from 'leaflet'
+import { poiKinds, poiKind, isOpenAt, clusterPoints } from '../lib/pois'
+
+// Clusters break apart from this zoom on
+const CLUSTER_MAX_ZOOM = 17
+
+const clockTime = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const clusterIcon = (n) => L.divIcon({
+  html: `<div style="transform: translate(-50%, -50%); width:28px; height:28px; border-radius:9999px; background:rgba(15,23,42,0.8); color:#fff; font-size:12px; font-weight:600; display:flex; align-items:center; justify-content:center; border:2px solid #fff">${n}</div>`,
+  className: 'poi-cluster',
+})
+
+export const DEFAULT_POI_FILTERS = { show: true, hidden: [], openOnly: false }
+
+export const visiblePois = (pois, filters, at) => (filters.show
+  ? pois.filter((p) => !filters.hidden.includes(p.kind) && (!filters.openOnly || isOpenAt(p.hours, at) !== false))
+  : [])
+
+// Points of interest, clustered by screen distance and shown open/closed at `at`
+// (the trip's departure)
+export default function PoiLayer({ pois, at }) {
+  const map = useMap()
+  const [zoom, setZoom] = useState(() => map.getZoom())
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) })
+
+  const clusters = zoom >= CLUSTER_MAX_ZOOM
+    ? pois.map((p) => ({ key: p.id, coord: p.coord, items: [p] }))
+    : clusterPoints(pois, (c) => map.project(c, zoom))
+
+  return clusters.map((c) => {
+    if (c.items.length > 1) {
+      return (
+        <Marker
+          key={`cluster-${c.key}`}
+          position={c.coord}
+          icon={clusterIcon(c.items.length)}
+          title={c.items.map((p) => p.name).join(', ')}
+          eventHandlers={{ click: () => map.fitBounds(L.latLngBounds(c.items.map((p) => p.coord)), { padding: [40, 40], maxZoom: CLUSTER_MAX_ZOOM }) }}
+        />
+      )
+    }
+    const p = c.items[0]
+    const kind = poiKind(p.kind)
+    const open = isOpenAt(p.hours, at)
+    return (
+      <CircleMarker
+        key={p.id}
+        center={p.coord}
+        radius={6}
+        pathOptions={{ color: kind.color, fillColor: open === false ? '#ffffff' : kind.color, fillOpacity: 0.85, weight: 2 }}
+      >
+        <Popup>
+          <div className="text-sm">
+            <div className="font-semibold">{p.name}</div>
+            <div className="text-xs text-slate-500">{kind.label}{p.haven ? ' • safe haven' : ''}</div>
+            {p.hoursText && <div className="text-xs font-mono">{p.hoursText}</div>}
+            <div className={`text-xs ${open === false ? 'text-red-600' : open ? 'text-emerald-700' : 'text-slate-500'}`}>
+              {open === null ? 'Opening hours unknown' : `${open ? 'Open' : 'Closed'} at ${clockTime(at)}`}
+            </div>
+            {p.phone && <a className="text-xs text-sky-700" href={`tel:${p.phone.replace(/\s/g, '')}`}>{p.phone}</a>}
+          </div>
+        </Popup>
+      </CircleMarker>
+    )
+  })
+}
+
+export function PoiFilters({ filters, onChange, status, onLoad }) {
+  const toggleKind = (key) => onChange({
+    ...filters,
+    hidden: filters.hidden.includes(key) ? filters.hidden.filter((k) => k !== key) : [...filters.hidden, key],
+  })
+  return (
+    <details className="mt-2 text-xs text-slate-600">
+      <summary className="cursor-pointer font-medium text-slate-700">Places</summary>
+      <div className="mt-1 space-y-1">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={filters.show} onChange={(e) => onChange({ ...filters, show: e.target.checked })} />
+          Show places on the map
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={filters.openOnly} onChange={(e) => onChange({ ...filters, openOnly: e.target.checked })} />
+          Only open at departure
+        </label>
+        <div className="flex flex-wrap gap-1">
+          {poiKinds.map((k) => (
+            <button
+              key={k.key}
+              aria-pressed={!filters.hidden.includes(k.key)}
+              onClick={() => toggleKind(k.key)}
+              className={`px-1.5 py-0.5 rounded border flex items-center gap-1 ${filters.hidden.includes(k.key) ? 'text-slate-400' : 'bg-white'}`}
+            >
+              <span className="w-2 h-2 rounded-full inline-block" style={{ background: k.color }} />
+              {k.label}
+            </button>
+          ))}
+        </div>
+        <label className="inline-block px-2 py-1 rounded border cursor-pointer bg-white">
+          Load places…
+          <input
+            type="file"
+            accept=".geojson,.json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files && e.target.files[0]
+              if (file) onLoad(file)
+              e.target.value = ''
+            }}
+          />
+        </label>
+        {status && (
+          <div className={status.error ? 'text-red-600' : 'text-slate-500'}>
+            {status.error || status.message}
+            {status.issues && status.issues.length > 0 && (
+              <ul className="list-disc pl-4 max-h-16 overflow-y-auto text-amber-700">
+                {status.issues.map((iss, i) => (
+                  <li key={i}>Feature {iss.feature}: {iss.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </details>
+  )
+}
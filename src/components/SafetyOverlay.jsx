@@ -0,0 +1,94 @@
+import React, { useMemo } from 'react'
+import { ImageOverlay, Polyline } from 'react-leaflet'
+import { overlayMetrics, bandColor } from '../lib/overlay'
+
+// offsetMin: minutes from now shown by the time slider; null follows the trip's departure
+export const DEFAULT_OVERLAY = { show: false, metric: 'safety', heat: false, offsetMin: null }
+
+const DAY_MIN = 24 * 60
+
+const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16))
+
+// The grid painted one pixel per cell; the browser's scaling smooths it out
+function heatImage(grid, metric) {
+  const canvas = document.createElement('canvas')
+  canvas.width = grid.cols
+  canvas.height = grid.rows
+  const ctx = canvas.getContext('2d')
+  const img = ctx.createImageData(grid.cols, grid.rows)
+  grid.values.forEach((v, i) => {
+    if (Number.isNaN(v)) return
+    const [r, g, b] = hexToRgb(bandColor(metric, v))
+    img.data.set([r, g, b, 150], i * 4)
+  })
+  ctx.putImageData(img, 0, 0)
+  return canvas.toDataURL()
+}
+
+// Every segment of the network in its metric color, with the heatmap underneath
+export default function SafetyOverlay({ values, grid, metric }) {
+  const url = useMemo(() => (grid ? heatImage(grid, metric) : null), [grid, metric])
+  return (
+    <>
+      {url && <ImageOverlay url={url} bounds={grid.bounds} opacity={0.6} />}
+      {values.map(({ seg, color }) => (
+        <Polyline key={`overlay-${seg.id}`} positions={seg.coords} pathOptions={{ color, weight: 5, opacity: 0.7 }} interactive={false} />
+      ))}
+    </>
+  )
+}
+
+// Legend for the route colors, or for the overlay with its controls and time slider
+export function MapLegend({ overlay, metric, at, onChange }) {
+  const set = (patch) => onChange({ ...overlay, ...patch })
+  const bands = overlay.show ? metric.bands : overlayMetrics[0].bands
+  return (
+    <div className="bg-white/90 backdrop-blur border border-slate-200 rounded-lg p-3 text-sm text-slate-700 shadow max-w-[300px]">
+      <div className="flex items-center justify-between gap-3 mb-1">
+        <div className="font-semibold">{overlay.show ? `${metric.label} across the area` : 'Legend'}</div>
+        <label className="flex items-center gap-1 text-xs">
+          <input type="checkbox" checked={overlay.show} onChange={(e) => set({ show: e.target.checked })} />
+          Whole network
+        </label>
+      </div>
+      <div className="flex items-center gap-x-3 gap-y-1 flex-wrap text-xs">
+        {bands.map((b) => (
+          <div key={b.label} className="flex items-center gap-1"><span className="w-3 h-1.5 rounded-sm inline-block" style={{ background: b.color }} /> {b.label}</div>
+        ))}
+        <div className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-red-500 inline-block" /> Signal</div>
+      </div>
+      {overlay.show && (
+        <div className="mt-2 space-y-1 text-xs">
+          <div className="flex items-center gap-2">
+            <select aria-label="Overlay metric" value={overlay.metric} onChange={(e) => set({ metric: e.target.value })} className="border rounded px-1 py-0.5 bg-white">
+              {overlayMetrics.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={overlay.heat} onChange={(e) => set({ heat: e.target.checked })} />
+              Heatmap
+            </label>
+          </div>
+          <label className="block text-slate-500">
+            At {new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            {overlay.offsetMin === null ? ' (departure)' : ''}
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              aria-label="Overlay time"
+              type="range"
+              min="0"
+              max={DAY_MIN - 15}
+              step="15"
+              value={overlay.offsetMin ?? Math.min(DAY_MIN - 15, Math.max(0, Math.round((at - Date.now()) / 60000)))}
+              onChange={(e) => set({ offsetMin: parseInt(e.target.value) })}
+              className="w-full"
+            />
+            {overlay.offsetMin !== null && (
+              <button className="px-1.5 py-0.5 rounded border" onClick={() => set({ offsetMin: null })}>Reset</button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
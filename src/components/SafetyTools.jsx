@@ -0,0 +1,185 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { EMERGENCY_NUMBER, startCheckIn, markArrived, extendCheckIn, checkIn, checkInStatus } from '../lib/emergency'
+import { createTripShare, sharePayload, DEFAULT_SHARE_ENDPOINT } from '../lib/tripShare'
+
+const meters = (m) => (m >= 1000 ? `${(m / 1000).toFixed(1)} km` : `${Math.round(m / 10) * 10} m`)
+const clock = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+// Emergency panel: call for help, send the live position, or head for the nearest
+// well-lit street or staffed safe haven
+export default function SosPanel({ safeStreets, havens, sharing, onGoTo, onSendLocation, onClose }) {
+  return (
+    <div role="dialog" aria-label="Emergency help" className="w-72 rounded-lg border border-red-200 bg-white/95 shadow-lg p-3 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="font-semibold text-red-700">Emergency help</div>
+        <button className="text-xs text-slate-500" onClick={onClose} aria-label="Close emergency help">✕</button>
+      </div>
+      <div className="mt-2 flex gap-2">
+        <a href={`tel:${EMERGENCY_NUMBER}`} className="flex-1 text-center px-2 py-1.5 rounded-md bg-red-600 text-white font-medium">Call {EMERGENCY_NUMBER}</a>
+        <button className="flex-1 px-2 py-1.5 rounded-md border border-red-300 text-red-700" onClick={onSendLocation}>
+          {sharing ? 'Alert contacts' : 'Share location'}
+        </button>
+      </div>
+
+      <div className="mt-3 text-xs uppercase tracking-wider text-slate-400">Safe havens</div>
+      {havens.length === 0 && <div className="text-xs text-slate-500">None nearby.</div>}
+      <ul className="mt-1 space-y-1">
+        {havens.map((h) => (
+          <li key={h.id} className="flex items-center justify-between gap-2 text-xs">
+            <span>
+              <span className="font-medium text-slate-800">{h.name}</span>
+              <span className="text-slate-500"> • {meters(h.distance)}</span>
+              {h.phone && <a className="ml-1 text-sky-700" href={`tel:${h.phone.replace(/\s/g, '')}`}>call</a>}
+            </span>
+            <button className="px-2 py-0.5 rounded border" onClick={() => onGoTo(h.coord)}>Go</button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-3 text-xs uppercase tracking-wider text-slate-400">Well-lit streets</div>
+      {safeStreets.length === 0 && <div className="text-xs text-slate-500">No well-lit, high-safety street nearby.</div>}
+      <ul className="mt-1 space-y-1">
+        {safeStreets.map((s) => (
+          <li key={s.seg.id} className="flex items-center justify-between gap-2 text-xs">
+            <span>
+              <span className="font-medium text-slate-800">{s.name}</span>
+              <span className="text-slate-500"> • {meters(s.distance)} • safety {Math.round(s.safety)}</span>
+            </span>
+            <button className="px-2 py-0.5 rounded border" onClick={() => onGoTo(s.point)}>Go</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+const STATUS_TEXT = {
+  running: (t) => `Check in by ${clock(t.deadline)}`,
+  arrived: (t) => `You've arrived. Check in by ${clock(t.deadline)}`,
+  overdue: (t) => `Check-in overdue since ${clock(t.deadline)}`,
+  safe: (t) => `Checked in at ${clock(t.checkedInAt)}`,
+}
+
+// Arrival check-in timer and "share my trip"
+export function TripSafety({ timer, status, canStart, onStartTimer, onCheckIn, onExtend, onCancelTimer, share, endpoint, onEndpoint, onShare, onStopShare }) {
+  return (
+    <div className="mt-3 text-xs text-slate-600 space-y-2">
+      <div className="font-medium text-slate-700">Trip safety</div>
+      {status === 'off' ? (
+        <button className="px-2 py-1 rounded border disabled:opacity-50" onClick={onStartTimer} disabled={!canStart}>Start check-in timer</button>
+      ) : (
+        <div className={`rounded border p-2 ${status === 'overdue' ? 'border-red-300 bg-red-50 text-red-700' : 'border-slate-200'}`} role={status === 'overdue' ? 'alert' : undefined}>
+          <div>{STATUS_TEXT[status](timer)}</div>
+          <div className="mt-1 flex gap-2">
+            {status !== 'safe' && <button className="px-2 py-0.5 rounded border bg-emerald-600 text-white border-emerald-600" onClick={onCheckIn}>I'm safe</button>}
+            {status !== 'safe' && <button className="px-2 py-0.5 rounded border" onClick={() => onExtend(10)}>+10 min</button>}
+            <button className="px-2 py-0.5 rounded border" onClick={onCancelTimer}>{status === 'safe' ? 'Clear' : 'Cancel'}</button>
+          </div>
+        </div>
+      )}
+
+      <div>
+        {share ? (
+          <div className="rounded border border-slate-200 p-2">
+            <div>
+              Sharing trip #{share.id}
+              {share.url && <> • <a className="text-sky-700" href={share.url} target="_blank" rel="noreferrer">link</a></>}
+            </div>
+            <div className={share.error ? 'text-red-600' : 'text-slate-400'}>
+              {share.error || (share.sentAt ? `Last update ${clock(share.sentAt)}` : 'Starting…')}
+            </div>
+            <button className="mt-1 px-2 py-0.5 rounded border" onClick={onStopShare}>Stop sharing</button>
+          </div>
+        ) : (
+          <div className="space-y-1">
+            <input
+              aria-label="Trip sharing endpoint"
+              value={endpoint}
+              onChange={(e) => onEndpoint(e.target.value)}
+              className="w-full border rounded px-1 py-1 font-mono text-[11px]"
+            />
+            <button className="px-2 py-1 rounded border disabled:opacity-50" onClick={onShare} disabled={!canStart}>Share my trip</button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Check-in timer: due a few minutes after arriving, or when the trip runs well over its
+// ETA. Guidance speaks up when it is time to check in and again when it is overdue.
+export function useCheckIn({ arrived, etaMin, guidance }) {
+  const [timer, setTimer] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  useEffect(() => {
+    if (!timer || timer.checkedInAt) return
+    const iv = setInterval(() => setNow(Date.now()), 5000)
+    return () => clearInterval(iv)
+  }, [timer])
+  useEffect(() => {
+    if (arrived) setTimer((t) => markArrived(t, Date.now()))
+  }, [arrived])
+  const status = checkInStatus(timer, now)
+  const alertedRef = useRef('off')
+  useEffect(() => {
+    if (alertedRef.current === status) return
+    alertedRef.current = status
+    if (status === 'arrived') guidance.alert('checkIn')
+    if (status === 'overdue') guidance.alert('checkInOverdue')
+  }, [status, guidance])
+  const start = () => {
+    const at = Date.now()
+    setNow(at)
+    setTimer(arrived ? markArrived(startCheckIn(etaMin, at), at) : startCheckIn(etaMin, at))
+  }
+  return {
+    timer,
+    status,
+    start,
+    confirm: () => setTimer((t) => checkIn(t, Date.now())),
+    extend: (minutes) => setTimer((t) => extendCheckIn(t, minutes)),
+    cancel: () => setTimer(null),
+  }
+}
+
+// Share my trip: route, ETA and live position posted to the share endpoint, with
+// throttled position updates; a new status goes out straight away.
+// `share` is { id, url, startedAt, sentAt, error } while sharing.
+export function useTripShare({ route, position, status, profile, mode, onError }) {
+  const [endpoint, setEndpoint] = useState(DEFAULT_SHARE_ENDPOINT)
+  const [share, setShare] = useState(null)
+  const clientRef = useRef(null)
+  const sentStatusRef = useRef(null)
+  const payloadFor = (s, startedAt) => sharePayload({ route, position, status: s, startedAt, profile, mode })
+  const start = async (s = status) => {
+    if (clientRef.current) return
+    const client = createTripShare({ endpoint })
+    const startedAt = Date.now()
+    clientRef.current = client
+    sentStatusRef.current = s
+    try {
+      const { id, url } = await client.start(payloadFor(s, startedAt))
+      setShare({ id, url, startedAt, sentAt: Date.now(), error: null })
+    } catch (err) {
+      clientRef.current = null
+      setShare(null)
+      onError(err)
+    }
+  }
+  const stop = () => {
+    const client = clientRef.current
+    clientRef.current = null
+    if (client && share) client.stop(payloadFor(status, share.startedAt)).catch(() => {})
+    setShare(null)
+  }
+  useEffect(() => {
+    const client = clientRef.current
+    if (!client || !client.id || !share || route.path.length === 0) return
+    const force = sentStatusRef.current !== status
+    sentStatusRef.current = status
+    client.update(payloadFor(status, share.startedAt), { force })
+      .then((sent) => sent && setShare((s) => s && { ...s, sentAt: Date.now(), error: null }))
+      .catch((err) => setShare((s) => s && { ...s, error: `Sharing failed: ${err.message}` }))
+  }, [position, status, share && share.id, route])
+  return { share, endpoint, setEndpoint, start, stop }
+}
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react'
+import { scoreTerms, diffExplanations } from '../lib/scoring'
+
+// Scores are small fractions; show them as points (score x 100)
+const pts = (v) => `${v >= 0 ? '+' : '−'}${Math.abs(v * 100).toFixed(1)}`
+
+// Terms that adjust a segment away from its street's base safety and free-flow time
+const ADJUSTMENTS = ['lighting', 'predicted', 'reports', 'congestion', 'crowd', 'zones']
+
+function TermBar({ label, value, scale }) {
+  const width = `${Math.min(100, (Math.abs(value) / scale) * 100)}%`
+  return (
+    <div className="flex items-center gap-2">
+      <div className="w-28 shrink-0 text-slate-600">{label}</div>
+      <div className="flex-1 h-1.5 bg-slate-100 rounded">
+        <div className={`h-1.5 rounded ${value >= 0 ? 'bg-emerald-500' : 'bg-red-500'}`} style={{ width }} />
+      </div>
+      <div className="w-12 text-right font-mono">{pts(value)}</div>
+    </div>
+  )
+}
+
+// Why a route scores the way it does. With `baseline`, shows what changed relative to it.
+export function ScoreDetails({ explanation, baseline }) {
+  const rows = baseline
+    ? diffExplanations(baseline, explanation).map((d) => ({ key: d.key, label: d.label, value: d.delta }))
+    : scoreTerms
+      .map((t) => ({ key: t.key, label: t.label, value: explanation.terms[t.key] }))
+      // Only transit trips wait, and only routes through avoid zones pay for them
+      .filter((r) => (r.key !== 'waiting' && r.key !== 'zones') || r.value !== 0)
+  const scale = Math.max(...rows.map((r) => Math.abs(r.value)), 1e-6)
+
+  // Segments whose conditions moved the score the most
+  const movers = explanation.segments
+    .map((seg) => ({ ...seg, moved: ADJUSTMENTS.reduce((a, k) => a + seg.parts[k], 0) }))
+    .filter((seg) => Math.abs(seg.moved) > 1e-4)
+    .sort((a, b) => Math.abs(b.moved) - Math.abs(a.moved))
+    .slice(0, 3)
+
+  return (
+    <div className="text-xs space-y-1">
+      <div className="text-slate-500">
+        {baseline ? 'Change versus the current route, in points' : `Score ${pts(explanation.score)} points, by term`}
+      </div>
+      {rows.length === 0 && <div className="text-slate-500">No meaningful difference.</div>}
+      {rows.map((r) => <TermBar key={r.key} label={r.label} value={r.value} scale={scale} />)}
+      {movers.length > 0 && (
+        <div className="pt-1 border-t border-slate-100">
+          <div className="text-slate-500 mb-0.5">Segments that moved it most</div>
+          {movers.map((seg, i) => {
+            const top = ADJUSTMENTS.reduce((a, k) => (Math.abs(seg.parts[k]) > Math.abs(seg.parts[a]) ? k : a), ADJUSTMENTS[0])
+            return (
+              <div key={`${seg.id}-${i}`} className="flex justify-between gap-2">
+                <span>{seg.name} <span className="text-slate-400">({scoreTerms.find((t) => t.key === top).label.toLowerCase()})</span></span>
+                <span className="font-mono">{pts(seg.moved)}</span>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// "Why?" button with the details in a popover
+export default function ScoreBreakdown({ explanation, baseline, label = 'Why?', dark = false }) {
+  const [open, setOpen] = useState(false)
+  useEffect(() => {
+    if (!open) return undefined
+    const onKey = (e) => e.key === 'Escape' && setOpen(false)
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [open])
+  return (
+    <div className="relative inline-block">
+      <button
+        aria-expanded={open}
+        onClick={() => setOpen((o) => !o)}
+        className={`text-xs underline ${dark ? 'text-slate-300' : 'text-slate-600'}`}
+      >
+        {label}
+      </button>
+      {open && (
+        <div role="dialog" aria-label="Score breakdown" className="absolute z-[1000] right-0 mt-1 w-72 bg-white text-slate-800 border border-slate-200 rounded-lg shadow-lg p-3">
+          <ScoreDetails explanation={explanation} baseline={baseline} />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,103 @@
+import React, { useMemo, useState, useSyncExternalStore } from 'react'
+import { tripStore, filterTrips } from '../lib/tripJournal'
+import { routeOptions } from '../lib/profiles'
+import { downloadFile } from '../lib/download'
+
+const fmtDate = (ts) => new Date(ts).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+const fmtCoord = (c) => `${c[0].toFixed(4)}, ${c[1].toFixed(4)}`
+const profileLabel = (key) => (routeOptions.find((o) => o.key === key) || { label: key }).label
+
+// Day boundaries for <input type="date"> values, in local time
+const dayStart = (v) => (v ? new Date(`${v}T00:00`).getTime() : null)
+const dayEnd = (v) => (v ? new Date(`${v}T23:59:59.999`).getTime() : null)
+
+function TripDetail({ trip }) {
+  const rows = [
+    ['From', fmtCoord(trip.start)],
+    ['To', fmtCoord(trip.end)],
+    ['Stops', (trip.waypoints || []).length],
+    ['Distance', `${(trip.distance / 1000).toFixed(2)} km`],
+    ['ETA', `${Math.round(trip.etaMin)} min`],
+    ['Actual', trip.actualMin != null ? `${Math.round(trip.actualMin)} min` : '—'],
+    ['Avg safety', `${Math.round(trip.avgSafety)} / 100`],
+    ['Reroutes accepted', trip.reroutes ?? 0],
+  ]
+  return (
+    <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-slate-600 mt-2">
+      {rows.map(([k, v]) => (
+        <React.Fragment key={k}>
+          <dt className="text-slate-400">{k}</dt>
+          <dd className="font-mono">{v}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  )
+}
+
+export default function TripJournal() {
+  const trips = useSyncExternalStore(tripStore.subscribe, tripStore.list)
+  const [filter, setFilter] = useState({ from: '', to: '', profile: '' })
+  const [openId, setOpenId] = useState(null)
+
+  const shown = useMemo(() => filterTrips(trips, {
+    from: dayStart(filter.from),
+    to: dayEnd(filter.to),
+    profile: filter.profile,
+  }), [trips, filter])
+
+  const exportJson = () => downloadFile('saferoutes-journal.json', tripStore.exportJson(shown), 'application/json')
+
+  return (
+    <div className="text-slate-800">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold">Journal</h2>
+          <p className="text-xs text-slate-500">Saved and completed trips. Stored only on this device.</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2 text-xs">
+          <label className="flex flex-col">
+            <span className="text-slate-500">From</span>
+            <input type="date" value={filter.from} onChange={(e) => setFilter((f) => ({ ...f, from: e.target.value }))} className="border rounded px-2 py-1" />
+          </label>
+          <label className="flex flex-col">
+            <span className="text-slate-500">To</span>
+            <input type="date" value={filter.to} onChange={(e) => setFilter((f) => ({ ...f, to: e.target.value }))} className="border rounded px-2 py-1" />
+          </label>
+          <label className="flex flex-col">
+            <span className="text-slate-500">Profile</span>
+            <select value={filter.profile} onChange={(e) => setFilter((f) => ({ ...f, profile: e.target.value }))} className="border rounded px-2 py-1 bg-white">
+              <option value="">All</option>
+              {routeOptions.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
+            </select>
+          </label>
+          <button className="px-2 py-1 rounded border" onClick={exportJson} disabled={shown.length === 0}>Export JSON</button>
+        </div>
+      </div>
+
+      {shown.length === 0 ? (
+        <div className="mt-4 text-sm text-slate-500">
+          {trips.length === 0 ? 'No trips yet. Save a route from the map or finish a navigated trip.' : 'No trips match these filters.'}
+        </div>
+      ) : (
+        <ul className="mt-4 divide-y divide-slate-200 border border-slate-200 rounded-lg">
+          {shown.map((t) => (
+            <li key={t.id} className="p-3">
+              <div className="flex items-center justify-between gap-3">
+                <button className="text-left flex-1" onClick={() => setOpenId(openId === t.id ? null : t.id)} aria-expanded={openId === t.id}>
+                  <div className="text-sm font-medium">
+                    {profileLabel(t.profile)} • {(t.distance / 1000).toFixed(2)} km • {Math.round(t.actualMin ?? t.etaMin)} min
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {fmtDate(t.createdAt)} • {t.status === 'completed' ? 'Completed' : 'Planned'} • safety {Math.round(t.avgSafety)}
+                  </div>
+                </button>
+                <button className="text-xs px-2 py-1 rounded border text-red-600" onClick={() => tripStore.remove(t.id)}>Delete</button>
+              </div>
+              {openId === t.id && <TripDetail trip={t} />}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,92 @@
+import React from 'react'
+import { Polygon, Polyline, Popup } from 'react-leaflet'
+import { zoneActiveAt } from '../lib/zones'
+
+const zoneStyle = (zone, active) => ({
+  color: zone.hard ? '#b91c1c' : '#d97706',
+  weight: 2,
+  dashArray: zone.hard ? undefined : '6 4',
+  fillOpacity: active ? 0.2 : 0.05,
+  opacity: active ? 0.9 : 0.4,
+})
+
+// Avoid zones (faded outside their hours at `at`), preferred streets and the zone being drawn
+export default function ZoneLayer({ zones, preferredSegs, draft, at, onRemove }) {
+  return (
+    <>
+      {preferredSegs.map((seg) => (
+        <Polyline key={`pref-${seg.id}`} positions={seg.coords} pathOptions={{ color: '#2563eb', weight: 10, opacity: 0.35 }} interactive={false} />
+      ))}
+      {zones.map((z) => (
+        <Polygon key={z.id} positions={z.polygon} pathOptions={zoneStyle(z, zoneActiveAt(z, at))}>
+          <Popup>
+            <div className="text-sm font-semibold">{z.name}</div>
+            <div className="text-xs text-slate-500">{z.hard ? 'Never route through' : 'Avoid if possible'}{z.hours ? `, ${z.hours}` : ''}</div>
+            <button className="mt-1 text-xs underline text-slate-500" onClick={() => onRemove(z.id)}>Remove</button>
+          </Popup>
+        </Polygon>
+      ))}
+      {draft && draft.polygon.length > 0 && (
+        <Polygon positions={draft.polygon} pathOptions={{ ...zoneStyle(draft, true), dashArray: '2 6' }} interactive={false} />
+      )}
+    </>
+  )
+}
+
+// Drawing and listing avoid zones, and marking preferred streets
+export function ZonePanel({ zones, preferredCount, selectionMode, draft, error, onDraft, onStartDraw, onSaveDraft, onCancelDraft, onTogglePrefer, onUpdate, onRemove, onClearPreferred }) {
+  return (
+    <details className="mt-2 text-xs text-slate-600">
+      <summary className="cursor-pointer text-slate-500">Avoid zones & preferred streets</summary>
+      <div className="mt-1 space-y-2">
+        {draft ? (
+          <div className="rounded border border-slate-200 p-2 space-y-1">
+            <div>Click the map to add corners ({draft.polygon.length} so far).</div>
+            <input aria-label="Zone name" placeholder="Name" value={draft.name} onChange={(e) => onDraft({ ...draft, name: e.target.value })} className="w-full border rounded px-1 py-0.5" />
+            <div className="flex items-center gap-2">
+              <select aria-label="Zone strictness" value={draft.hard ? 'hard' : 'soft'} onChange={(e) => onDraft({ ...draft, hard: e.target.value === 'hard' })} className="border rounded px-1 py-0.5 bg-white">
+                <option value="hard">Never</option>
+                <option value="soft">Avoid if possible</option>
+              </select>
+              <input aria-label="Zone hours" placeholder="Always, or 21:00-06:00" value={draft.hours} onChange={(e) => onDraft({ ...draft, hours: e.target.value })} className="flex-1 min-w-0 border rounded px-1 py-0.5" />
+            </div>
+            {error && <div className="text-red-600">{error}</div>}
+            <div className="flex gap-2">
+              <button className="px-2 py-0.5 rounded border bg-slate-900 text-white disabled:opacity-50" disabled={draft.polygon.length < 3} onClick={onSaveDraft}>Save zone</button>
+              <button className="px-2 py-0.5 rounded border" disabled={draft.polygon.length === 0} onClick={() => onDraft({ ...draft, polygon: draft.polygon.slice(0, -1) })}>Undo corner</button>
+              <button className="px-2 py-0.5 rounded border" onClick={onCancelDraft}>Cancel</button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex gap-2">
+            <button className="px-2 py-1 rounded border" onClick={onStartDraw}>Draw avoid zone</button>
+            <button
+              className={`px-2 py-1 rounded border ${selectionMode === 'prefer' ? 'bg-blue-600 text-white border-blue-600' : ''}`}
+              onClick={onTogglePrefer}
+            >
+              {selectionMode === 'prefer' ? 'Done marking' : 'Mark preferred streets'}
+            </button>
+          </div>
+        )}
+        {selectionMode === 'prefer' && <div className="text-slate-500">Click a street to mark or unmark it.</div>}
+        <ul className="space-y-1">
+          {zones.map((z) => (
+            <li key={z.id} className="flex items-center justify-between gap-2">
+              <span className="truncate">{z.name}{z.hours ? ` (${z.hours})` : ''}</span>
+              <span className="flex items-center gap-1 shrink-0">
+                <button className="px-1.5 py-0.5 rounded border" onClick={() => onUpdate(z.id, { hard: !z.hard })}>{z.hard ? 'Never' : 'Avoid'}</button>
+                <button className="px-1.5 py-0.5 rounded border" aria-label={`Remove ${z.name}`} onClick={() => onRemove(z.id)}>✕</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+        {preferredCount > 0 && (
+          <div className="flex items-center justify-between">
+            <span>{preferredCount} preferred street{preferredCount === 1 ? '' : 's'}</span>
+            <button className="underline text-slate-500" onClick={onClearPreferred}>Clear</button>
+          </div>
+        )}
+      </div>
+    </details>
+  )
+}
@@ -0,0 +1,250 @@
+// Mocked road network with realistic curved segments (polyline chunks per street)
+// Each segment contains: coordinates, street name, speed (km/h), safety score 0-100,
+// lighting 0-1. Cross streets share vertices with the main streets so the router can turn.
+// Accessibility attributes (sidewalk, curbCuts, stairs, surface, incline) are optional;
+// some coordinates carry elevation in meters as a third value.
+export const roadNetwork = {
+  streets: [
+    {
+      id: 'A',
+      name: 'Aurora Ave',
+      segments: [
+        {
+          id: 'A1',
+          coords: [
+            [37.776, -122.424],
+            [37.7765, -122.421],
+            [37.7768, -122.4185],
+            [37.7772, -122.416],
+          ],
+          speed: 40,
+          safety: 62,
+          signals: [[37.7765, -122.421], [37.7772, -122.416]],
+          lanes: 2,
+          lighting: 0.7,
+          sidewalk: 'both',
+          curbCuts: true,
+          surface: 'asphalt',
+        },
+        {
+          id: 'A2',
+          coords: [
+            [37.7772, -122.416],
+            [37.7783, -122.4135],
+            [37.779, -122.4115],
+          ],
+          speed: 40,
+          safety: 55,
+          signals: [[37.7783, -122.4135]],
+          lanes: 2,
+          lighting: 0.65,
+          sidewalk: 'both',
+          curbCuts: true,
+          surface: 'asphalt',
+        },
+      ],
+    },
+    {
+      id: 'B',
+      name: 'Beacon St',
+      segments: [
+        {
+          id: 'B1',
+          coords: [
+            [37.7745, -122.419],
+            [37.7752, -122.417],
+            [37.776, -122.4145],
+          ],
+          speed: 30,
+          safety: 80,
+          signals: [[37.7752, -122.417]],
+          lanes: 1,
+          lighting: 0.9,
+          sidewalk: 'both',
+          curbCuts: true,
+          surface: 'paving_stones',
+        },
+        {
+          id: 'B2',
+          coords: [
+            [37.776, -122.4145],
+            [37.777, -122.412],
+            [37.7778, -122.41],
+          ],
+          speed: 30,
+          safety: 78,
+          signals: [[37.777, -122.412]],
+          lanes: 1,
+          lighting: 0.85,
+          sidewalk: 'right',
+          curbCuts: true,
+          surface: 'asphalt',
+        },
+      ],
+    },
+    {
+      id: 'C',
+      name: 'Cobalt Blvd',
+      segments: [
+        {
+          id: 'C1',
+          coords: [
+            [37.7735, -122.4235, 12],
+            [37.773, -122.421, 10],
+            [37.7725, -122.418, 8],
+          ],
+          speed: 50,
+          safety: 45,
+          signals: [[37.773, -122.421]],
+          lanes: 3,
+          lighting: 0.4,
+          sidewalk: 'both',
+          curbCuts: true,
+          surface: 'asphalt',
+        },
+        {
+          id: 'C2',
+          coords: [
+            [37.7725, -122.418, 8],
+            [37.772, -122.4155, 6],
+            [37.7715, -122.413, 5],
+          ],
+          speed: 50,
+          safety: 42,
+          signals: [[37.772, -122.4155]],
+          lanes: 3,
+          lighting: 0.35,
+          sidewalk: 'both',
+          curbCuts: false,
+          surface: 'asphalt',
+        },
+      ],
+    },
+    {
+      id: 'D',
+      name: 'Dover St',
+      segments: [
+        {
+          id: 'D1',
+          coords: [
+            [37.7725, -122.418, 8],
+            [37.7735, -122.4185, 16],
+            [37.7745, -122.419, 25],
+          ],
+          speed: 30,
+          safety: 58,
+          signals: [],
+          lanes: 1,
+          lighting: 0.5,
+          sidewalk: 'both',
+          curbCuts: true,
+          surface: 'concrete',
+        },
+        {
+          id: 'D2',
+          coords: [
+            [37.7745, -122.419],
+            [37.7757, -122.4188],
+            [37.7768, -122.4185],
+          ],
+          speed: 30,
+          safety: 70,
+          signals: [],
+          lanes: 1,
+          lighting: 0.75,
+          sidewalk: 'both',
+          curbCuts: true,
+          surface: 'concrete',
+        },
+      ],
+    },
+    {
+      id: 'E',
+      name: 'Elm St',
+      segments: [
+        {
+          id: 'E1',
+          coords: [
+            [37.772, -122.4155],
+            [37.774, -122.415],
+            [37.776, -122.4145],
+          ],
+          speed: 30,
+          safety: 64,
+          signals: [],
+          lanes: 1,
+          lighting: 0.6,
+          sidewalk: 'both',
+          curbCuts: true,
+          surface: 'cobblestone',
+        },
+        {
+          id: 'E2',
+          coords: [
+            [37.776, -122.4145],
+            [37.7772, -122.416],
+          ],
+          speed: 30,
+          safety: 74,
+          signals: [],
+          lanes: 1,
+          lighting: 0.8,
+          sidewalk: 'both',
+          curbCuts: true,
+          surface: 'asphalt',
+        },
+      ],
+    },
+    {
+      id: 'F',
+      name: 'Fulton Ln',
+      segments: [
+        {
+          id: 'F1',
+          coords: [
+            [37.7778, -122.41],
+            [37.7785, -122.4108],
+            [37.779, -122.4115],
+          ],
+          speed: 20,
+          safety: 72,
+          signals: [],
+          lanes: 1,
+          lighting: 0.7,
+          stairs: true,
+          surface: 'paved',
+        },
+      ],
+    },
+    {
+      id: 'G',
+      name: 'Garnet Pl',
+      segments: [
+        {
+          id: 'G1',
+          coords: [
+            [37.7735, -122.4235],
+            [37.7748, -122.4238],
+            [37.776, -122.424],
+          ],
+          speed: 20,
+          safety: 66,
+          signals: [],
+          lanes: 1,
+          lighting: 0.55,
+          sidewalk: 'left',
+          curbCuts: true,
+          surface: 'asphalt',
+        },
+      ],
+    },
+  ],
+  intersections: [
+    { id: 'I1', coord: [37.7765, -122.421] },
+    { id: 'I2', coord: [37.7772, -122.416] },
+    { id: 'I3', coord: [37.7752, -122.417] },
+    { id: 'I4', coord: [37.776, -122.4145] },
+    { id: 'I5', coord: [37.773, -122.421] },
+    { id: 'I6', coord: [37.772, -122.4155] },
+  ],
+}
@@ -0,0 +1,47 @@
+// A tiny GTFS feed along one east-west street (lat 0, lng 0 to 0.05, about 5.5 km):
+// bus 10 runs Market (S1) -> Central (S2) at 08:05, metro M2 runs from Central East (S2b),
+// a short walk away in the same station, to Harbour (S3) at 08:20 with an untimed stop
+// between, and a night M2 leaves Market at 24:35 on the service day of 2024-01-01 only.
+export const miniFeedFiles = {
+  'stops.txt': [
+    'stop_id,stop_name,stop_lat,stop_lon,location_type,parent_station',
+    'S1,"Market St, North",0,0.001,0,',
+    'S2,Central,0,0.025,0,STA',
+    'S2b,Central East,0,0.026,0,STA',
+    'STA,Central Station,0,0.0255,1,',
+    'S2c,Dockside,0,0.037,,',
+    'S3,Harbour,0,0.049,0,',
+    'BAD,Nowhere,,,0,',
+  ].join('\r\n'),
+  'routes.txt': [
+    'route_id,route_short_name,route_long_name,route_type,route_color',
+    'A,10,"Crosstown ""Express""",3,FF0000',
+    'B,M2,,1,',
+  ].join('\n'),
+  'trips.txt': [
+    'route_id,service_id,trip_id,trip_headsign',
+    'A,WK,A1,Central',
+    'B,WK,B1,Harbour',
+    'B,NIGHT,N1,Harbour',
+    'Z,WK,Z1,Unknown route',
+  ].join('\n'),
+  'stop_times.txt': [
+    'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+    'A1,08:05:00,08:05:00,S1,1',
+    'A1,08:10:00,08:10:00,S2,2',
+    'B1,08:30:00,08:30:00,S3,3',
+    'B1,,,S2c,2',
+    'B1,08:20:00,08:20:00,S2b,1',
+    'N1,24:35:00,24:35:00,S1,1',
+    'N1,24:50:00,24:50:00,S3,2',
+  ].join('\n'),
+  'calendar.txt': [
+    'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date',
+    'WK,1,1,1,1,1,1,1,20240101,20241231',
+  ].join('\n'),
+  'calendar_dates.txt': [
+    'service_id,date,exception_type',
+    'NIGHT,20240101,1',
+    'WK,20240102,2',
+  ].join('\n'),
+}
@@ -0,0 +1,72 @@
+import { elevationStats } from './geo'
+
+// Step-free (wheelchair / stroller) routing. Segments may carry:
+//   sidewalk: 'both' | 'left' | 'right' | 'none', curbCuts: boolean, stairs: boolean,
+//   incline: max grade in %, surface: OSM surface value, wheelchair: 'yes' | 'limited' | 'no'
+// Missing attributes mean "unknown", which is allowed but reported.
+// Without an explicit incline the grade comes from coordinate elevations, if any.
+
+export const MAX_INCLINE = 8 // %, steeper is impassable (ramp limit)
+export const COMFORT_INCLINE = 5 // %, steeper is passable with effort
+
+const ROUGHNESS = {
+  paved: 0,
+  asphalt: 0,
+  concrete: 0,
+  paving_stones: 0.2,
+  compacted: 0.3,
+  wood: 0.3,
+  sett: 0.5,
+  cobblestone: 0.6,
+  fine_gravel: 0.5,
+  gravel: 0.7,
+  unpaved: 0.7,
+  dirt: 0.8,
+  ground: 0.8,
+  grass: 0.9,
+  sand: 0.9,
+}
+
+const ACCESS_KEYS = ['sidewalk', 'curbCuts', 'stairs', 'incline', 'surface', 'wheelchair']
+
+export const hasAccessData = (seg) => ACCESS_KEYS.some((k) => seg[k] !== undefined)
+
+export const roughness = (seg) => (seg.surface ? ROUGHNESS[seg.surface] ?? 0.4 : 0)
+
+// Segments are shared objects in the graph, so the derived grade is cached per segment
+const grades = new WeakMap()
+export function inclineOf(seg) {
+  if (Number.isFinite(seg.incline)) return Math.abs(seg.incline)
+  if (!grades.has(seg)) grades.set(seg, elevationStats(seg.coords).maxGrade)
+  return grades.get(seg)
+}
+
+// Why a segment can't be used step-free, or null
+export function impassableReason(seg) {
+  if (seg.stairs) return 'Stairs'
+  if (seg.wheelchair === 'no') return 'Marked not wheelchair accessible'
+  if (seg.sidewalk === 'none') return 'No sidewalk'
+  if (seg.curbCuts === false) return 'No curb cuts'
+  const incline = inclineOf(seg)
+  if (incline > MAX_INCLINE) return `${incline.toFixed(1)}% incline`
+  if (roughness(seg) >= 0.8) return `Unusable surface (${seg.surface})`
+  return null
+}
+
+// Cost multiplier (>= 1) for passable segments: steep and rough ones are avoided when possible
+export function accessPenalty(seg) {
+  const steep = Math.max(0, inclineOf(seg) - COMFORT_INCLINE) / (MAX_INCLINE - COMFORT_INCLINE)
+  const onePavement = seg.sidewalk === 'left' || seg.sidewalk === 'right' ? 0.3 : 0
+  return 1 + 2 * steep + 2.5 * roughness(seg) + onePavement + (seg.wheelchair === 'limited' ? 0.5 : 0)
+}
+
+// Compromises on a passable segment, for the journal
+export function accessWarnings(seg) {
+  const out = []
+  const incline = inclineOf(seg)
+  if (incline > COMFORT_INCLINE) out.push(`Steep: ${incline.toFixed(1)}% incline`)
+  if (roughness(seg) >= 0.3) out.push(`Rough surface (${seg.surface.replace(/_/g, ' ')})`)
+  if (seg.sidewalk === 'left' || seg.sidewalk === 'right') out.push(`Sidewalk on the ${seg.sidewalk} side only`)
+  if (seg.wheelchair === 'limited') out.push('Limited wheelchair access')
+  return out
+}
@@ -0,0 +1,4 @@
+// Base URL of the SafeRoutes backend, shared by every module that talks to it
+export function backendUrl() {
+  return (import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000').replace(/\/$/, '')
+}
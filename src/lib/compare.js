@@ -0,0 +1,56 @@
+// Side-by-side summary of the evaluated routes (MapView's `routes`, keyed by profile).
+// One row per profile in `options` order, plus which row is best in each column.
+
+// Lowest-safety stretch of a route: consecutive segments of the same street merged
+export function worstStretch(route) {
+  let worst = null
+  let run = null
+  const close = () => {
+    if (run && (!worst || run.safety < worst.safety)) worst = run
+  }
+  route.segs.forEach((seg, i) => {
+    const stat = route.segmentStats[i]
+    if (run && run.name === seg.name && Math.abs(run.safety - stat.safety) < 1e-6) {
+      run.coords.push(...seg.coords.slice(1))
+      run.distance += stat.dist
+      return
+    }
+    close()
+    run = { name: seg.name, safety: stat.safety, distance: stat.dist, coords: [...seg.coords], at: stat.at }
+  })
+  close()
+  return worst
+}
+
+const COLUMNS = {
+  distance: 'min',
+  etaMin: 'min',
+  avgSafety: 'max',
+  avgCrowd: 'min',
+  score: 'max',
+}
+
+export function compareRoutes(routes, options) {
+  const rows = options
+    .filter((opt) => routes[opt.key] && routes[opt.key].segs.length > 0)
+    .map((opt) => {
+      const r = routes[opt.key]
+      return {
+        key: opt.key,
+        label: opt.label,
+        color: opt.color,
+        distance: r.total,
+        etaMin: r.etaMin,
+        avgSafety: r.avgSafety,
+        avgCrowd: r.avgCrowd,
+        score: r.score,
+        worst: worstStretch(r),
+      }
+    })
+  const best = {}
+  Object.entries(COLUMNS).forEach(([col, dir]) => {
+    const sorted = [...rows].sort((a, b) => (dir === 'min' ? a[col] - b[col] : b[col] - a[col]))
+    if (sorted.length > 0) best[col] = sorted[0].key
+  })
+  return { rows, best }
+}
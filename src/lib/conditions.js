@@ -0,0 +1,210 @@
+import { backendUrl } from './backend'
+
+// Live-conditions providers. A provider is { name, start(emit) } where start()
+// begins delivering batches and returns a stop function. Every batch has the shape
+// { timestamp (ms), updates: { [segmentId]: { speedFactor, safetyAdj, crowd } } }.
+
+export const DEFAULT_CONDITION = { speedFactor: 1, safetyAdj: 0, crowd: 0.3 }
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v))
+
+// Clamp a single update into the ranges the scoring code expects
+export function normalizeCondition(raw, base = DEFAULT_CONDITION) {
+  const pick = (key, lo, hi) => (Number.isFinite(raw?.[key]) ? clamp(raw[key], lo, hi) : base[key])
+  return {
+    speedFactor: pick('speedFactor', 0.1, 2),
+    safetyAdj: pick('safetyAdj', -50, 50),
+    crowd: pick('crowd', 0, 1),
+  }
+}
+
+// Accept either { timestamp, updates|segments: { id: {...} } } or an array of
+// { segmentId, timestamp, ...values } records, as sent by the backend or recorded files.
+export function normalizeBatch(raw, now = Date.now()) {
+  if (Array.isArray(raw)) {
+    const updates = {}
+    let timestamp = 0
+    raw.forEach((r) => {
+      if (!r || r.segmentId == null) return
+      updates[r.segmentId] = r
+      timestamp = Math.max(timestamp, toMillis(r.timestamp) || 0)
+    })
+    return { timestamp: timestamp || now, updates }
+  }
+  if (!raw || typeof raw !== 'object') return null
+  const updates = raw.updates || raw.segments
+  if (!updates || typeof updates !== 'object') return null
+  return { timestamp: toMillis(raw.timestamp) || now, updates }
+}
+
+function toMillis(ts) {
+  if (ts == null) return undefined
+  const t = typeof ts === 'number' ? ts : Date.parse(ts)
+  return Number.isFinite(t) ? t : undefined
+}
+
+// Merge a batch into the per-segment conditions map
+export function applyBatch(prev, batch) {
+  const next = { ...prev }
+  Object.entries(batch.updates).forEach(([id, raw]) => {
+    next[id] = normalizeCondition(raw, prev[id] || DEFAULT_CONDITION)
+  })
+  return next
+}
+
+// Random drift around the previous value (the original simulated behaviour)
+export function createRandomProvider({ segmentIds, intervalMs = 6000, random = Math.random }) {
+  return {
+    name: 'random',
+    start(emit) {
+      const state = {}
+      segmentIds.forEach((id) => { state[id] = { ...DEFAULT_CONDITION } })
+      const iv = setInterval(() => {
+        segmentIds.forEach((id) => {
+          const cur = state[id]
+          state[id] = {
+            speedFactor: clamp(cur.speedFactor + (random() - 0.5) * 0.1, 0.7, 1.3),
+            crowd: clamp(cur.crowd + (random() - 0.5) * 0.1, 0, 1),
+            safetyAdj: clamp(cur.safetyAdj + (random() - 0.5) * 2, -20, 20),
+          }
+        })
+        emit({ timestamp: Date.now(), updates: { ...state } })
+      }, intervalMs)
+      return () => clearInterval(iv)
+    },
+  }
+}
+
+// Poll GET {url} over HTTP
+export function createPollingProvider({ url = `${backendUrl()}/conditions`, intervalMs = 10000, onError } = {}) {
+  return {
+    name: 'poll',
+    start(emit) {
+      let stopped = false
+      let timer
+      const tick = async () => {
+        try {
+          const res = await fetch(url, { headers: { Accept: 'application/json' } })
+          if (!res.ok) throw new Error(`${res.status} ${res.statusText}`)
+          const batch = normalizeBatch(await res.json())
+          if (batch && !stopped) emit(batch)
+        } catch (e) {
+          if (onError) onError(e)
+        }
+        if (!stopped) timer = setTimeout(tick, intervalMs)
+      }
+      tick()
+      return () => {
+        stopped = true
+        clearTimeout(timer)
+      }
+    },
+  }
+}
+
+// Server-sent events: each message's data is one JSON batch
+export function createEventSourceProvider({ url = `${backendUrl()}/conditions/stream`, onError } = {}) {
+  return {
+    name: 'sse',
+    start(emit) {
+      if (typeof EventSource === 'undefined') {
+        if (onError) onError(new Error('EventSource is not supported'))
+        return () => {}
+      }
+      const es = new EventSource(url)
+      es.onmessage = (ev) => {
+        try {
+          const batch = normalizeBatch(JSON.parse(ev.data))
+          if (batch) emit(batch)
+        } catch (e) {
+          if (onError) onError(e)
+        }
+      }
+      es.onerror = () => onError && onError(new Error('Conditions stream disconnected'))
+      return () => es.close()
+    },
+  }
+}
+
+// WebSocket push: each message is one JSON batch
+export function createWebSocketProvider({ url = `${backendUrl().replace(/^http/, 'ws')}/conditions/ws`, onError } = {}) {
+  return {
+    name: 'ws',
+    start(emit) {
+      if (typeof WebSocket === 'undefined') {
+        if (onError) onError(new Error('WebSocket is not supported'))
+        return () => {}
+      }
+      // The constructor throws on a malformed URL, or ws:// from a page served over https
+      let ws
+      try {
+        ws = new WebSocket(url)
+      } catch (e) {
+        if (onError) onError(e)
+        return () => {}
+      }
+      let stopped = false
+      ws.onmessage = (ev) => {
+        try {
+          const batch = normalizeBatch(JSON.parse(ev.data))
+          if (batch) emit(batch)
+        } catch (e) {
+          if (onError) onError(e)
+        }
+      }
+      ws.onerror = () => onError && onError(new Error('Conditions socket error'))
+      ws.onclose = () => {
+        if (!stopped && onError) onError(new Error('Conditions socket closed'))
+      }
+      return () => {
+        stopped = true
+        ws.close()
+      }
+    },
+  }
+}
+
+// Replay recorded batches, preserving their relative timing (scaled by speed).
+// Emitted batches are re-stamped with the current time so predictions stay coherent.
+export function createReplayProvider({ records, speed = 1, loop = true }) {
+  const batches = records.map((r) => normalizeBatch(r, 0)).filter(Boolean).sort((a, b) => a.timestamp - b.timestamp)
+  return {
+    name: 'replay',
+    start(emit) {
+      if (batches.length === 0) return () => {}
+      let i = 0
+      let timer
+      const next = () => {
+        const batch = batches[i]
+        emit({ timestamp: Date.now(), recordedAt: batch.timestamp, updates: batch.updates })
+        i += 1
+        if (i >= batches.length) {
+          if (!loop) return
+          i = 0
+        }
+        const gap = i === 0 ? 1000 : batches[i].timestamp - batch.timestamp
+        timer = setTimeout(next, Math.max(50, gap / speed))
+      }
+      next()
+      return () => clearTimeout(timer)
+    },
+  }
+}
+
+export const providerKinds = [
+  { key: 'random', label: 'Simulated' },
+  { key: 'replay', label: 'Recorded replay' },
+  { key: 'poll', label: 'Backend (poll)' },
+  { key: 'sse', label: 'Backend (stream)' },
+  { key: 'ws', label: 'Backend (WebSocket)' },
+]
+
+export function createProvider(kind, opts) {
+  switch (kind) {
+    case 'replay': return createReplayProvider(opts)
+    case 'poll': return createPollingProvider(opts)
+    case 'sse': return createEventSourceProvider(opts)
+    case 'ws': return createWebSocketProvider(opts)
+    default: return createRandomProvider(opts)
+  }
+}
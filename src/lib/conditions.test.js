@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  normalizeBatch, normalizeCondition, applyBatch, DEFAULT_CONDITION,
+  createPollingProvider, createEventSourceProvider, createWebSocketProvider, createReplayProvider,
+} from './conditions'
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.unstubAllGlobals()
+})
+
+const flush = () => new Promise((r) => setTimeout(r, 0))
+
+// Stand-in for EventSource and WebSocket: records instances so a test can push messages
+function fakeSocketClass() {
+  const instances = []
+  class FakeSocket {
+    constructor(url) {
+      this.url = url
+      this.closed = false
+      instances.push(this)
+    }
+
+    close() {
+      this.closed = true
+    }
+  }
+  FakeSocket.instances = instances
+  return FakeSocket
+}
+
+describe('normalizeBatch', () => {
+  it('accepts { timestamp, updates } and the segments alias', () => {
+    expect(normalizeBatch({ timestamp: '2024-01-01T09:00:00Z', updates: { A1: { crowd: 0.5 } } }))
+      .toEqual({ timestamp: Date.parse('2024-01-01T09:00:00Z'), updates: { A1: { crowd: 0.5 } } })
+    expect(normalizeBatch({ segments: { A1: {} } }, 42)).toEqual({ timestamp: 42, updates: { A1: {} } })
+  })
+
+  it('groups record arrays by segment and keeps the latest timestamp', () => {
+    const batch = normalizeBatch([
+      { segmentId: 'A1', timestamp: 1000, crowd: 0.2 },
+      { segmentId: 'B2', timestamp: 3000, crowd: 0.4 },
+      { timestamp: 9000 },
+    ])
+    expect(batch.timestamp).toBe(3000)
+    expect(Object.keys(batch.updates)).toEqual(['A1', 'B2'])
+  })
+
+  it('falls back to now when timestamps are missing or unparseable', () => {
+    expect(normalizeBatch({ timestamp: 'yesterday', updates: {} }, 7).timestamp).toBe(7)
+    expect(normalizeBatch([{ segmentId: 'A1' }], 7).timestamp).toBe(7)
+  })
+
+  it('rejects payloads without updates', () => {
+    expect(normalizeBatch(null)).toBeNull()
+    expect(normalizeBatch('A1')).toBeNull()
+    expect(normalizeBatch({ timestamp: 1 })).toBeNull()
+  })
+})
+
+describe('normalizeCondition and applyBatch', () => {
+  it('clamps values and keeps the previous ones for bad fields', () => {
+    const prev = { speedFactor: 0.8, safetyAdj: 5, crowd: 0.6 }
+    expect(normalizeCondition({ speedFactor: 9, safetyAdj: -80, crowd: 'busy' }, prev))
+      .toEqual({ speedFactor: 2, safetyAdj: -50, crowd: 0.6 })
+  })
+
+  it('merges a batch over the previous conditions', () => {
+    const next = applyBatch({ A1: { speedFactor: 0.8, safetyAdj: 5, crowd: 0.6 } }, { updates: { A1: { crowd: 0.1 }, B2: {} } })
+    expect(next).toEqual({ A1: { speedFactor: 0.8, safetyAdj: 5, crowd: 0.1 }, B2: DEFAULT_CONDITION })
+  })
+})
+
+describe('createPollingProvider', () => {
+  it('emits each response and polls again after the interval', async () => {
+    vi.useFakeTimers()
+    const fetch = vi.fn(async () => ({ ok: true, json: async () => ({ timestamp: 5, updates: { A1: { crowd: 0.9 } } }) }))
+    vi.stubGlobal('fetch', fetch)
+    const emit = vi.fn()
+    const stop = createPollingProvider({ url: '/conditions', intervalMs: 1000 }).start(emit)
+    await vi.advanceTimersByTimeAsync(0)
+    expect(emit).toHaveBeenCalledWith({ timestamp: 5, updates: { A1: { crowd: 0.9 } } })
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(fetch).toHaveBeenCalledTimes(2)
+    stop()
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('reports HTTP errors and keeps polling', async () => {
+    vi.useFakeTimers()
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 503, statusText: 'Service Unavailable' })))
+    const onError = vi.fn()
+    const emit = vi.fn()
+    const stop = createPollingProvider({ url: '/conditions', intervalMs: 1000, onError }).start(emit)
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(onError).toHaveBeenCalledTimes(2)
+    expect(onError.mock.calls[0][0].message).toBe('503 Service Unavailable')
+    expect(emit).not.toHaveBeenCalled()
+    stop()
+  })
+})
+
+describe('createEventSourceProvider', () => {
+  it('emits each message and closes on stop', () => {
+    const FakeEventSource = fakeSocketClass()
+    vi.stubGlobal('EventSource', FakeEventSource)
+    const emit = vi.fn()
+    const onError = vi.fn()
+    const stop = createEventSourceProvider({ url: '/conditions/stream', onError }).start(emit)
+    const es = FakeEventSource.instances[0]
+    es.onmessage({ data: JSON.stringify({ timestamp: 5, updates: { A1: {} } }) })
+    es.onmessage({ data: 'not json' })
+    expect(emit).toHaveBeenCalledWith({ timestamp: 5, updates: { A1: {} } })
+    expect(onError).toHaveBeenCalledTimes(1)
+    stop()
+    expect(es.closed).toBe(true)
+  })
+
+  it('reports a missing EventSource instead of throwing', () => {
+    vi.stubGlobal('EventSource', undefined)
+    const onError = vi.fn()
+    const stop = createEventSourceProvider({ url: '/conditions/stream', onError }).start(vi.fn())
+    expect(onError.mock.calls[0][0].message).toBe('EventSource is not supported')
+    stop()
+  })
+})
+
+describe('createWebSocketProvider', () => {
+  it('emits each message and closes quietly on stop', () => {
+    const FakeWebSocket = fakeSocketClass()
+    vi.stubGlobal('WebSocket', FakeWebSocket)
+    const emit = vi.fn()
+    const onError = vi.fn()
+    const stop = createWebSocketProvider({ url: 'ws://localhost/conditions/ws', onError }).start(emit)
+    const ws = FakeWebSocket.instances[0]
+    ws.onmessage({ data: JSON.stringify([{ segmentId: 'A1', timestamp: 5, crowd: 0.2 }]) })
+    expect(emit).toHaveBeenCalledWith({ timestamp: 5, updates: { A1: { segmentId: 'A1', timestamp: 5, crowd: 0.2 } } })
+    stop()
+    expect(ws.closed).toBe(true)
+    ws.onclose()
+    expect(onError).not.toHaveBeenCalled()
+  })
+
+  it('reports a dropped connection', () => {
+    const FakeWebSocket = fakeSocketClass()
+    vi.stubGlobal('WebSocket', FakeWebSocket)
+    const onError = vi.fn()
+    createWebSocketProvider({ url: 'ws://localhost/conditions/ws', onError }).start(vi.fn())
+    FakeWebSocket.instances[0].onclose()
+    expect(onError.mock.calls[0][0].message).toBe('Conditions socket closed')
+  })
+
+  it('reports a constructor that throws instead of throwing', () => {
+    vi.stubGlobal('WebSocket', class {
+      constructor() {
+        throw new SyntaxError('The URL is invalid')
+      }
+    })
+    const onError = vi.fn()
+    const stop = createWebSocketProvider({ url: 'ws://', onError }).start(vi.fn())
+    expect(onError.mock.calls[0][0].message).toBe('The URL is invalid')
+    expect(stop).not.toThrow()
+  })
+
+  it('reports a missing WebSocket', () => {
+    vi.stubGlobal('WebSocket', undefined)
+    const onError = vi.fn()
+    createWebSocketProvider({ onError }).start(vi.fn())
+    expect(onError.mock.calls[0][0].message).toBe('WebSocket is not supported')
+  })
+})
+
+describe('createReplayProvider', () => {
+  const records = [
+    { timestamp: 3000, updates: { A1: { crowd: 0.3 } } },
+    { timestamp: 1000, updates: { A1: { crowd: 0.1 } } },
+    { not: 'a batch' },
+  ]
+
+  it('replays batches in time order, keeping their spacing scaled by speed', async () => {
+    vi.useFakeTimers()
+    const emit = vi.fn()
+    const stop = createReplayProvider({ records, speed: 2, loop: false }).start(emit)
+    expect(emit).toHaveBeenCalledTimes(1)
+    expect(emit.mock.calls[0][0]).toMatchObject({ recordedAt: 1000, updates: { A1: { crowd: 0.1 } } })
+    await vi.advanceTimersByTimeAsync(999)
+    expect(emit).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(emit.mock.calls[1][0]).toMatchObject({ recordedAt: 3000 })
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(emit).toHaveBeenCalledTimes(2)
+    stop()
+  })
+
+  it('starts over after a pause when looping', async () => {
+    vi.useFakeTimers()
+    const emit = vi.fn()
+    const stop = createReplayProvider({ records }).start(emit)
+    await vi.advanceTimersByTimeAsync(2000 + 1000)
+    expect(emit.mock.calls.map(([b]) => b.recordedAt)).toEqual([1000, 3000, 1000])
+    stop()
+  })
+
+  it('does nothing without usable records', async () => {
+    const emit = vi.fn()
+    createReplayProvider({ records: [{ not: 'a batch' }] }).start(emit)
+    await flush()
+    expect(emit).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,98 @@
+import { routeOptions } from './profiles'
+import { travelModes } from './travelModes'
+
+// Query-string encoding of the map view so a route can be bookmarked or shared:
+//   ?from=lat,lng&to=lat,lng&via=lat,lng;lat,lng&profile=safest&mode=walk&busy=0.4&lit=0.6&comfort=0.6&havens=0.5&in=15
+//   &leave=2026-03-06T21:30 | &arrive=2026-03-06T21:30
+// parseRouteParams() only returns the fields that are present and valid, and lists
+// the rejected ones in `errors`.
+
+const PREF_PARAMS = { busy: 'avoidBusy', lit: 'preferLit', comfort: 'comfort', havens: 'nearHavens' }
+
+function parseCoord(value) {
+  const parts = value.split(',')
+  if (parts.length !== 2) return null
+  const [lat, lng] = parts.map((p) => Number(p.trim()))
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+  return [lat, lng]
+}
+
+const formatCoord = (c) => `${c[0].toFixed(5)},${c[1].toFixed(5)}`
+
+// Local wall-clock time without seconds, which is what people type and share
+function formatLocalTime(ts) {
+  const d = new Date(ts)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`
+}
+
+export function parseRouteParams(params) {
+  const out = { errors: [] }
+  const reject = (name) => out.errors.push(name)
+
+  ;[['from', 'start'], ['to', 'end']].forEach(([param, key]) => {
+    if (!params.has(param)) return
+    const c = parseCoord(params.get(param))
+    if (c) out[key] = c
+    else reject(param)
+  })
+
+  if (params.has('via')) {
+    const stops = params.get('via').split(';').filter(Boolean).map(parseCoord)
+    if (stops.every(Boolean)) out.waypoints = stops
+    else reject('via')
+  }
+
+  if (params.has('profile')) {
+    const key = params.get('profile')
+    if (routeOptions.some((o) => o.key === key)) out.profileKey = key
+    else reject('profile')
+  }
+
+  if (params.has('mode')) {
+    const key = params.get('mode')
+    if (travelModes.some((m) => m.key === key)) out.mode = key
+    else reject('mode')
+  }
+
+  Object.entries(PREF_PARAMS).forEach(([param, key]) => {
+    if (!params.has(param)) return
+    const v = Number(params.get(param))
+    if (Number.isFinite(v) && v >= 0 && v <= 1) out.prefs = { ...out.prefs, [key]: v }
+    else reject(param)
+  })
+
+  if (params.has('in')) {
+    const v = Number(params.get('in'))
+    if (Number.isInteger(v) && v >= 0 && v <= 30) out.horizon = v
+    else reject('in')
+  }
+
+  ;['leave', 'arrive'].forEach((param) => {
+    if (!params.has(param)) return
+    const t = new Date(params.get(param)).getTime()
+    if (Number.isFinite(t)) out.timing = { mode: param === 'leave' ? 'depart' : 'arrive', time: t }
+    else reject(param)
+  })
+
+  return out
+}
+
+export function serializeRouteParams({ start, end, waypoints = [], profileKey, mode = 'walk', prefs, horizon, timing }) {
+  const params = new URLSearchParams()
+  params.set('from', formatCoord(start))
+  params.set('to', formatCoord(end))
+  if (waypoints.length > 0) params.set('via', waypoints.map(formatCoord).join(';'))
+  params.set('profile', profileKey)
+  params.set('mode', mode)
+  Object.entries(PREF_PARAMS).forEach(([param, key]) => params.set(param, String(prefs[key])))
+  if (timing.mode === 'now') params.set('in', String(horizon))
+  else params.set(timing.mode === 'depart' ? 'leave' : 'arrive', formatLocalTime(timing.time))
+  return params.toString()
+}
+
+// Changes to these fields get their own history entry; preference tweaks replace it
+export function routeIdentity({ start, end, waypoints = [], profileKey }) {
+  return [start, ...waypoints, end].map(formatCoord).join('|') + `|${profileKey}`
+}
@@ -0,0 +1,67 @@
+import { haversineDistance, projectOnPolyline } from './geo'
+import { isOpenAt } from './pois'
+
+// Emergency helpers for an active trip: where to head when something goes wrong, and
+// the arrival check-in timer.
+
+export const EMERGENCY_NUMBER = '911' // the mocked network is in San Francisco
+
+export const SAFE_STREET = { minSafety: 75, minLighting: 0.7 }
+
+// Nearest well-lit, high-safety streets to a point, judged by their state at `at`.
+// Returns [{ seg, name, point, distance, safety }] nearest first, one entry per segment.
+export function nearestSafeSegments(graph, point, stateOf, at, { minSafety = SAFE_STREET.minSafety, minLighting = SAFE_STREET.minLighting, limit = 3 } = {}) {
+  const best = new Map()
+  graph.edges.forEach((edge) => {
+    const { seg } = edge
+    const proj = projectOnPolyline(point, edge.coords)
+    if (!proj) return
+    const known = best.get(seg.id)
+    if (known && known.distance <= proj.distance) return
+    best.set(seg.id, { seg, name: seg.name, point: proj.point, distance: proj.distance })
+  })
+  return [...best.values()]
+    .map((c) => ({ ...c, state: stateOf(c.seg, at) }))
+    .filter((c) => c.state.safety >= minSafety && c.state.lighting >= minLighting)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ state, ...c }) => ({ ...c, safety: state.safety }))
+}
+
+// Safe havens (POIs with `haven`, see lib/pois) nearest first, with straight-line
+// distance. Places known to be closed at `at` are left out.
+export function nearestHavens(pois, point, at, limit = 3) {
+  return pois
+    .filter((p) => p.haven && isOpenAt(p.hours, at) !== false)
+    .map((p) => ({ ...p, distance: haversineDistance(point, p.coord) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+}
+
+// Check-in timer. Started with a trip, it expects the traveller to confirm they are
+// safe: by the ETA plus some slack, or within ARRIVAL_WINDOW_MIN of arriving.
+//   { startedAt, deadline, arrivedAt, checkedInAt }
+export const CHECK_IN_GRACE_MIN = 10
+export const ARRIVAL_WINDOW_MIN = 5
+
+export function startCheckIn(etaMin, now) {
+  const slack = Math.max(CHECK_IN_GRACE_MIN, etaMin * 0.25)
+  return { startedAt: now, deadline: now + (etaMin + slack) * 60000, arrivedAt: null, checkedInAt: null }
+}
+
+export function markArrived(timer, now) {
+  if (!timer || timer.arrivedAt || timer.checkedInAt) return timer
+  return { ...timer, arrivedAt: now, deadline: Math.min(timer.deadline, now + ARRIVAL_WINDOW_MIN * 60000) }
+}
+
+export const extendCheckIn = (timer, minutes) => ({ ...timer, deadline: timer.deadline + minutes * 60000 })
+
+export const checkIn = (timer, now) => ({ ...timer, checkedInAt: now })
+
+// 'off' | 'running' | 'arrived' (waiting for the check-in) | 'overdue' | 'safe'
+export function checkInStatus(timer, now) {
+  if (!timer) return 'off'
+  if (timer.checkedInAt) return 'safe'
+  if (now > timer.deadline) return 'overdue'
+  return timer.arrivedAt ? 'arrived' : 'running'
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import { buildGraph } from './graph'
+import { parseOpeningHours } from './pois'
+import {
+  nearestSafeSegments,
+  nearestHavens,
+  startCheckIn,
+  markArrived,
+  extendCheckIn,
+  checkIn,
+  checkInStatus,
+  CHECK_IN_GRACE_MIN,
+  ARRIVAL_WINDOW_MIN,
+} from './emergency'
+
+const MIN = 60000
+const NOW = new Date(2024, 0, 1, 22, 0).getTime() // a Monday evening
+
+describe('startCheckIn', () => {
+  it('allows the grace period on short trips and a quarter of the ETA on long ones', () => {
+    expect(startCheckIn(12, NOW)).toEqual({ startedAt: NOW, deadline: NOW + (12 + CHECK_IN_GRACE_MIN) * MIN, arrivedAt: null, checkedInAt: null })
+    expect(startCheckIn(60, NOW).deadline).toBe(NOW + 75 * MIN)
+  })
+})
+
+describe('markArrived', () => {
+  it('tightens the deadline to the arrival window', () => {
+    const timer = markArrived(startCheckIn(30, NOW), NOW + 20 * MIN)
+    expect(timer.arrivedAt).toBe(NOW + 20 * MIN)
+    expect(timer.deadline).toBe(NOW + (20 + ARRIVAL_WINDOW_MIN) * MIN)
+  })
+
+  it('never pushes the deadline back for a late arrival', () => {
+    const started = startCheckIn(10, NOW)
+    expect(markArrived(started, started.deadline - MIN).deadline).toBe(started.deadline)
+  })
+
+  it('keeps the first arrival and ignores timers that are off or checked in', () => {
+    const arrived = markArrived(startCheckIn(30, NOW), NOW + 20 * MIN)
+    expect(markArrived(arrived, NOW + 25 * MIN)).toBe(arrived)
+    const safe = checkIn(startCheckIn(30, NOW), NOW + MIN)
+    expect(markArrived(safe, NOW + 2 * MIN)).toBe(safe)
+    expect(markArrived(null, NOW)).toBeNull()
+  })
+})
+
+describe('checkInStatus', () => {
+  const timer = startCheckIn(20, NOW)
+
+  it('runs until the deadline and is overdue after it', () => {
+    expect(checkInStatus(null, NOW)).toBe('off')
+    expect(checkInStatus(timer, NOW + 5 * MIN)).toBe('running')
+    expect(checkInStatus(timer, timer.deadline)).toBe('running')
+    expect(checkInStatus(timer, timer.deadline + 1)).toBe('overdue')
+  })
+
+  it('waits for the check-in after arriving, then becomes overdue', () => {
+    const arrived = markArrived(timer, NOW + 15 * MIN)
+    expect(checkInStatus(arrived, NOW + 16 * MIN)).toBe('arrived')
+    expect(checkInStatus(arrived, NOW + (15 + ARRIVAL_WINDOW_MIN) * MIN + 1)).toBe('overdue')
+  })
+
+  it('is safe once checked in, even past the deadline', () => {
+    expect(checkInStatus(checkIn(timer, NOW + MIN), timer.deadline + 60 * MIN)).toBe('safe')
+  })
+
+  it('is running again after extending an overdue timer', () => {
+    const late = timer.deadline + MIN
+    expect(checkInStatus(extendCheckIn(timer, 10), late)).toBe('running')
+  })
+})
+
+describe('nearestSafeSegments', () => {
+  // Three parallel streets north of the traveller at [0, 0]; Middle St is split in two
+  const graph = buildGraph({
+    streets: [
+      { id: 'near', name: 'Near St', segments: [{ id: 'NEAR', coords: [[0.001, -0.001], [0.001, 0.001]], safety: 40 }] },
+      { id: 'mid', name: 'Middle St', segments: [
+        { id: 'MID1', coords: [[0.002, -0.001], [0.002, 0]] },
+        { id: 'MID2', coords: [[0.002, 0], [0.002, 0.001]] },
+      ] },
+      { id: 'dim', name: 'Dim St', segments: [{ id: 'DIM', coords: [[0.0025, -0.001], [0.0025, 0.001]], lighting: 0.3 }] },
+      { id: 'far', name: 'Far St', segments: [{ id: 'FAR', coords: [[0.003, -0.001], [0.003, 0.001]] }] },
+    ],
+    intersections: [],
+  })
+  const stateOf = (seg) => ({ safety: seg.safety ?? 85, lighting: seg.lighting ?? 0.9 })
+
+  it('lists the nearest lit, safe streets with the closest point on each', () => {
+    const found = nearestSafeSegments(graph, [0, 0], stateOf, NOW)
+    expect(found.map((f) => f.seg.id)).toEqual(['MID1', 'MID2', 'FAR'])
+    expect(found[0]).toMatchObject({ name: 'Middle St', safety: 85 })
+    expect(found[0].point[0]).toBeCloseTo(0.002, 9)
+    expect(found[0].distance).toBeCloseTo(222.4, 0)
+  })
+
+  it('takes its thresholds and limit from the options', () => {
+    expect(nearestSafeSegments(graph, [0, 0], stateOf, NOW, { minSafety: 30, limit: 1 }).map((f) => f.seg.id)).toEqual(['NEAR'])
+    expect(nearestSafeSegments(graph, [0, 0], stateOf, NOW, { minSafety: 95 })).toEqual([])
+  })
+})
+
+describe('nearestHavens', () => {
+  const poi = (id, coord, extra = {}) => ({ id, name: id, kind: 'cafe', coord, haven: true, hours: null, ...extra })
+  const pois = [
+    poi('shut', [0, 0.0005], { hours: parseOpeningHours('Mo-Fr 09:00-17:00') }),
+    poi('bench', [0, 0.0006], { haven: false }),
+    poi('late', [0, 0.002], { hours: parseOpeningHours('Mo-Su 18:00-02:00') }),
+    poi('unknown', [0, 0.001]),
+    poi('always', [0, 0.003], { hours: parseOpeningHours('24/7') }),
+  ]
+
+  it('leaves out closed places and non-havens, keeping unknown hours', () => {
+    const found = nearestHavens(pois, [0, 0], NOW)
+    expect(found.map((p) => p.id)).toEqual(['unknown', 'late', 'always'])
+    expect(found[0].distance).toBeCloseTo(111.2, 0)
+  })
+
+  it('includes places open at that time, up to the limit', () => {
+    const noon = new Date(2024, 0, 1, 12, 0).getTime()
+    expect(nearestHavens(pois, [0, 0], noon, 2).map((p) => p.id)).toEqual(['shut', 'unknown'])
+  })
+})
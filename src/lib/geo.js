@@ -0,0 +1,134 @@
+// Geometry helpers shared by the router and the map. Coordinates are [lat, lng].
+
+// Helper: compute haversine distance in meters
+export function haversineDistance(a, b) {
+  const R = 6371e3
+  const [lat1, lon1] = a
+  const [lat2, lon2] = b
+  const toRad = (deg) => (deg * Math.PI) / 180
+  const dLat = toRad(lat2 - lat1)
+  const dLon = toRad(lon2 - lon1)
+  const la1 = toRad(lat1)
+  const la2 = toRad(lat2)
+  const sinDLat = Math.sin(dLat / 2)
+  const sinDLon = Math.sin(dLon / 2)
+  const h =
+    sinDLat * sinDLat + Math.cos(la1) * Math.cos(la2) * sinDLon * sinDLon
+  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h))
+  return R * c
+}
+
+export function buildPath(segments) {
+  const path = []
+  segments.forEach((seg, idx) => {
+    seg.coords.forEach((pt, i) => {
+      if (idx > 0 && i === 0) return
+      path.push(pt)
+    })
+  })
+  return path
+}
+
+export function pathDistance(path) {
+  let total = 0
+  for (let i = 0; i < path.length - 1; i++) total += haversineDistance(path[i], path[i + 1])
+  return total
+}
+
+// Distance from the start of the path to each of its points
+export function cumulativeDistances(path) {
+  const out = [0]
+  for (let i = 1; i < path.length; i++) out.push(out[i - 1] + haversineDistance(path[i - 1], path[i]))
+  return out
+}
+
+// Stable key for a vertex so that streets sharing a point meet at the same node
+export function coordKey(pt) {
+  return `${pt[0].toFixed(6)},${pt[1].toFixed(6)}`
+}
+
+// Project a point onto the segment a-b using a local equirectangular approximation.
+// Returns the projected point and its fraction t (0..1) along a-b.
+function projectOnSegment(p, a, b) {
+  const kx = Math.cos((a[0] * Math.PI) / 180)
+  const ax = a[1] * kx
+  const bx = b[1] * kx
+  const px = p[1] * kx
+  const dx = bx - ax
+  const dy = b[0] - a[0]
+  const len2 = dx * dx + dy * dy
+  let t = len2 === 0 ? 0 : ((px - ax) * dx + (p[0] - a[0]) * dy) / len2
+  t = Math.max(0, Math.min(1, t))
+  return { point: [a[0] + dy * t, a[1] + (b[1] - a[1]) * t], t }
+}
+
+// Nearest point on a polyline: { point, distance (m from p), offset (m along the line) }
+export function projectOnPolyline(p, coords) {
+  let best = null
+  let walked = 0
+  for (let i = 0; i < coords.length - 1; i++) {
+    const a = coords[i]
+    const b = coords[i + 1]
+    const segLen = haversineDistance(a, b)
+    const { point, t } = projectOnSegment(p, a, b)
+    const distance = haversineDistance(p, point)
+    if (best === null || distance < best.distance) {
+      best = { point, distance, offset: walked + segLen * t }
+    }
+    walked += segLen
+  }
+  return best
+}
+
+// Sub-polyline between two offsets (meters along the line, from < to)
+export function slicePolyline(coords, from, to) {
+  const out = []
+  let walked = 0
+  for (let i = 0; i < coords.length - 1; i++) {
+    const a = coords[i]
+    const b = coords[i + 1]
+    const segLen = haversineDistance(a, b)
+    const lerp = (d) => {
+      const t = segLen === 0 ? 0 : (d - walked) / segLen
+      return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]
+    }
+    if (out.length === 0 && from <= walked + segLen) out.push(lerp(Math.max(from, walked)))
+    if (out.length > 0) {
+      if (to <= walked + segLen) {
+        out.push(lerp(to))
+        return out
+      }
+      out.push(b)
+    }
+    walked += segLen
+  }
+  if (out.length === 0) out.push(coords[coords.length - 1])
+  if (out.length === 1) out.push(out[0])
+  return out
+}
+
+// Climb along a polyline whose points may carry elevation as a third value ([lat, lng, ele]).
+// Pieces without elevation at both ends are skipped; `known` is how many meters had it.
+export function elevationStats(coords) {
+  let ascent = 0
+  let descent = 0
+  let maxGrade = 0
+  let known = 0
+  for (let i = 0; i < coords.length - 1; i++) {
+    const a = coords[i]
+    const b = coords[i + 1]
+    if (!Number.isFinite(a[2]) || !Number.isFinite(b[2])) continue
+    const run = haversineDistance(a, b)
+    const rise = b[2] - a[2]
+    known += run
+    if (rise > 0) ascent += rise
+    else descent -= rise
+    if (run > 0) maxGrade = Math.max(maxGrade, (Math.abs(rise) / run) * 100)
+  }
+  return { ascent, descent, maxGrade, known }
+}
+
+// Naismith's rule: every 10 m of climbing takes about as long as 80 m on the flat
+export const CLIMB_FACTOR = 8
+
+export const effortDistance = (distance, ascent) => distance + ascent * CLIMB_FACTOR
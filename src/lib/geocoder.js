@@ -0,0 +1,170 @@
+import { buildGraph, snapToGraph } from './graph'
+import { haversineDistance } from './geo'
+
+// Geocoders share one interface so the map can swap or chain them:
+//   { name, search(query, { limit, signal }) -> Promise<[{ label, coord, kind }]>,
+//     reverse(coord, { signal }) -> Promise<{ label, coord } | null> }
+// kind is 'street' | 'intersection' | 'place'.
+
+const normalize = (s) => s.toLowerCase().replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim()
+
+// Query words, ignoring the joiners people type between cross streets
+const queryTokens = (q) => normalize(q).split(/\s*(?:&|\/|@|\band\b|\bat\b|\s)\s*/).filter(Boolean)
+
+// Every query word must be a prefix of some word in the label
+function matchScore(label, tokens) {
+  const words = normalize(label).split(/[\s&]+/).filter(Boolean)
+  let score = 0
+  for (const t of tokens) {
+    const i = words.findIndex((w) => w.startsWith(t))
+    if (i < 0) return -1
+    score += i === 0 ? 2 : 1
+  }
+  return score
+}
+
+// Network intersections may carry a name; otherwise their id is the label
+const intersectionLabel = (ix) => ix.name || ix.id
+
+// Offline geocoder over the loaded road network: street names and the junctions
+// where two or more named streets meet.
+export function createNetworkGeocoder(network, graph = buildGraph(network)) {
+  const places = []
+
+  network.streets.forEach((st) => {
+    const segs = st.segments
+    if (segs.length === 0) return
+    const mid = segs[Math.floor(segs.length / 2)]
+    places.push({ label: st.name, coord: mid.coords[Math.floor(mid.coords.length / 2)], kind: 'street' })
+  })
+
+  const seen = new Set()
+  graph.nodes.forEach((node, id) => {
+    const names = [...new Set(graph.adjacency.get(id).map((a) => a.edge.seg.name))].filter(Boolean).sort()
+    if (names.length < 2) return
+    const label = names.join(' & ')
+    if (seen.has(label)) return
+    seen.add(label)
+    places.push({ label, coord: node.coord, kind: 'intersection', intersection: node.intersection })
+  })
+
+  const search = async (query, { limit = 8 } = {}) => {
+    const tokens = queryTokens(query)
+    if (tokens.length === 0) return []
+    return places
+      .map((p) => ({ p, score: matchScore(p.label, tokens) }))
+      .filter((m) => m.score >= 0)
+      .sort((a, b) => b.score - a.score || a.p.label.localeCompare(b.p.label))
+      .slice(0, limit)
+      .map((m) => m.p)
+  }
+
+  // "Beacon St near I3": snapped street plus the closest named intersection
+  const reverse = async (coord) => {
+    const snap = snapToGraph(graph, coord)
+    if (!snap) return null
+    let near = null
+    ;(network.intersections || []).forEach((ix) => {
+      const d = haversineDistance(snap.point, ix.coord)
+      if (!near || d < near.d) near = { ix, d }
+    })
+    const street = snap.edge.seg.name
+    const label = near && near.d < 400 ? `${street} near ${intersectionLabel(near.ix)}` : street
+    return { label, coord: snap.point }
+  }
+
+  return { name: 'network', search, reverse }
+}
+
+// Nominatim-compatible HTTP geocoder (OpenStreetMap's public instance or a self-hosted one).
+// `viewbox` is [[south, west], [north, east]] to bias results towards the loaded area.
+export function createNominatimGeocoder({
+  endpoint = 'https://nominatim.openstreetmap.org',
+  viewbox,
+  language,
+  fetchImpl = (...args) => globalThis.fetch(...args),
+} = {}) {
+  const base = endpoint.replace(/\/$/, '')
+  const headers = { Accept: 'application/json', ...(language ? { 'Accept-Language': language } : {}) }
+
+  const get = async (path, params, signal) => {
+    const res = await fetchImpl(`${base}/${path}?${new URLSearchParams({ format: 'jsonv2', ...params })}`, { headers, signal })
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`)
+    return res.json()
+  }
+
+  const search = async (query, { limit = 8, signal } = {}) => {
+    if (!query.trim()) return []
+    const params = { q: query, limit: String(limit) }
+    if (viewbox) params.viewbox = `${viewbox[0][1]},${viewbox[1][0]},${viewbox[1][1]},${viewbox[0][0]}`
+    const rows = await get('search', params, signal)
+    return rows.map((r) => ({ label: r.display_name, coord: [Number(r.lat), Number(r.lon)], kind: 'place' }))
+  }
+
+  const reverse = async (coord, { signal } = {}) => {
+    const r = await get('reverse', { lat: String(coord[0]), lon: String(coord[1]) }, signal)
+    if (!r || r.error) return null
+    return { label: r.display_name, coord: [Number(r.lat), Number(r.lon)] }
+  }
+
+  return { name: 'nominatim', search, reverse }
+}
+
+// Try geocoders in order: search results are concatenated (deduplicated by label),
+// reverse returns the first answer. A failing geocoder is skipped, not fatal.
+export function chainGeocoders(geocoders) {
+  const search = async (query, opts = {}) => {
+    const out = []
+    const labels = new Set()
+    for (const g of geocoders) {
+      let rows = []
+      try {
+        rows = await g.search(query, opts)
+      } catch (e) {
+        if (e.name === 'AbortError') throw e
+      }
+      rows.forEach((r) => {
+        if (!labels.has(r.label)) {
+          labels.add(r.label)
+          out.push(r)
+        }
+      })
+    }
+    return out.slice(0, opts.limit ?? 8)
+  }
+
+  const reverse = async (coord, opts) => {
+    for (const g of geocoders) {
+      try {
+        const r = await g.reverse(coord, opts)
+        if (r) return r
+      } catch (e) {
+        if (e.name === 'AbortError') throw e
+      }
+    }
+    return null
+  }
+
+  return { name: geocoders.map((g) => g.name).join('+'), search, reverse }
+}
+
+// Bounding box of a network as [[south, west], [north, east]]
+export function networkBounds(network) {
+  const sw = [90, 180]
+  const ne = [-90, -180]
+  network.streets.forEach((st) => st.segments.forEach((seg) => seg.coords.forEach(([lat, lng]) => {
+    sw[0] = Math.min(sw[0], lat)
+    sw[1] = Math.min(sw[1], lng)
+    ne[0] = Math.max(ne[0], lat)
+    ne[1] = Math.max(ne[1], lng)
+  })))
+  return [sw, ne]
+}
+
+// Network geocoder first; an external endpoint joins in when VITE_GEOCODER_URL is set
+export function defaultGeocoder(network, graph) {
+  const local = createNetworkGeocoder(network, graph)
+  const url = import.meta.env.VITE_GEOCODER_URL
+  if (!url) return local
+  return chainGeocoders([local, createNominatimGeocoder({ endpoint: url, viewbox: networkBounds(network) })])
+}
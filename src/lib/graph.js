@@ -0,0 +1,112 @@
+import { coordKey, haversineDistance, pathDistance, projectOnPolyline, slicePolyline } from './geo'
+
+// Turn a road network ({ streets: [{ id, name, segments }], intersections }) into a
+// node/edge graph. Segments are split wherever a vertex is shared with another
+// segment or marked as an intersection, so streets that cross at a common vertex connect.
+export function buildGraph(network) {
+  const nodes = new Map()
+  const edges = []
+  const adjacency = new Map()
+
+  const usage = new Map()
+  network.streets.forEach((st) =>
+    st.segments.forEach((seg) => {
+      new Set(seg.coords.map(coordKey)).forEach((k) => usage.set(k, (usage.get(k) || 0) + 1))
+    })
+  )
+  const intersectionAt = new Map()
+  ;(network.intersections || []).forEach((ix) => intersectionAt.set(coordKey(ix.coord), ix.id))
+
+  const addNode = (pt) => {
+    const id = coordKey(pt)
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, coord: pt, intersection: intersectionAt.get(id) })
+      adjacency.set(id, [])
+    }
+    return id
+  }
+
+  network.streets.forEach((st) =>
+    st.segments.forEach((seg) => {
+      const segment = { ...seg, name: st.name, streetId: st.id }
+      let piece = [seg.coords[0]]
+      let from = addNode(seg.coords[0])
+      for (let i = 1; i < seg.coords.length; i++) {
+        const pt = seg.coords[i]
+        piece.push(pt)
+        const k = coordKey(pt)
+        const isLast = i === seg.coords.length - 1
+        if (isLast || usage.get(k) > 1 || intersectionAt.has(k)) {
+          const to = addNode(pt)
+          addEdge(adjacency, edges, { id: `${seg.id}:${edges.length}`, from, to, coords: piece, seg: segment })
+          piece = [pt]
+          from = to
+        }
+      }
+    })
+  )
+
+  return { nodes, edges, adjacency }
+}
+
+function addEdge(adjacency, edges, edge) {
+  const full = { ...edge, length: pathDistance(edge.coords) }
+  edges.push(full)
+  adjacency.get(full.from).push({ edge: full, to: full.to, coords: full.coords })
+  adjacency.get(full.to).push({ edge: full, to: full.from, coords: [...full.coords].reverse() })
+  return full
+}
+
+// Nearest point of the network to an arbitrary coordinate, optionally only on edges accept() allows
+export function snapToGraph(graph, point, accept) {
+  let best = null
+  graph.edges.forEach((edge) => {
+    if (accept && !accept(edge)) return
+    const proj = projectOnPolyline(point, edge.coords)
+    if (proj && (best === null || proj.distance < best.distance)) best = { ...proj, edge }
+  })
+  return best
+}
+
+// Overlay virtual nodes at the given snaps without mutating the base graph.
+// Returns the overlay graph and the node id for each snap, in input order.
+export function withSnaps(graph, snaps) {
+  const nodes = new Map(graph.nodes)
+  const adjacency = new Map(graph.adjacency)
+  const edges = graph.edges.slice()
+  const ids = snaps.map((s, i) => `snap:${i}`)
+
+  const byEdge = new Map()
+  snaps.forEach((s, i) => {
+    if (!byEdge.has(s.edge.id)) byEdge.set(s.edge.id, [])
+    byEdge.get(s.edge.id).push({ ...s, nodeId: ids[i] })
+  })
+
+  byEdge.forEach((list, edgeId) => {
+    const edge = list[0].edge
+    list.sort((a, b) => a.offset - b.offset)
+    list.forEach((s) => {
+      nodes.set(s.nodeId, { id: s.nodeId, coord: s.point })
+      adjacency.set(s.nodeId, [])
+    })
+    // Detach the original edge from its endpoints
+    ;[edge.from, edge.to].forEach((n) => adjacency.set(n, adjacency.get(n).filter((a) => a.edge.id !== edgeId)))
+    const idx = edges.findIndex((e) => e.id === edgeId)
+    if (idx >= 0) edges.splice(idx, 1)
+
+    const cuts = [{ nodeId: edge.from, offset: 0 }, ...list, { nodeId: edge.to, offset: edge.length }]
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const a = cuts[i]
+      const b = cuts[i + 1]
+      const coords = slicePolyline(edge.coords, a.offset, b.offset)
+      addEdge(adjacency, edges, { id: `${edgeId}/${i}`, from: a.nodeId, to: b.nodeId, coords, seg: edge.seg })
+    }
+  })
+
+  return { graph: { nodes, edges, adjacency }, ids }
+}
+
+// Straight-line distance between two graph nodes
+export function nodeDistance(graph, a, b) {
+  return haversineDistance(graph.nodes.get(a).coord, graph.nodes.get(b).coord)
+}
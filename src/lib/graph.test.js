@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { buildGraph, snapToGraph, withSnaps } from './graph'
+import { haversineDistance } from './geo'
+
+// Main St runs east from A to B; Side St leaves it at the shared vertex M and Loop Rd
+// joins A and B the long way round, through vertices no one else uses
+const A = [0, 0]
+const M = [0, 0.002]
+const B = [0, 0.004]
+const network = {
+  streets: [
+    { id: 'main', name: 'Main St', segments: [{ id: 'MAIN', coords: [A, M, B] }] },
+    { id: 'side', name: 'Side St', segments: [{ id: 'SIDE', coords: [M, [-0.002, 0.002]] }] },
+    { id: 'loop', name: 'Loop Rd', segments: [{ id: 'LOOP', coords: [A, [0.001, 0], [0.001, 0.004], B] }] },
+  ],
+  intersections: [{ id: 'I1', coord: A }],
+}
+
+describe('buildGraph', () => {
+  it('splits segments at shared vertices only', () => {
+    const graph = buildGraph(network)
+    expect([...graph.nodes.keys()].sort()).toEqual(['-0.002000,0.002000', '0.000000,0.000000', '0.000000,0.002000', '0.000000,0.004000'])
+    expect(graph.edges.filter((e) => e.seg.id === 'MAIN')).toHaveLength(2)
+    expect(graph.edges.filter((e) => e.seg.id === 'LOOP')).toHaveLength(1)
+    expect(graph.adjacency.get('0.000000,0.002000')).toHaveLength(3)
+  })
+
+  it('carries street names and intersection ids', () => {
+    const graph = buildGraph(network)
+    expect(graph.nodes.get('0.000000,0.000000').intersection).toBe('I1')
+    expect(graph.edges[0].seg).toMatchObject({ id: 'MAIN', name: 'Main St', streetId: 'main' })
+  })
+})
+
+describe('snapToGraph', () => {
+  it('projects onto the middle of the nearest edge', () => {
+    const graph = buildGraph(network)
+    const snap = snapToGraph(graph, [-0.0003, 0.001])
+    expect(snap.edge.seg.id).toBe('MAIN')
+    expect(snap.point[0]).toBeCloseTo(0, 9)
+    expect(snap.point[1]).toBeCloseTo(0.001, 9)
+    expect(snap.offset).toBeCloseTo(haversineDistance(A, [0, 0.001]), 3)
+    expect(snap.distance).toBeCloseTo(haversineDistance([-0.0003, 0.001], [0, 0.001]), 3)
+  })
+
+  it('skips edges accept() refuses', () => {
+    const graph = buildGraph(network)
+    const snap = snapToGraph(graph, [-0.0003, 0.001], (edge) => edge.seg.id !== 'MAIN')
+    expect(snap.edge.seg.id).not.toBe('MAIN')
+  })
+})
+
+describe('withSnaps', () => {
+  it('cuts the snapped edge at virtual nodes and leaves the base graph alone', () => {
+    const graph = buildGraph(network)
+    const edgeCount = graph.edges.length
+    const snaps = [snapToGraph(graph, [0, 0.0015]), snapToGraph(graph, [0, 0.0005])]
+    const { graph: g, ids } = withSnaps(graph, snaps)
+
+    expect(ids).toEqual(['snap:0', 'snap:1'])
+    expect(graph.edges).toHaveLength(edgeCount)
+    // One edge A-M becomes three: A-snap:1, snap:1-snap:0, snap:0-M
+    expect(g.edges).toHaveLength(edgeCount + 2)
+    const pieces = g.edges.filter((e) => e.id.startsWith(`${snaps[0].edge.id}/`))
+    expect(pieces.map((e) => [e.from, e.to])).toEqual([
+      ['0.000000,0.000000', 'snap:1'],
+      ['snap:1', 'snap:0'],
+      ['snap:0', '0.000000,0.002000'],
+    ])
+    expect(pieces.reduce((a, e) => a + e.length, 0)).toBeCloseTo(snaps[0].edge.length, 3)
+    expect(g.adjacency.get('0.000000,0.000000').some((a) => a.edge.id === snaps[0].edge.id)).toBe(false)
+  })
+})
@@ -0,0 +1,269 @@
+import { haversineDistance } from './geo'
+
+// Local GTFS feeds: a zip (or its already-extracted text files) becomes
+// {
+//   stops: Map id -> { id, name, coord: [lat, lng], parent },
+//   routes: Map id -> { id, name, longName, type, color },
+//   trips: Map id -> { id, routeId, serviceId, headsign },
+//   connections: [{ trip, from, to, dep, arr, seq }] sorted by dep,
+//   transfers: Map stopId -> [{ to, walkS }],
+//   calendar, exceptions (for serviceActive)
+// }
+// Times are seconds after midnight of the service day and may exceed 24h.
+
+export class GtfsError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'GtfsError'
+  }
+}
+
+export const TRANSFER_RADIUS_M = 250
+const TRANSFER_SPEED = 1.2 // m/s, a little slower than free walking
+const DETOUR = 1.3 // street distance vs straight line
+
+// Minimal zip reader: stored and deflated entries, no zip64
+export async function readZip(buffer) {
+  const view = new DataView(buffer)
+  let eocd = -1
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd < 0) throw new GtfsError('Not a zip file')
+  const count = view.getUint16(eocd + 10, true)
+  let pos = view.getUint32(eocd + 16, true)
+  const decoder = new TextDecoder()
+  const files = {}
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw new GtfsError('Corrupt zip directory')
+    const method = view.getUint16(pos + 10, true)
+    const size = view.getUint32(pos + 20, true)
+    const nameLen = view.getUint16(pos + 28, true)
+    const extraLen = view.getUint16(pos + 30, true)
+    const commentLen = view.getUint16(pos + 32, true)
+    const offset = view.getUint32(pos + 42, true)
+    const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLen))
+    pos += 46 + nameLen + extraLen + commentLen
+
+    const base = name.split('/').pop()
+    if (!base.endsWith('.txt')) continue
+    const dataAt = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true)
+    const raw = new Uint8Array(buffer, dataAt, size)
+    if (method === 0) {
+      files[base] = decoder.decode(raw)
+    } else if (method === 8) {
+      if (typeof DecompressionStream === 'undefined') throw new GtfsError('This browser cannot unzip; extract the feed first')
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+      files[base] = await new Response(stream).text()
+    } else {
+      throw new GtfsError(`${name}: unsupported zip compression ${method}`)
+    }
+  }
+  return files
+}
+
+// RFC 4180 CSV into objects keyed by the header row
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') quoted = false
+      else field += ch
+    } else if (ch === '"') quoted = true
+    else if (ch === ',') {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++
+      row.push(field)
+      if (row.length > 1 || row[0] !== '') rows.push(row)
+      row = []
+      field = ''
+    } else field += ch
+  }
+  row.push(field)
+  if (row.length > 1 || row[0] !== '') rows.push(row)
+  if (rows.length === 0) return []
+  const header = rows[0].map((h) => h.trim())
+  return rows.slice(1).map((r) => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? '').trim()])))
+}
+
+export function parseTime(value) {
+  const m = /^(\d+):(\d\d):(\d\d)$/.exec(value || '')
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null
+}
+
+const ymd = (date) => `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// Route types (GTFS basic + common extended ranges) as words for instructions
+export function routeTypeName(type) {
+  const t = Number(type)
+  if (t === 0 || (t >= 900 && t < 1000)) return 'tram'
+  if (t === 1 || (t >= 400 && t < 500)) return 'metro'
+  if (t === 2 || (t >= 100 && t < 200)) return 'train'
+  if (t === 4 || (t >= 1000 && t < 1100)) return 'ferry'
+  return 'bus'
+}
+
+export function parseGtfs(files) {
+  const need = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt']
+  const missing = need.filter((f) => !(f in files))
+  if (missing.length > 0) throw new GtfsError(`Missing ${missing.join(', ')}`)
+  if (!files['calendar.txt'] && !files['calendar_dates.txt']) throw new GtfsError('Missing calendar.txt or calendar_dates.txt')
+
+  const stops = new Map()
+  parseCsv(files['stops.txt']).forEach((s) => {
+    // Number('') is 0, so blank coordinates have to be caught before converting
+    const coord = [s.stop_lat, s.stop_lon].map((v) => (v ? Number(v) : NaN))
+    // Stations (location_type 1) are only parents; entrances and nodes aren't boardable
+    if (s.location_type && s.location_type !== '0') return
+    if (!coord.every(Number.isFinite)) return
+    stops.set(s.stop_id, { id: s.stop_id, name: s.stop_name || s.stop_id, coord, parent: s.parent_station || null })
+  })
+  if (stops.size === 0) throw new GtfsError('stops.txt has no usable stops')
+
+  const routes = new Map()
+  parseCsv(files['routes.txt']).forEach((r) => {
+    routes.set(r.route_id, {
+      id: r.route_id,
+      name: r.route_short_name || r.route_long_name || r.route_id,
+      longName: r.route_long_name || '',
+      type: routeTypeName(r.route_type),
+      color: r.route_color ? `#${r.route_color}` : null,
+    })
+  })
+
+  const trips = new Map()
+  parseCsv(files['trips.txt']).forEach((t) => {
+    if (!routes.has(t.route_id)) return
+    trips.set(t.trip_id, { id: t.trip_id, routeId: t.route_id, serviceId: t.service_id, headsign: t.trip_headsign || '' })
+  })
+
+  // Consecutive stop_times of a trip become connections; untimed stops are interpolated
+  const byTrip = new Map()
+  parseCsv(files['stop_times.txt']).forEach((st) => {
+    if (!trips.has(st.trip_id) || !stops.has(st.stop_id)) return
+    if (!byTrip.has(st.trip_id)) byTrip.set(st.trip_id, [])
+    byTrip.get(st.trip_id).push({
+      stop: st.stop_id,
+      seq: Number(st.stop_sequence),
+      arr: parseTime(st.arrival_time),
+      dep: parseTime(st.departure_time),
+    })
+  })
+  const connections = []
+  byTrip.forEach((times, trip) => {
+    times.sort((a, b) => a.seq - b.seq)
+    times.forEach((t) => {
+      if (t.arr == null) t.arr = t.dep
+      if (t.dep == null) t.dep = t.arr
+    })
+    let last = -1
+    times.forEach((t, i) => {
+      if (t.arr == null) return
+      if (last >= 0 && i - last > 1) {
+        const a = times[last]
+        for (let k = last + 1; k < i; k++) {
+          times[k].arr = times[k].dep = Math.round(a.dep + ((t.arr - a.dep) * (k - last)) / (i - last))
+        }
+      }
+      last = i
+    })
+    for (let i = 0; i < times.length - 1; i++) {
+      const a = times[i]
+      const b = times[i + 1]
+      if (a.dep == null || b.arr == null) continue
+      connections.push({ trip, from: a.stop, to: b.stop, dep: a.dep, arr: b.arr, seq: i })
+    }
+  })
+  if (connections.length === 0) throw new GtfsError('stop_times.txt has no timed trips')
+  connections.sort((a, b) => a.dep - b.dep || a.arr - b.arr)
+
+  const calendar = new Map()
+  if (files['calendar.txt']) {
+    parseCsv(files['calendar.txt']).forEach((c) => {
+      calendar.set(c.service_id, { days: DAYS.map((d) => c[d] === '1'), start: c.start_date, end: c.end_date })
+    })
+  }
+  const exceptions = new Map()
+  if (files['calendar_dates.txt']) {
+    parseCsv(files['calendar_dates.txt']).forEach((c) => {
+      if (!exceptions.has(c.service_id)) exceptions.set(c.service_id, new Map())
+      exceptions.get(c.service_id).set(c.date, c.exception_type === '1')
+    })
+  }
+
+  return { stops, routes, trips, connections, calendar, exceptions, transfers: walkingTransfers(stops) }
+}
+
+// Stop pairs close enough to change on foot, found through a coarse grid
+function walkingTransfers(stops) {
+  const cell = 0.003 // about 300 m of latitude
+  const key = (lat, lng) => `${Math.floor(lat / cell)}:${Math.floor(lng / cell)}`
+  const grid = new Map()
+  stops.forEach((s) => {
+    const k = key(...s.coord)
+    if (!grid.has(k)) grid.set(k, [])
+    grid.get(k).push(s)
+  })
+  const transfers = new Map()
+  stops.forEach((s) => {
+    const out = []
+    const gy = Math.floor(s.coord[0] / cell)
+    const gx = Math.floor(s.coord[1] / cell)
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        ;(grid.get(`${gy + dy}:${gx + dx}`) || []).forEach((o) => {
+          if (o === s) return
+          const d = haversineDistance(s.coord, o.coord)
+          const sameStation = s.parent && s.parent === o.parent
+          if (d <= TRANSFER_RADIUS_M || sameStation) out.push({ to: o.id, walkS: Math.round((d * DETOUR) / TRANSFER_SPEED) })
+        })
+      }
+    }
+    if (out.length > 0) transfers.set(s.id, out)
+  })
+  return transfers
+}
+
+export function serviceActive(feed, serviceId, date) {
+  const day = ymd(date)
+  const ex = feed.exceptions.get(serviceId)
+  if (ex && ex.has(day)) return ex.get(day)
+  const c = feed.calendar.get(serviceId)
+  return !!c && c.days[date.getDay()] && c.start <= day && day <= c.end
+}
+
+// A .zip feed, or the extracted .txt files selected together
+export async function loadGtfsFiles(fileList) {
+  const list = [...fileList]
+  const zip = list.find((f) => f.name.toLowerCase().endsWith('.zip'))
+  if (zip) return parseGtfs(await readZip(await zip.arrayBuffer()))
+  const files = {}
+  await Promise.all(list.map(async (f) => {
+    files[f.name] = await f.text()
+  }))
+  return parseGtfs(files)
+}
+
+// Stops within radius (m) of a point, nearest first
+export function stopsNear(feed, point, radius, limit) {
+  const out = []
+  feed.stops.forEach((s) => {
+    const d = haversineDistance(point, s.coord)
+    if (d <= radius) out.push({ stop: s, distance: d })
+  })
+  return out.sort((a, b) => a.distance - b.distance).slice(0, limit)
+}
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest'
+import { deflateRawSync } from 'node:zlib'
+import { readZip, parseCsv, parseTime, parseGtfs, serviceActive, routeTypeName, GtfsError } from './gtfs'
+import { miniFeedFiles } from './__fixtures__/gtfs'
+
+// Zip archive of { name: text } with stored (method 0) or deflated (method 8) entries.
+// CRCs are left at zero: readZip doesn't check them.
+function zip(files, method = 0) {
+  const enc = new TextEncoder()
+  const locals = []
+  const central = []
+  let offset = 0
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = enc.encode(name)
+    const raw = enc.encode(text)
+    const data = method === 8 ? new Uint8Array(deflateRawSync(raw)) : raw
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(8, method, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, raw.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    locals.push(new Uint8Array(local.buffer), nameBytes, data)
+    const dir = new DataView(new ArrayBuffer(46))
+    dir.setUint32(0, 0x02014b50, true)
+    dir.setUint16(10, method, true)
+    dir.setUint32(20, data.length, true)
+    dir.setUint32(24, raw.length, true)
+    dir.setUint16(28, nameBytes.length, true)
+    dir.setUint32(42, offset, true)
+    central.push(new Uint8Array(dir.buffer), nameBytes)
+    offset += 30 + nameBytes.length + data.length
+  })
+  const dirSize = central.reduce((a, b) => a + b.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, Object.keys(files).length, true)
+  end.setUint16(10, Object.keys(files).length, true)
+  end.setUint32(12, dirSize, true)
+  end.setUint32(16, offset, true)
+  const parts = [...locals, ...central, new Uint8Array(end.buffer)]
+  const out = new Uint8Array(parts.reduce((a, b) => a + b.length, 0))
+  let at = 0
+  parts.forEach((p) => {
+    out.set(p, at)
+    at += p.length
+  })
+  return out.buffer
+}
+
+describe('parseCsv', () => {
+  it('handles quotes, escaped quotes, embedded commas and newlines', () => {
+    const rows = parseCsv('id,name,note\n1,"Market St, North","said ""hi""\nthen left"\n2,Plain,\n')
+    expect(rows).toEqual([
+      { id: '1', name: 'Market St, North', note: 'said "hi"\nthen left' },
+      { id: '2', name: 'Plain', note: '' },
+    ])
+  })
+
+  it('strips a byte-order mark, accepts CRLF and skips blank lines', () => {
+    expect(parseCsv('﻿a,b\r\n1,2\r\n\r\n3,4')).toEqual([{ a: '1', b: '2' }, { a: '3', b: '4' }])
+    expect(parseCsv('')).toEqual([])
+  })
+
+  it('fills missing trailing fields with empty strings', () => {
+    expect(parseCsv('a,b,c\n1')).toEqual([{ a: '1', b: '', c: '' }])
+  })
+})
+
+describe('parseTime', () => {
+  it('reads times past midnight of the service day', () => {
+    expect(parseTime('08:05:30')).toBe(8 * 3600 + 5 * 60 + 30)
+    expect(parseTime('24:35:00')).toBe(24 * 3600 + 35 * 60)
+    expect(parseTime('7:00:00')).toBe(7 * 3600)
+  })
+
+  it('returns null for blank or malformed values', () => {
+    expect(parseTime('')).toBeNull()
+    expect(parseTime('08:05')).toBeNull()
+    expect(parseTime(undefined)).toBeNull()
+  })
+})
+
+describe('routeTypeName', () => {
+  it('covers basic and extended route types', () => {
+    expect([0, 1, 2, 3, 4, 109, 401, 700, 900].map(routeTypeName)).toEqual(['tram', 'metro', 'train', 'bus', 'ferry', 'train', 'metro', 'bus', 'tram'])
+  })
+})
+
+describe('parseGtfs', () => {
+  const feed = parseGtfs(miniFeedFiles)
+
+  it('keeps boardable stops with coordinates only', () => {
+    expect([...feed.stops.keys()]).toEqual(['S1', 'S2', 'S2b', 'S2c', 'S3'])
+    expect(feed.stops.get('S1').name).toBe('Market St, North')
+    expect(feed.stops.get('S2b').parent).toBe('STA')
+  })
+
+  it('reads routes with their mode and colour, and drops trips on unknown routes', () => {
+    expect(feed.routes.get('A')).toEqual({ id: 'A', name: '10', longName: 'Crosstown "Express"', type: 'bus', color: '#FF0000' })
+    expect(feed.routes.get('B').type).toBe('metro')
+    expect(feed.trips.has('Z1')).toBe(false)
+  })
+
+  it('builds connections in sequence order, interpolating untimed stops', () => {
+    const b1 = feed.connections.filter((c) => c.trip === 'B1')
+    expect(b1.map((c) => [c.from, c.to, c.dep, c.arr])).toEqual([
+      ['S2b', 'S2c', parseTime('08:20:00'), parseTime('08:25:00')],
+      ['S2c', 'S3', parseTime('08:25:00'), parseTime('08:30:00')],
+    ])
+  })
+
+  it('keeps after-midnight times on the service day and sorts by departure', () => {
+    const deps = feed.connections.map((c) => c.dep)
+    expect(deps).toEqual([...deps].sort((a, b) => a - b))
+    expect(feed.connections[feed.connections.length - 1]).toMatchObject({ trip: 'N1', dep: 24 * 3600 + 35 * 60 })
+  })
+
+  it('links stops within walking distance or in the same station', () => {
+    const walk = feed.transfers.get('S2').find((t) => t.to === 'S2b')
+    expect(walk.walkS).toBeGreaterThan(100)
+    expect(walk.walkS).toBeLessThan(140)
+    expect(feed.transfers.has('S1')).toBe(false)
+  })
+
+  it('names what is missing', () => {
+    const without = (...names) => Object.fromEntries(Object.entries(miniFeedFiles).filter(([n]) => !names.includes(n)))
+    expect(() => parseGtfs(without('stop_times.txt'))).toThrow(new GtfsError('Missing stop_times.txt'))
+    expect(() => parseGtfs(without('calendar.txt', 'calendar_dates.txt'))).toThrow('Missing calendar.txt or calendar_dates.txt')
+    expect(() => parseGtfs({ ...miniFeedFiles, 'stop_times.txt': 'trip_id,arrival_time,departure_time,stop_id,stop_sequence\n' }))
+      .toThrow('stop_times.txt has no timed trips')
+  })
+})
+
+describe('serviceActive', () => {
+  const feed = parseGtfs(miniFeedFiles)
+
+  it('applies the weekly calendar, its date range and exceptions', () => {
+    expect(serviceActive(feed, 'WK', new Date(2024, 0, 1))).toBe(true)
+    expect(serviceActive(feed, 'WK', new Date(2024, 0, 2))).toBe(false)
+    expect(serviceActive(feed, 'WK', new Date(2025, 0, 1))).toBe(false)
+    expect(serviceActive(feed, 'NIGHT', new Date(2024, 0, 1))).toBe(true)
+    expect(serviceActive(feed, 'NIGHT', new Date(2024, 0, 3))).toBe(false)
+  })
+})
+
+describe('readZip', () => {
+  it('reads stored and deflated .txt entries, ignoring folders and other files', async () => {
+    const files = { 'feed/stops.txt': 'stop_id\nS1', 'README.md': '# feed' }
+    expect(await readZip(zip(files))).toEqual({ 'stops.txt': 'stop_id\nS1' })
+    expect(await readZip(zip({ 'routes.txt': miniFeedFiles['routes.txt'] }, 8))).toEqual({ 'routes.txt': miniFeedFiles['routes.txt'] })
+  })
+
+  it('parses a zipped feed end to end', async () => {
+    const feed = parseGtfs(await readZip(zip(miniFeedFiles, 8)))
+    expect(feed.connections).toHaveLength(parseGtfs(miniFeedFiles).connections.length)
+  })
+
+  it('rejects data that is not a zip', async () => {
+    await expect(readZip(new TextEncoder().encode('stop_id,stop_name\n').buffer)).rejects.toThrow('Not a zip file')
+  })
+})
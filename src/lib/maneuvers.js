@@ -0,0 +1,222 @@
+import { haversineDistance, pathDistance } from './geo'
+
+// Turn-by-turn instruction generator. Works on the segment list produced by the
+// router and returns one instruction per maneuver:
+//   { type: 'depart' | 'turn' | 'continue' | 'roundabout' | 'waypoint' | 'arrive', modifier,
+//     instruction, street, pathIndex, distanceFromStart, fromSeg, toSeg, signal }
+// plus `stop` (number) on waypoints, `exit` (street or null) when entering a roundabout
+// and `stay` on turns that keep to the same street. Transit segments (lib/transit) add
+// 'board', 'alight' and 'transfer' steps carrying `line`, `headsign` and `stopName`.
+// pathIndex indexes buildPath(segs); [fromSeg, toSeg) are the segments travelled
+// after the maneuver until the next one.
+
+// Initial bearing from a to b in degrees (0 = north, clockwise)
+export function bearing(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180
+  const la1 = toRad(a[0])
+  const la2 = toRad(b[0])
+  const dLon = toRad(b[1] - a[1])
+  const y = Math.sin(dLon) * Math.cos(la2)
+  const x = Math.cos(la1) * Math.sin(la2) - Math.sin(la1) * Math.cos(la2) * Math.cos(dLon)
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360
+}
+
+// Signed turn angle in (-180, 180]; negative is a left turn
+export function turnAngle(inBearing, outBearing) {
+  let d = outBearing - inBearing
+  while (d > 180) d -= 360
+  while (d <= -180) d += 360
+  return d
+}
+
+export function classifyTurn(angle) {
+  const a = Math.abs(angle)
+  const side = angle < 0 ? 'left' : 'right'
+  if (a < 20) return 'straight'
+  if (a < 45) return `slight ${side}`
+  if (a < 135) return side
+  if (a < 170) return `sharp ${side}`
+  return 'uturn'
+}
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest']
+const compass = (deg) => COMPASS[Math.round(deg / 45) % 8]
+
+// Last and first non-degenerate pieces of a polyline, for bearings at its ends
+function headBearing(coords) {
+  for (let i = 1; i < coords.length; i++) {
+    if (haversineDistance(coords[0], coords[i]) > 1) return bearing(coords[0], coords[i])
+  }
+  return 0
+}
+
+function tailBearing(coords) {
+  const last = coords[coords.length - 1]
+  for (let i = coords.length - 2; i >= 0; i--) {
+    if (haversineDistance(coords[i], last) > 1) return bearing(coords[i], last)
+  }
+  return 0
+}
+
+function turnText(modifier, street, sameStreet) {
+  if (modifier === 'straight') return `Continue straight onto ${street}`
+  if (modifier === 'uturn') return `Make a U-turn onto ${street}`
+  const verb = modifier.startsWith('sharp') ? 'Make a' : 'Turn'
+  return sameStreet ? `${verb} ${modifier} to stay on ${street}` : `${verb} ${modifier} onto ${street}`
+}
+
+// Signal-controlled if a signalised intersection or a segment signal sits at the point
+function isSignalised(point, seg, intersections, toleranceM = 15) {
+  const near = (p) => haversineDistance(p, point) <= toleranceM
+  if ((seg.signals || []).some(near)) return true
+  return intersections.some((ix) => ix.signal !== false && near(ix.coord))
+}
+
+// Steps between a segment and the next when either is a transit ride or transfer walk
+function transitSteps(cur, next) {
+  const out = []
+  if (cur && cur.transit && cur.transit.kind === 'ride') {
+    const stopName = cur.transit.alight.stop
+    out.push({
+      type: 'alight',
+      modifier: null,
+      instruction: next && !next.transit
+        ? `Get off at ${stopName} and walk ${compass(headBearing(next.coords))} on ${next.name}`
+        : `Get off at ${stopName}`,
+      street: next && !next.transit ? next.name : stopName,
+      stopName,
+    })
+  }
+  if (next && next.transit && next.transit.kind === 'ride') {
+    const { mode, line, headsign, board } = next.transit
+    out.push({
+      type: 'board',
+      modifier: null,
+      instruction: `Board ${mode} ${line}${headsign ? ` towards ${headsign}` : ''} at ${board.stop}`,
+      street: board.stop,
+      stopName: board.stop,
+      line: `${mode} ${line}`,
+      headsign,
+    })
+  } else if (next && next.transit) {
+    out.push({ type: 'transfer', modifier: null, instruction: next.name, street: next.transit.to, stopName: next.transit.to })
+  }
+  return out
+}
+
+// `stopsAt` lists the segment indices where an intermediate stop is reached; each gets
+// a 'waypoint' instruction between the legs.
+export function buildInstructions(segs, { intersections = [], stopsAt = [] } = {}) {
+  if (segs.length === 0) return []
+  const out = []
+  let pathIndex = 0
+  let walked = 0
+  let stopNo = 0
+
+  // A trip can begin right at a transit stop
+  const departs = segs[0].transit
+    ? transitSteps(null, segs[0])
+    : [{ type: 'depart', modifier: compass(headBearing(segs[0].coords)), instruction: `Head ${compass(headBearing(segs[0].coords))} on ${segs[0].name}`, street: segs[0].name }]
+  out.push({ ...departs[0], pathIndex: 0, distanceFromStart: 0, fromSeg: 0, signal: false })
+
+  for (let i = 0; i < segs.length - 1; i++) {
+    const cur = segs[i]
+    const next = segs[i + 1]
+    pathIndex += cur.coords.length - 1
+    walked += pathDistance(cur.coords)
+
+    stopsAt.filter((at) => at === i + 1).forEach(() => {
+      stopNo += 1
+      out[out.length - 1].toSeg = i + 1
+      out.push({
+        type: 'waypoint',
+        modifier: null,
+        instruction: `Reach stop ${stopNo}`,
+        stop: stopNo,
+        street: cur.name,
+        pathIndex,
+        distanceFromStart: walked,
+        fromSeg: i + 1,
+        signal: false,
+      })
+    })
+
+    if (cur.transit || next.transit) {
+      transitSteps(cur, next).forEach((step) => {
+        out[out.length - 1].toSeg = i + 1
+        out.push({ ...step, pathIndex, distanceFromStart: walked, fromSeg: i + 1, signal: false })
+      })
+      continue
+    }
+
+    const angle = turnAngle(tailBearing(cur.coords), headBearing(next.coords))
+    const modifier = classifyTurn(angle)
+    const sameStreet = cur.name === next.name
+    const enteringRoundabout = next.junction === 'roundabout' && cur.junction !== 'roundabout'
+    // Staying on the same street without a real turn, or circulating, is not a maneuver
+    if (!enteringRoundabout && ((sameStreet && modifier === 'straight') || next.junction === 'roundabout')) continue
+
+    const point = next.coords[0]
+    const signal = isSignalised(point, cur, intersections)
+    let instruction
+    let exit = null
+    let type = modifier === 'straight' ? 'continue' : 'turn'
+    if (enteringRoundabout) {
+      type = 'roundabout'
+      exit = segs.slice(i + 1).find((s) => s.junction !== 'roundabout')
+      instruction = exit ? `At the roundabout, exit onto ${exit.name}` : 'Enter the roundabout'
+    } else if (cur.junction === 'roundabout') {
+      type = 'roundabout'
+      instruction = `Exit the roundabout onto ${next.name}`
+    } else {
+      instruction = turnText(modifier, next.name, sameStreet)
+    }
+    if (signal) instruction += ' at the traffic lights'
+
+    out[out.length - 1].toSeg = i + 1
+    out.push({
+      type,
+      modifier,
+      instruction,
+      street: next.name,
+      pathIndex,
+      distanceFromStart: walked,
+      fromSeg: i + 1,
+      signal,
+      ...(enteringRoundabout ? { exit: exit ? exit.name : null } : { stay: sameStreet }),
+    })
+  }
+
+  const last = segs[segs.length - 1]
+  pathIndex += last.coords.length - 1
+  walked += pathDistance(last.coords)
+  out[out.length - 1].toSeg = segs.length
+  out.push({
+    type: 'arrive',
+    modifier: null,
+    instruction: 'Arrive at your destination',
+    street: last.name,
+    pathIndex,
+    distanceFromStart: walked,
+    fromSeg: segs.length,
+    toSeg: segs.length,
+    signal: false,
+  })
+  return out
+}
+
+export function formatDistance(m) {
+  if (m >= 1000) return `${(m / 1000).toFixed(1)} km`
+  if (m >= 100) return `${Math.round(m / 50) * 50} m`
+  return `${Math.max(0, Math.round(m / 10) * 10)} m`
+}
+
+// Next maneuver ahead of a traveller at path index idx (or `along` meters, when
+// map-matched), with a distance countdown
+export function upcomingInstruction(instructions, cumulative, idx, along = cumulative[Math.min(idx, cumulative.length - 1)] || 0) {
+  const next = instructions.find((s) => s.type !== 'depart' && s.pathIndex > idx)
+  if (!next) return null
+  const distanceTo = Math.max(0, next.distanceFromStart - along)
+  const lead = next.instruction.charAt(0).toLowerCase() + next.instruction.slice(1)
+  return { ...next, distanceTo, countdown: `In ${formatDistance(distanceTo)}, ${lead}` }
+}
@@ -0,0 +1,251 @@
+import { coordKey } from './geo'
+
+// Importers that build the SafeRoutes road network structure
+// ({ streets: [{ id, name, segments }], intersections }) from GeoJSON or OSM XML.
+
+export class NetworkImportError extends Error {
+  constructor(message, issues = []) {
+    super(message)
+    this.name = 'NetworkImportError'
+    this.issues = issues
+  }
+}
+
+// Default speeds (km/h) by OSM highway class when no maxspeed is given
+const DEFAULT_SPEEDS = {
+  motorway: 90,
+  trunk: 70,
+  primary: 50,
+  secondary: 40,
+  tertiary: 40,
+  unclassified: 30,
+  residential: 30,
+  service: 20,
+  living_street: 10,
+  pedestrian: 5,
+  footway: 5,
+  path: 5,
+  steps: 3,
+}
+
+const num = (v) => {
+  const n = parseFloat(v)
+  return Number.isFinite(n) ? n : undefined
+}
+
+function parseMaxspeed(v) {
+  if (v == null) return undefined
+  if (typeof v === 'number') return v
+  const n = num(v)
+  if (n === undefined) return undefined
+  return /mph/i.test(v) ? n * 1.609 : n
+}
+
+function lightingFrom(props) {
+  const explicit = num(props.lighting)
+  if (explicit !== undefined) return Math.max(0, Math.min(1, explicit))
+  if (props.lit === 'yes' || props.lit === true) return 0.9
+  if (props.lit === 'no' || props.lit === false) return 0.2
+  return 0.5
+}
+
+const isSignal = (props) => !!props && (props.highway === 'traffic_signals' || props.signal === true)
+
+// GeoJSON positions are [lng, lat, ele?]; validate and convert to [lat, lng, ele?]
+function toLatLng(p) {
+  if (!Array.isArray(p) || p.length < 2) return { problem: 'Malformed position' }
+  const [lng, lat, ele] = p
+  if (!Number.isFinite(lng) || !Number.isFinite(lat)) return { problem: 'Non-numeric coordinate' }
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return { problem: `Coordinate out of range (${lng}, ${lat})` }
+  return { point: Number.isFinite(ele) ? [lat, lng, ele] : [lat, lng] }
+}
+
+const yes = (v) => v === true || v === 'yes'
+const no = (v) => v === false || v === 'no'
+
+// Accessibility attributes from OSM-style tags (or the same keys already normalised)
+function accessFrom(props) {
+  const out = {}
+  const sidewalk = props.sidewalk === 'no' ? 'none' : props.sidewalk
+  if (['both', 'left', 'right', 'none'].includes(sidewalk)) out.sidewalk = sidewalk
+  if (props.highway === 'steps' || yes(props.stairs)) out.stairs = true
+  if (['lowered', 'flush', 'no'].includes(props.kerb) || yes(props.curbCuts)) out.curbCuts = true
+  if (props.kerb === 'raised' || no(props.curbCuts)) out.curbCuts = false
+  const incline = num(props.incline)
+  if (incline !== undefined) out.incline = Math.abs(incline)
+  if (typeof props.surface === 'string') out.surface = props.surface
+  if (['yes', 'limited', 'no'].includes(props.wheelchair)) out.wheelchair = props.wheelchair
+  return out
+}
+
+function toLatLngLine(positions) {
+  if (!Array.isArray(positions)) return { problem: 'Coordinates are not an array' }
+  const out = []
+  for (const p of positions) {
+    const { point: pt, problem } = toLatLng(p)
+    if (problem) return { problem }
+    const last = out[out.length - 1]
+    if (!last || coordKey(last) !== coordKey(pt)) out.push(pt)
+  }
+  if (out.length < 2) return { problem: 'LineString needs at least two distinct positions' }
+  return { coords: out }
+}
+
+// Build a road network from a GeoJSON FeatureCollection of LineStrings.
+// Point features tagged highway=traffic_signals mark signalised vertices.
+// Returns { network, issues } where issues lists skipped features.
+export function networkFromGeoJSON(geojson) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new NetworkImportError('Expected a GeoJSON FeatureCollection')
+  }
+  const issues = []
+  const lines = []
+  const signalKeys = new Set()
+
+  geojson.features.forEach((f, i) => {
+    const g = f && f.geometry
+    if (!g) {
+      issues.push({ feature: i, message: 'Missing geometry' })
+      return
+    }
+    if (g.type === 'Point') {
+      if (!isSignal(f.properties)) return
+      const res = toLatLng(g.coordinates)
+      if (res.problem) issues.push({ feature: i, message: res.problem })
+      else signalKeys.add(coordKey(res.point))
+      return
+    }
+    const parts = g.type === 'LineString' ? [g.coordinates] : g.type === 'MultiLineString' ? g.coordinates : null
+    if (!parts) {
+      issues.push({ feature: i, message: `Unsupported geometry type ${g.type}` })
+      return
+    }
+    parts.forEach((part) => {
+      const res = toLatLngLine(part)
+      if (res.problem) issues.push({ feature: i, message: res.problem })
+      else lines.push({ props: f.properties || {}, coords: res.coords })
+    })
+  })
+
+  if (lines.length === 0) throw new NetworkImportError('No valid LineString features found', issues)
+
+  // A vertex used by two or more lines is a junction
+  const usage = new Map()
+  lines.forEach((l) => new Set(l.coords.map(coordKey)).forEach((k) => usage.set(k, (usage.get(k) || 0) + 1)))
+
+  const intersections = []
+  const junctionIds = new Map()
+  const junctionAt = (pt) => {
+    const k = coordKey(pt)
+    if (!junctionIds.has(k)) {
+      const id = `J${intersections.length + 1}`
+      junctionIds.set(k, id)
+      intersections.push({ id, coord: pt, signal: signalKeys.has(k) })
+    }
+    return junctionIds.get(k)
+  }
+
+  const usedIds = new Set()
+  const streets = lines.map((line, li) => {
+    const props = line.props
+    let streetId = props.id != null ? String(props.id) : `S${li + 1}`
+    if (usedIds.has(streetId)) streetId = `${streetId}.${li + 1}`
+    usedIds.add(streetId)
+    const base = {
+      speed: parseMaxspeed(props.maxspeed) ?? num(props.speed) ?? DEFAULT_SPEEDS[props.highway] ?? 30,
+      safety: num(props.safety) ?? 60,
+      lanes: num(props.lanes) ?? 1,
+      lighting: lightingFrom(props),
+      ...accessFrom(props),
+      ...(props.junction ? { junction: props.junction } : {}),
+    }
+
+    // Split the line into segments at every junction vertex
+    const segments = []
+    let piece = [line.coords[0]]
+    line.coords.forEach((pt, i) => {
+      if (i === 0) return
+      piece.push(pt)
+      const k = coordKey(pt)
+      const isJunction = usage.get(k) > 1 || signalKeys.has(k)
+      if (isJunction) junctionAt(pt)
+      if (isJunction || i === line.coords.length - 1) {
+        segments.push({
+          id: `${streetId}-${segments.length + 1}`,
+          coords: piece,
+          ...base,
+          signals: piece.filter((p) => signalKeys.has(coordKey(p))),
+        })
+        piece = [pt]
+      }
+    })
+    if (usage.get(coordKey(line.coords[0])) > 1) junctionAt(line.coords[0])
+
+    return { id: streetId, name: props.name || 'Unnamed road', segments }
+  })
+
+  return { network: { streets, intersections }, issues }
+}
+
+// Convert an OSM XML extract (as exported by the OSM editor or osmium) into
+// GeoJSON, then build the network from it.
+export function networkFromOsmXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new NetworkImportError('Invalid OSM XML')
+  const root = doc.documentElement
+  if (!root || root.nodeName !== 'osm') throw new NetworkImportError('Expected an <osm> document')
+
+  const tagsOf = (el) => {
+    const tags = {}
+    Array.from(el.getElementsByTagName('tag')).forEach((t) => {
+      tags[t.getAttribute('k')] = t.getAttribute('v')
+    })
+    return tags
+  }
+
+  const nodes = new Map()
+  const features = []
+  Array.from(root.getElementsByTagName('node')).forEach((n) => {
+    const tags = tagsOf(n)
+    const ele = parseFloat(tags.ele)
+    const coord = [parseFloat(n.getAttribute('lon')), parseFloat(n.getAttribute('lat'))]
+    if (Number.isFinite(ele)) coord.push(ele)
+    nodes.set(n.getAttribute('id'), coord)
+    if (tags.highway === 'traffic_signals') {
+      features.push({ type: 'Feature', properties: tags, geometry: { type: 'Point', coordinates: coord } })
+    }
+  })
+
+  const issues = []
+  Array.from(root.getElementsByTagName('way')).forEach((w) => {
+    const tags = tagsOf(w)
+    if (!tags.highway || tags.area === 'yes') return
+    const refs = Array.from(w.getElementsByTagName('nd')).map((nd) => nd.getAttribute('ref'))
+    const missing = refs.filter((r) => !nodes.has(r))
+    if (missing.length > 0) {
+      issues.push({ feature: `way/${w.getAttribute('id')}`, message: `${missing.length} referenced node(s) missing from extract` })
+      return
+    }
+    features.push({
+      type: 'Feature',
+      properties: { ...tags, id: `w${w.getAttribute('id')}` },
+      geometry: { type: 'LineString', coordinates: refs.map((r) => nodes.get(r)) },
+    })
+  })
+
+  const result = networkFromGeoJSON({ type: 'FeatureCollection', features })
+  return { network: result.network, issues: [...issues, ...result.issues] }
+}
+
+// Pick the importer from the file name or content
+export function importNetwork(text, filename = '') {
+  const looksXml = /\.osm$|\.xml$/i.test(filename) || text.trimStart().startsWith('<')
+  if (looksXml) return networkFromOsmXml(text)
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch (e) {
+    throw new NetworkImportError(`Invalid JSON: ${e.message}`)
+  }
+  return networkFromGeoJSON(json)
+}
@@ -0,0 +1,135 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { networkFromGeoJSON, networkFromOsmXml, importNetwork, NetworkImportError } from './networkImport'
+
+const line = (coordinates, properties = {}) => ({ type: 'Feature', properties, geometry: { type: 'LineString', coordinates } })
+const point = (coordinates, properties = {}) => ({ type: 'Feature', properties, geometry: { type: 'Point', coordinates } })
+const collection = (...features) => ({ type: 'FeatureCollection', features })
+
+// GeoJSON is [lng, lat]: Oak Ave runs east along lat 0, Pine St crosses it at lng 0.001
+const oak = line([[0, 0], [0.001, 0], [0.002, 0]], { id: 'oak', name: 'Oak Ave', highway: 'residential' })
+const pine = line([[0.001, -0.001], [0.001, 0], [0.001, 0.001]], { id: 'pine', name: 'Pine St', highway: 'footway', lit: 'yes' })
+
+describe('networkFromGeoJSON', () => {
+  it('turns shared vertices into intersections and splits the streets there', () => {
+    const { network, issues } = networkFromGeoJSON(collection(oak, pine))
+    expect(issues).toEqual([])
+    expect(network.intersections).toEqual([{ id: 'J1', coord: [0, 0.001], signal: false }])
+    const [o, p] = network.streets
+    expect(o.segments.map((s) => s.coords)).toEqual([[[0, 0], [0, 0.001]], [[0, 0.001], [0, 0.002]]])
+    expect(p.segments.map((s) => s.id)).toEqual(['pine-1', 'pine-2'])
+  })
+
+  it('does not treat a vertex used by only one street as a junction', () => {
+    const { network } = networkFromGeoJSON(collection(oak))
+    expect(network.intersections).toEqual([])
+    expect(network.streets[0].segments).toHaveLength(1)
+  })
+
+  it('marks signalised junctions and splits at lone signals too', () => {
+    const longOak = line([[0, 0], [0.001, 0], [0.0015, 0], [0.002, 0]], { id: 'oak' })
+    const { network } = networkFromGeoJSON(collection(
+      longOak, pine,
+      point([0.001, 0], { highway: 'traffic_signals' }),
+      point([0.0015, 0], { highway: 'traffic_signals' }),
+      point([0.0018, 0], { amenity: 'bench' }),
+    ))
+    expect(network.intersections.map((ix) => [ix.coord, ix.signal])).toEqual([[[0, 0.001], true], [[0, 0.0015], true]])
+    expect(network.streets[0].segments).toHaveLength(3)
+  })
+
+  it('reads speed, lighting and access tags', () => {
+    const { network } = networkFromGeoJSON(collection(oak, pine, line([[0.003, 0], [0.004, 0]], { highway: 'steps', maxspeed: '20 mph', kerb: 'raised' })))
+    const seg = (i) => network.streets[i].segments[0]
+    expect(seg(0)).toMatchObject({ speed: 30, lighting: 0.5, safety: 60 })
+    expect(seg(1)).toMatchObject({ speed: 5, lighting: 0.9 })
+    expect(seg(2).speed).toBeCloseTo(32.18)
+    expect(seg(2)).toMatchObject({ stairs: true, curbCuts: false })
+    expect(network.streets[2]).toMatchObject({ id: 'S3', name: 'Unnamed road' })
+  })
+
+  it('collects malformed features as issues and keeps the valid ones', () => {
+    const { network, issues } = networkFromGeoJSON(collection(
+      oak,
+      { type: 'Feature', properties: {} },
+      line([[0, 0]]),
+      line([[0, 0], [0, 0]]),
+      line([[0, 0], ['east', 1]]),
+      line([[0, 0], [200, 95]]),
+      line('not a list'),
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [] } },
+      point([0, 'x'], { highway: 'traffic_signals' }),
+    ))
+    expect(network.streets.map((s) => s.id)).toEqual(['oak'])
+    expect(issues).toEqual([
+      { feature: 1, message: 'Missing geometry' },
+      { feature: 2, message: 'LineString needs at least two distinct positions' },
+      { feature: 3, message: 'LineString needs at least two distinct positions' },
+      { feature: 4, message: 'Non-numeric coordinate' },
+      { feature: 5, message: 'Coordinate out of range (200, 95)' },
+      { feature: 6, message: 'Coordinates are not an array' },
+      { feature: 7, message: 'Unsupported geometry type Polygon' },
+      { feature: 8, message: 'Non-numeric coordinate' },
+    ])
+  })
+
+  it('keeps the good parts of a MultiLineString', () => {
+    const multi = { type: 'Feature', properties: { id: 'm' }, geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [0.001, 0]], [[1, 1]]] } }
+    const { network, issues } = networkFromGeoJSON(collection(multi))
+    expect(network.streets).toHaveLength(1)
+    expect(issues).toEqual([{ feature: 0, message: 'LineString needs at least two distinct positions' }])
+  })
+
+  it('gives repeated ids a suffix', () => {
+    const { network } = networkFromGeoJSON(collection(oak, line([[0, 1], [0, 1.001]], { id: 'oak' })))
+    expect(network.streets.map((s) => s.id)).toEqual(['oak', 'oak.2'])
+  })
+
+  it('throws when nothing usable is left, with the issues attached', () => {
+    expect(() => networkFromGeoJSON({ type: 'Feature' })).toThrow('Expected a GeoJSON FeatureCollection')
+    let error
+    try {
+      networkFromGeoJSON(collection(line([[0, 0]])))
+    } catch (e) {
+      error = e
+    }
+    expect(error).toBeInstanceOf(NetworkImportError)
+    expect(error.message).toBe('No valid LineString features found')
+    expect(error.issues).toHaveLength(1)
+  })
+})
+
+describe('networkFromOsmXml', () => {
+  const osm = `<?xml version="1.0"?>
+<osm version="0.6">
+  <node id="1" lat="0" lon="0"/>
+  <node id="2" lat="0" lon="0.001"><tag k="highway" v="traffic_signals"/></node>
+  <node id="3" lat="0" lon="0.002"/>
+  <node id="4" lat="0.001" lon="0.001"/>
+  <way id="10"><nd ref="1"/><nd ref="2"/><nd ref="3"/><tag k="highway" v="primary"/><tag k="name" v="High St"/></way>
+  <way id="11"><nd ref="2"/><nd ref="4"/><tag k="highway" v="footway"/></way>
+  <way id="12"><nd ref="4"/><nd ref="99"/><tag k="highway" v="path"/></way>
+  <way id="13"><nd ref="1"/><nd ref="3"/><tag k="building" v="yes"/></way>
+</osm>`
+
+  it('builds streets from highway ways and reports missing nodes', () => {
+    const { network, issues } = networkFromOsmXml(osm)
+    expect(network.streets.map((s) => [s.id, s.name])).toEqual([['w10', 'High St'], ['w11', 'Unnamed road']])
+    expect(network.streets[0].segments[0].speed).toBe(50)
+    expect(network.intersections).toEqual([{ id: 'J1', coord: [0, 0.001], signal: true }])
+    expect(issues).toEqual([{ feature: 'way/12', message: '1 referenced node(s) missing from extract' }])
+  })
+
+  it('rejects documents that are not OSM', () => {
+    expect(() => networkFromOsmXml('<osm><node')).toThrow('Invalid OSM XML')
+    expect(() => networkFromOsmXml('<gpx/>')).toThrow('Expected an <osm> document')
+  })
+})
+
+describe('importNetwork', () => {
+  it('picks the importer from the file name or content', () => {
+    expect(importNetwork(JSON.stringify(collection(oak)), 'city.geojson').network.streets).toHaveLength(1)
+    expect(importNetwork('<osm><node id="1" lat="0" lon="0"/><node id="2" lat="0" lon="1"/><way id="5"><nd ref="1"/><nd ref="2"/><tag k="highway" v="path"/></way></osm>', 'x.json').network.streets).toHaveLength(1)
+    expect(() => importNetwork('{oops', 'city.geojson')).toThrow(/^Invalid JSON/)
+  })
+})
@@ -0,0 +1,82 @@
+// Offline support: service worker registration and tile-area downloads.
+// The worker itself lives in public/sw.js; this module talks to it with postMessage.
+
+export const OSM_TILES = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
+
+// The public OSM servers forbid bulk downloads; keep regions small
+export const MAX_REGION_TILES = 2500
+
+const lngToTileX = (lng, z) => Math.floor(((lng + 180) / 360) * 2 ** z)
+const latToTileY = (lat, z) => {
+  const r = (lat * Math.PI) / 180
+  return Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * 2 ** z)
+}
+
+// Tiles covering [[south, west], [north, east]] for every zoom in [minZoom, maxZoom]
+export function tilesForBounds(bounds, minZoom, maxZoom) {
+  const [[s, w], [n, e]] = bounds
+  const tiles = []
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const max = 2 ** z - 1
+    const x0 = Math.max(0, lngToTileX(w, z))
+    const x1 = Math.min(max, lngToTileX(e, z))
+    const y0 = Math.max(0, latToTileY(n, z))
+    const y1 = Math.min(max, latToTileY(s, z))
+    for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) tiles.push({ z, x, y })
+  }
+  return tiles
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  let total = 0
+  const [[s, w], [n, e]] = bounds
+  for (let z = minZoom; z <= maxZoom; z++) {
+    total += (lngToTileX(e, z) - lngToTileX(w, z) + 1) * (latToTileY(s, z) - latToTileY(n, z) + 1)
+  }
+  return total
+}
+
+export function tileUrl(template, { z, x, y }, subdomains = 'abc') {
+  const s = subdomains[(x + y) % subdomains.length]
+  return template.replace('{s}', s).replace('{z}', z).replace('{x}', x).replace('{y}', y)
+}
+
+export function registerServiceWorker(url = '/sw.js') {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null)
+  return navigator.serviceWorker.register(url).catch(() => null)
+}
+
+// Send a request to the active worker and resolve with its final reply. Progress
+// messages ({ progress }) are passed to onProgress along the way.
+function ask(message, onProgress) {
+  return navigator.serviceWorker.ready.then((reg) => new Promise((resolve, reject) => {
+    const channel = new MessageChannel()
+    channel.port1.onmessage = ({ data }) => {
+      if (data.progress && onProgress) onProgress(data.progress)
+      else if (data.error) reject(new Error(data.error))
+      else if (data.done) resolve(data)
+    }
+    reg.active.postMessage(message, [channel.port2])
+  }))
+}
+
+export function offlineAvailable() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && !!navigator.serviceWorker.controller
+}
+
+// Fetch every tile of the region into the worker's tile cache
+export function downloadRegion({ bounds, minZoom, maxZoom, template = OSM_TILES, onProgress }) {
+  const tiles = tilesForBounds(bounds, minZoom, maxZoom)
+  if (tiles.length > MAX_REGION_TILES) {
+    return Promise.reject(new Error(`${tiles.length} tiles is too many; zoom in or lower the max zoom (limit ${MAX_REGION_TILES})`))
+  }
+  return ask({ type: 'cache-tiles', urls: tiles.map((t) => tileUrl(template, t)) }, onProgress)
+}
+
+export function clearTileCache() {
+  return ask({ type: 'clear-tiles' })
+}
+
+export function tileCacheSize() {
+  return ask({ type: 'tile-count' }).then((r) => r.count)
+}
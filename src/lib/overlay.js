@@ -0,0 +1,119 @@
+import { haversineDistance } from './geo'
+
+// Network-wide overlay: every segment colored by a metric of its effective state at a
+// given time, optionally smoothed into a heatmap grid.
+
+// Bands are listed from the top of the scale down; a value takes the first band it reaches
+export const overlayMetrics = [
+  {
+    key: 'safety',
+    label: 'Safety',
+    value: (s) => s.safety,
+    bands: [
+      { min: 80, color: '#10b981', label: '80+' },
+      { min: 60, color: '#84cc16', label: '60–80' },
+      { min: 40, color: '#f59e0b', label: '40–60' },
+      { min: 20, color: '#f97316', label: '20–40' },
+      { min: -Infinity, color: '#ef4444', label: 'under 20' },
+    ],
+  },
+  {
+    key: 'crowd',
+    label: 'Crowds',
+    value: (s) => s.crowd * 100,
+    bands: [
+      { min: 80, color: '#be185d', label: 'Packed' },
+      { min: 60, color: '#d946ef', label: 'Busy' },
+      { min: 40, color: '#a78bfa', label: 'Moderate' },
+      { min: 20, color: '#818cf8', label: 'Light' },
+      { min: -Infinity, color: '#38bdf8', label: 'Quiet' },
+    ],
+  },
+]
+
+export const overlayMetric = (key) => overlayMetrics.find((m) => m.key === key) || overlayMetrics[0]
+
+export const bandColor = (metric, value) => metric.bands.find((b) => value >= b.min).color
+
+export const routeSafetyColor = (score) => bandColor(overlayMetrics[0], score)
+
+// [{ seg, value, color }] for every segment of the network at timestamp `at`
+export function networkValues(network, stateOf, at, metric) {
+  return network.streets.flatMap((st) => st.segments.map((seg) => {
+    const value = metric.value(stateOf(seg, at))
+    return { seg, value, color: bandColor(metric, value) }
+  }))
+}
+
+// Points every ~spacing meters along each segment, carrying its value
+export function heatSamples(values, spacing = 25) {
+  const out = []
+  values.forEach(({ seg, value }) => {
+    const c = seg.coords
+    out.push({ coord: c[0], value })
+    for (let i = 1; i < c.length; i++) {
+      const n = Math.max(1, Math.round(haversineDistance(c[i - 1], c[i]) / spacing))
+      for (let k = 1; k <= n; k++) {
+        const t = k / n
+        out.push({ coord: [c[i - 1][0] + (c[i][0] - c[i - 1][0]) * t, c[i - 1][1] + (c[i][1] - c[i - 1][1]) * t], value })
+      }
+    }
+  })
+  return out
+}
+
+// Smoothed grid over the samples' bounds (padded by radius): each cell is the
+// Gaussian-weighted mean of the samples within 2 * radius, or NaN when there are none.
+// Returns { bounds: [[south, west], [north, east]], cols, rows, values } with values
+// row-major from the north-west corner.
+export function heatGrid(samples, { cols = 96, radius = 60 } = {}) {
+  if (samples.length === 0) return null
+  const lat0 = samples.reduce((a, s) => a + s.coord[0], 0) / samples.length
+  const mLat = 110540
+  const mLng = 111320 * Math.cos((lat0 * Math.PI) / 180)
+  const padLat = (2 * radius) / mLat
+  const padLng = (2 * radius) / mLng
+  const lats = samples.map((s) => s.coord[0])
+  const lngs = samples.map((s) => s.coord[1])
+  const south = lats.reduce((a, v) => Math.min(a, v)) - padLat
+  const north = lats.reduce((a, v) => Math.max(a, v)) + padLat
+  const west = lngs.reduce((a, v) => Math.min(a, v)) - padLng
+  const east = lngs.reduce((a, v) => Math.max(a, v)) + padLng
+  const rows = Math.max(1, Math.round((cols * (north - south) * mLat) / ((east - west) * mLng)))
+  const cellLat = (north - south) / rows
+  const cellLng = (east - west) / cols
+  const reach = 2 * radius
+  // Samples bucketed in reach-sized cells so each grid cell only looks at its neighbours
+  const bucketOf = (lat, lng) => [Math.floor(((lat - south) * mLat) / reach), Math.floor(((lng - west) * mLng) / reach)]
+  const buckets = new Map()
+  samples.forEach((s) => {
+    const key = bucketOf(s.coord[0], s.coord[1]).join(':')
+    if (!buckets.has(key)) buckets.set(key, [])
+    buckets.get(key).push(s)
+  })
+  const values = new Float32Array(cols * rows)
+  for (let r = 0; r < rows; r++) {
+    const lat = north - (r + 0.5) * cellLat
+    for (let c = 0; c < cols; c++) {
+      const lng = west + (c + 0.5) * cellLng
+      const [bi, bj] = bucketOf(lat, lng)
+      let sum = 0
+      let weight = 0
+      for (let i = bi - 1; i <= bi + 1; i++) {
+        for (let j = bj - 1; j <= bj + 1; j++) {
+          ;(buckets.get(`${i}:${j}`) || []).forEach((s) => {
+            const dy = (s.coord[0] - lat) * mLat
+            const dx = (s.coord[1] - lng) * mLng
+            const d2 = dx * dx + dy * dy
+            if (d2 > reach * reach) return
+            const w = Math.exp(-d2 / (radius * radius))
+            sum += w * s.value
+            weight += w
+          })
+        }
+      }
+      values[r * cols + c] = weight > 0 ? sum / weight : NaN
+    }
+  }
+  return { bounds: [[south, west], [north, east]], cols, rows, values }
+}
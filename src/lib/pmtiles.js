@@ -0,0 +1,177 @@
+// Minimal PMTiles v3 reader for raster tile archives (https://github.com/protomaps/PMTiles).
+// Works on anything that can read a byte range: a File picked from disk, or a URL served
+// with HTTP Range support. Only what a raster map needs: header, directories, tile lookup.
+
+export class PMTilesError extends Error {}
+
+const TILE_TYPES = { 2: 'image/png', 3: 'image/jpeg', 4: 'image/webp', 5: 'image/avif' }
+const COMPRESSION = { 0: 'unknown', 1: 'none', 2: 'gzip', 3: 'brotli', 4: 'zstd' }
+
+// Byte sources: read(offset, length) -> Promise<ArrayBuffer>
+export function fileSource(file) {
+  return {
+    name: file.name,
+    read: (offset, length) => file.slice(offset, offset + length).arrayBuffer(),
+  }
+}
+
+export function urlSource(url, fetchImpl = (...args) => globalThis.fetch(...args)) {
+  return {
+    name: url,
+    async read(offset, length) {
+      const res = await fetchImpl(url, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } })
+      if (res.status !== 206 && res.status !== 200) throw new PMTilesError(`${url}: ${res.status} ${res.statusText}`)
+      const buf = await res.arrayBuffer()
+      // A server that ignores Range returns the whole file
+      return res.status === 200 ? buf.slice(offset, offset + length) : buf
+    },
+  }
+}
+
+const u64 = (view, at) => view.getUint32(at + 4, true) * 2 ** 32 + view.getUint32(at, true)
+
+export function parseHeader(buf) {
+  const view = new DataView(buf)
+  const magic = new TextDecoder().decode(new Uint8Array(buf, 0, 7))
+  if (magic !== 'PMTiles') throw new PMTilesError('Not a PMTiles archive')
+  const version = view.getUint8(7)
+  if (version !== 3) throw new PMTilesError(`Unsupported PMTiles version ${version}`)
+  return {
+    rootDirectoryOffset: u64(view, 8),
+    rootDirectoryLength: u64(view, 16),
+    metadataOffset: u64(view, 24),
+    metadataLength: u64(view, 32),
+    leafDirectoryOffset: u64(view, 40),
+    leafDirectoryLength: u64(view, 48),
+    tileDataOffset: u64(view, 56),
+    tileDataLength: u64(view, 64),
+    internalCompression: COMPRESSION[view.getUint8(97)],
+    tileCompression: COMPRESSION[view.getUint8(98)],
+    mime: TILE_TYPES[view.getUint8(99)] || null,
+    minZoom: view.getUint8(100),
+    maxZoom: view.getUint8(101),
+    bounds: [
+      [view.getInt32(106, true) / 1e7, view.getInt32(102, true) / 1e7],
+      [view.getInt32(114, true) / 1e7, view.getInt32(110, true) / 1e7],
+    ],
+    center: [view.getInt32(123, true) / 1e7, view.getInt32(119, true) / 1e7],
+    centerZoom: view.getUint8(118),
+  }
+}
+
+async function decompress(buf, compression) {
+  if (compression === 'none' || compression === 'unknown') return buf
+  if (compression === 'gzip' && typeof DecompressionStream !== 'undefined') {
+    const stream = new Blob([buf]).stream().pipeThrough(new DecompressionStream('gzip'))
+    return new Response(stream).arrayBuffer()
+  }
+  throw new PMTilesError(`Unsupported ${compression} compression`)
+}
+
+function varintReader(bytes) {
+  let pos = 0
+  return () => {
+    let value = 0
+    let scale = 1
+    for (;;) {
+      if (pos >= bytes.length) throw new PMTilesError('Truncated directory')
+      const b = bytes[pos++]
+      value += (b & 0x7f) * scale
+      if (b < 0x80) return value
+      scale *= 128
+    }
+  }
+}
+
+// Directory entries are stored column by column: ids (delta), run lengths, lengths, offsets
+export function parseDirectory(buf) {
+  const next = varintReader(new Uint8Array(buf))
+  const count = next()
+  const entries = []
+  let tileId = 0
+  for (let i = 0; i < count; i++) {
+    tileId += next()
+    entries.push({ tileId, runLength: 0, length: 0, offset: 0 })
+  }
+  entries.forEach((e) => { e.runLength = next() })
+  entries.forEach((e) => { e.length = next() })
+  entries.forEach((e, i) => {
+    const v = next()
+    e.offset = v === 0 && i > 0 ? entries[i - 1].offset + entries[i - 1].length : v - 1
+  })
+  return entries
+}
+
+// Tile ids run along a Hilbert curve within each zoom level
+export function zxyToTileId(z, x, y) {
+  let acc = 0
+  for (let a = 0; a < z; a++) acc += 4 ** a
+  const n = 2 ** z
+  let px = x
+  let py = y
+  let d = 0
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = (px & s) > 0 ? 1 : 0
+    const ry = (py & s) > 0 ? 1 : 0
+    d += s * s * ((3 * rx) ^ ry)
+    if (ry === 0) {
+      if (rx === 1) {
+        px = s - 1 - px
+        py = s - 1 - py
+      }
+      ;[px, py] = [py, px]
+    }
+  }
+  return acc + d
+}
+
+export function findEntry(entries, tileId) {
+  let lo = 0
+  let hi = entries.length - 1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    const cmp = tileId - entries[mid].tileId
+    if (cmp > 0) lo = mid + 1
+    else if (cmp < 0) hi = mid - 1
+    else return entries[mid]
+  }
+  if (hi >= 0) {
+    const e = entries[hi]
+    if (e.runLength === 0 || tileId - e.tileId < e.runLength) return e
+  }
+  return null
+}
+
+// Open an archive: { header, getTile(z, x, y) -> Promise<ArrayBuffer | null> }
+export async function openPMTiles(source) {
+  const header = parseHeader(await source.read(0, 127))
+  if (!header.mime) throw new PMTilesError('Only raster (PNG, JPEG, WebP, AVIF) archives are supported')
+  const dirs = new Map()
+  const readDir = async (offset, length) => {
+    const key = `${offset}:${length}`
+    if (!dirs.has(key)) {
+      dirs.set(key, source.read(offset, length).then((b) => decompress(b, header.internalCompression)).then(parseDirectory))
+    }
+    return dirs.get(key)
+  }
+
+  const getTile = async (z, x, y) => {
+    if (z < header.minZoom || z > header.maxZoom) return null
+    const tileId = zxyToTileId(z, x, y)
+    let offset = header.rootDirectoryOffset
+    let length = header.rootDirectoryLength
+    for (let depth = 0; depth < 4; depth++) {
+      const entry = findEntry(await readDir(offset, length), tileId)
+      if (!entry) return null
+      if (entry.runLength > 0) {
+        const data = await source.read(header.tileDataOffset + entry.offset, entry.length)
+        return decompress(data, header.tileCompression)
+      }
+      offset = header.leafDirectoryOffset + entry.offset
+      length = entry.length
+    }
+    throw new PMTilesError('Directory nesting too deep')
+  }
+
+  return { header, getTile }
+}
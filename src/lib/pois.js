@@ -0,0 +1,194 @@
+import { projectOnPolyline } from './geo'
+
+// Points of interest loaded from a GeoJSON FeatureCollection of Points. Properties:
+//   name, kind (or OSM amenity/shop/highway/public_transport/place tags), opening_hours,
+//   phone, haven (overrides the kind's default)
+// Havens are places where someone in trouble can find people and light: open shops,
+// pharmacies, police, hospitals, fire stations, staffed hotels and lit plazas.
+
+export class PoiImportError extends Error {
+  constructor(message, issues = []) {
+    super(message)
+    this.name = 'PoiImportError'
+    this.issues = issues
+  }
+}
+
+export const poiKinds = [
+  { key: 'shop', label: 'Shops', color: '#f59e0b', haven: true },
+  { key: 'pharmacy', label: 'Pharmacies', color: '#10b981', haven: true },
+  { key: 'police', label: 'Police', color: '#1d4ed8', haven: true },
+  { key: 'hospital', label: 'Hospitals', color: '#dc2626', haven: true },
+  { key: 'fire', label: 'Fire stations', color: '#ea580c', haven: true },
+  { key: 'hotel', label: 'Hotels', color: '#7c3aed', haven: true },
+  { key: 'plaza', label: 'Lit plazas', color: '#eab308', haven: true },
+  { key: 'transit', label: 'Transit stops', color: '#0891b2', haven: false },
+]
+
+export const poiKind = (key) => poiKinds.find((k) => k.key === key) || { key, label: key, color: '#64748b', haven: false }
+
+// Kind from explicit `kind` or common OSM tags
+function kindOf(props) {
+  if (props.kind) return props.kind
+  const amenity = props.amenity
+  if (amenity === 'pharmacy' || amenity === 'police' || amenity === 'hospital') return amenity
+  if (amenity === 'fire_station') return 'fire'
+  if (props.shop) return 'shop'
+  if (props.tourism === 'hotel') return 'hotel'
+  if (props.highway === 'bus_stop' || props.public_transport || props.railway === 'station') return 'transit'
+  if (props.place === 'square' || props.highway === 'pedestrian') return 'plaza'
+  return null
+}
+
+// Opening hours: a subset of the OSM opening_hours syntax.
+//   "24/7" | "Mo-Fr 08:00-20:00; Sa,Su 10:00-18:00" | "Mo-Su 18:00-02:00" | "Su off"
+// Rules apply in order and later rules replace earlier ones for the days they name.
+// A span past midnight (18:00-02:00) carries over into the next morning.
+// Returns { always: true } or { days: [spans per weekday, Sunday first] }; throws on
+// syntax it does not understand.
+const DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa']
+
+function parseDays(spec) {
+  const days = new Set()
+  spec.split(',').forEach((part) => {
+    const [a, b] = part.split('-').map((d) => DAYS.indexOf(d))
+    if (a < 0 || b === -1) throw new Error(`Unknown day "${part}"`)
+    if (b === undefined) {
+      days.add(a)
+      return
+    }
+    for (let d = a; ; d = (d + 1) % 7) {
+      days.add(d)
+      if (d === b) break
+    }
+  })
+  return days
+}
+
+function parseSpan(text) {
+  const m = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(text)
+  if (!m) throw new Error(`Unknown time span "${text}"`)
+  const from = Number(m[1]) * 60 + Number(m[2])
+  let to = Number(m[3]) * 60 + Number(m[4])
+  if (from >= 24 * 60 || to > 48 * 60) throw new Error(`Unknown time span "${text}"`)
+  if (to <= from) to += 24 * 60
+  return [from, to]
+}
+
+export function parseOpeningHours(text) {
+  const value = String(text).trim()
+  if (value === '24/7') return { always: true }
+  const days = DAYS.map(() => [])
+  value.split(';').map((r) => r.trim()).filter(Boolean).forEach((rule) => {
+    const m = /^((?:(?:Mo|Tu|We|Th|Fr|Sa|Su)(?:-(?:Mo|Tu|We|Th|Fr|Sa|Su))?,?)+)?\s*(.*)$/.exec(rule)
+    const which = m[1] ? parseDays(m[1]) : new Set(DAYS.keys())
+    const times = m[2].trim()
+    const spans = times === 'off' || times === 'closed' ? [] : times.split(',').map((t) => parseSpan(t.trim()))
+    which.forEach((d) => { days[d] = spans })
+  })
+  return { days }
+}
+
+// Is a place with parsed `hours` open at timestamp `at` (local time)? null when unknown.
+export function isOpenAt(hours, at) {
+  if (!hours) return null
+  if (hours.always) return true
+  const t = new Date(at)
+  const day = t.getDay()
+  const minute = t.getHours() * 60 + t.getMinutes()
+  const prev = (day + 6) % 7
+  return hours.days[day].some(([from, to]) => minute >= from && minute < to)
+    || hours.days[prev].some(([, to]) => minute + 24 * 60 < to)
+}
+
+// Normalised POIs from a GeoJSON FeatureCollection:
+//   { id, name, kind, coord, haven, phone, hoursText, hours }
+// Returns { pois, issues }; features that aren't usable points are skipped and listed.
+export function parsePois(geojson) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new PoiImportError('Expected a GeoJSON FeatureCollection')
+  }
+  const issues = []
+  const pois = []
+  geojson.features.forEach((f, i) => {
+    const g = f && f.geometry
+    const props = (f && f.properties) || {}
+    if (!g || g.type !== 'Point') {
+      issues.push({ feature: i, message: `Expected a Point, got ${g ? g.type : 'no geometry'}` })
+      return
+    }
+    const [lng, lat] = g.coordinates || []
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      issues.push({ feature: i, message: 'Invalid coordinates' })
+      return
+    }
+    const kind = kindOf(props)
+    if (!kind) {
+      issues.push({ feature: i, message: 'Unknown kind of place' })
+      return
+    }
+    let hours = null
+    if (props.opening_hours) {
+      try {
+        hours = parseOpeningHours(props.opening_hours)
+      } catch (e) {
+        issues.push({ feature: i, message: `opening_hours: ${e.message}` })
+      }
+    }
+    pois.push({
+      id: String(f.id ?? props.id ?? `poi-${i}`),
+      name: props.name || poiKind(kind).label,
+      kind,
+      coord: [lat, lng],
+      haven: props.haven ?? poiKind(kind).haven,
+      phone: props.phone || null,
+      hoursText: props.opening_hours || null,
+      hours,
+    })
+  })
+  if (pois.length === 0) throw new PoiImportError('No usable Point features found', issues)
+  return { pois, issues }
+}
+
+// Havens within `radius` meters of each segment: Map segment id -> [poi]
+export const HAVEN_RADIUS_M = 40
+
+export function havensBySegment(network, pois, radius = HAVEN_RADIUS_M) {
+  const havens = pois.filter((p) => p.haven)
+  const out = new Map()
+  network.streets.forEach((st) => st.segments.forEach((seg) => {
+    const near = havens.filter((p) => projectOnPolyline(p.coord, seg.coords).distance <= radius)
+    if (near.length > 0) out.set(seg.id, near)
+  }))
+  return out
+}
+
+// How much of a segment's risk the nearby open havens take away, 0..MAX_HAVEN_RELIEF.
+// Two open havens give the full relief; places with unknown hours don't count.
+export const MAX_HAVEN_RELIEF = 0.5
+
+export function havenRelief(nearby, at, strength = 1) {
+  if (!nearby || strength <= 0) return 0
+  const open = nearby.filter((p) => isOpenAt(p.hours, at)).length
+  return MAX_HAVEN_RELIEF * strength * Math.min(1, open / 2)
+}
+
+// Screen-space clustering: points whose projections (project(coord) -> { x, y } in
+// pixels) share a cellPx grid cell are grouped. Returns [{ key, coord, items }].
+export function clusterPoints(items, project, cellPx = 48) {
+  const cells = new Map()
+  items.forEach((item) => {
+    const p = project(item.coord)
+    const key = `${Math.floor(p.x / cellPx)}:${Math.floor(p.y / cellPx)}`
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(item)
+  })
+  return [...cells.entries()].map(([key, group]) => ({
+    key,
+    coord: [
+      group.reduce((a, it) => a + it.coord[0], 0) / group.length,
+      group.reduce((a, it) => a + it.coord[1], 0) / group.length,
+    ],
+    items: group,
+  }))
+}
@@ -0,0 +1,105 @@
+import { DEFAULT_CONDITION } from './conditions'
+
+// Prediction subsystem. A model exposes:
+//   observe(observation)         add one { segmentId, timestamp, speedFactor, safetyAdj, crowd }
+//   train(observations)          reset and learn from a full history
+//   predict(segment, { at, now, recent })
+//                                forecast { speedFactor, safetyAdj, crowd } for the segment
+//                                at timestamp `at`, given the latest live condition `recent`
+// Forecasts describe conditions, not the segment's base attributes; lighting is handled
+// separately by lightingPenalty() so it comes from the segment, not from the model.
+
+// How dark it is at a timestamp (0 = daylight, 1 = night), with linear dawn/dusk ramps
+export function darknessAt(ts) {
+  const d = new Date(ts)
+  const h = d.getHours() + d.getMinutes() / 60
+  if (h >= 21 || h < 5) return 1
+  if (h >= 18) return (h - 18) / 3
+  if (h < 8) return 1 - (h - 5) / 3
+  return 0
+}
+
+// Safety points lost on a poorly lit segment after dark
+export const LIGHTING_PENALTY = 15
+
+export function lightingPenalty(segment, ts) {
+  const lighting = segment.lighting ?? 0.5
+  return LIGHTING_PENALTY * (1 - lighting) * darknessAt(ts)
+}
+
+// Turn a conditions batch into observations for a model
+export function observationsFromBatch(batch) {
+  return Object.entries(batch.updates).map(([segmentId, c]) => ({
+    segmentId,
+    timestamp: batch.recordedAt ?? batch.timestamp,
+    ...c,
+  }))
+}
+
+function emptyStats() {
+  return { n: 0, speedFactor: 0, safetyAdj: 0, crowd: 0 }
+}
+
+function addTo(stats, obs) {
+  stats.n += 1
+  stats.speedFactor += obs.speedFactor
+  stats.safetyAdj += obs.safetyAdj
+  stats.crowd += obs.crowd
+}
+
+function mean(stats) {
+  return {
+    speedFactor: stats.speedFactor / stats.n,
+    safetyAdj: stats.safetyAdj / stats.n,
+    crowd: stats.crowd / stats.n,
+  }
+}
+
+// Baseline: historical averages per segment by hour of week, falling back to hour of
+// day and then to the segment's overall mean. The live condition dominates short
+// horizons and decays towards the historical average over `decayMin` minutes.
+export function createBaselineModel({ history = [], decayMin = 20 } = {}) {
+  let buckets = new Map()
+
+  const bump = (key, obs) => {
+    if (!buckets.has(key)) buckets.set(key, emptyStats())
+    addTo(buckets.get(key), obs)
+  }
+
+  const observe = (obs) => {
+    if (!obs || obs.segmentId == null || !Number.isFinite(obs.timestamp)) return
+    const d = new Date(obs.timestamp)
+    const full = { ...DEFAULT_CONDITION, ...obs }
+    bump(`${obs.segmentId}|${d.getDay()}|${d.getHours()}`, full)
+    bump(`${obs.segmentId}|*|${d.getHours()}`, full)
+    bump(`${obs.segmentId}|*|*`, full)
+  }
+
+  const train = (observations) => {
+    buckets = new Map()
+    observations.forEach(observe)
+  }
+
+  const historical = (segmentId, ts) => {
+    const d = new Date(ts)
+    const keys = [`${segmentId}|${d.getDay()}|${d.getHours()}`, `${segmentId}|*|${d.getHours()}`, `${segmentId}|*|*`]
+    const hit = keys.map((k) => buckets.get(k)).find((b) => b && b.n > 0)
+    return hit ? mean(hit) : null
+  }
+
+  const predict = (segment, { at, now = at, recent } = {}) => {
+    const live = { ...DEFAULT_CONDITION, ...recent }
+    const hist = historical(segment.id, at)
+    if (!hist) return live
+    const horizonMin = Math.max(0, (at - now) / 60000)
+    const w = Math.exp(-horizonMin / decayMin)
+    return {
+      speedFactor: w * live.speedFactor + (1 - w) * hist.speedFactor,
+      safetyAdj: w * live.safetyAdj + (1 - w) * hist.safetyAdj,
+      crowd: w * live.crowd + (1 - w) * hist.crowd,
+    }
+  }
+
+  train(history)
+  return { name: 'baseline', observe, train, predict }
+}
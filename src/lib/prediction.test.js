@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import { darknessAt, lightingPenalty, LIGHTING_PENALTY, createBaselineModel } from './prediction'
+
+// Local wall-clock timestamps: 2024-01-01 is a Monday
+const at = (day, hour, minute = 0) => new Date(2024, 0, day, hour, minute).getTime()
+
+describe('darknessAt', () => {
+  it('is full daylight in the middle of the day and full night late', () => {
+    expect(darknessAt(at(1, 12))).toBe(0)
+    expect(darknessAt(at(1, 23))).toBe(1)
+    expect(darknessAt(at(1, 3))).toBe(1)
+  })
+
+  it('ramps linearly through dusk and dawn', () => {
+    expect(darknessAt(at(1, 19, 30))).toBeCloseTo(0.5)
+    expect(darknessAt(at(1, 6, 30))).toBeCloseTo(0.5)
+    expect(darknessAt(at(1, 18))).toBe(0)
+    expect(darknessAt(at(1, 8))).toBe(0)
+  })
+})
+
+describe('lightingPenalty', () => {
+  it('only applies after dark, in proportion to missing lighting', () => {
+    expect(lightingPenalty({ lighting: 0.2 }, at(1, 12))).toBe(0)
+    expect(lightingPenalty({ lighting: 0.2 }, at(1, 23))).toBeCloseTo(LIGHTING_PENALTY * 0.8)
+    expect(lightingPenalty({ lighting: 1 }, at(1, 23))).toBe(0)
+  })
+
+  it('assumes average lighting when the segment has none recorded', () => {
+    expect(lightingPenalty({}, at(1, 23))).toBeCloseTo(LIGHTING_PENALTY * 0.5)
+  })
+})
+
+describe('createBaselineModel', () => {
+  const seg = { id: 'A1' }
+  const obs = (ts, c) => ({ segmentId: 'A1', timestamp: ts, speedFactor: 1, safetyAdj: 0, crowd: 0.3, ...c })
+
+  it('returns the live condition when it has no history for the segment', () => {
+    const model = createBaselineModel()
+    const recent = { speedFactor: 0.5, safetyAdj: -5, crowd: 0.9 }
+    expect(model.predict(seg, { at: at(1, 9), recent })).toEqual(recent)
+  })
+
+  it('uses the hour-of-week average when that bucket has data', () => {
+    const model = createBaselineModel({
+      history: [obs(at(1, 9), { crowd: 0.8 }), obs(at(8, 9), { crowd: 0.6 }), obs(at(2, 9), { crowd: 0.1 })],
+    })
+    const p = model.predict(seg, { at: at(15, 9, 30), now: at(15, 9, 30) - 24 * 3600000 })
+    expect(p.crowd).toBeCloseTo(0.7)
+  })
+
+  it('falls back to the hour of day, then to the segment mean, when a bucket is empty', () => {
+    const model = createBaselineModel({
+      history: [obs(at(2, 9), { crowd: 0.1 }), obs(at(3, 9), { crowd: 0.3 }), obs(at(3, 14), { crowd: 0.8 })],
+    })
+    const far = (ts) => ({ at: ts, now: ts - 24 * 3600000 })
+    // Monday 09:00 has no data of its own: any day at 09:00
+    expect(model.predict(seg, far(at(1, 9))).crowd).toBeCloseTo(0.2)
+    // Nothing at 20:00 on any day: the segment's overall mean
+    expect(model.predict(seg, far(at(1, 20))).crowd).toBeCloseTo(0.4)
+  })
+
+  it('moves from the live condition to the history as the horizon grows', () => {
+    const model = createBaselineModel({ history: [obs(at(1, 9), { speedFactor: 0.4 })], decayMin: 20 })
+    const now = at(8, 9)
+    const recent = { speedFactor: 1 }
+    const speedIn = (min) => model.predict(seg, { at: now + min * 60000, now, recent }).speedFactor
+
+    expect(speedIn(0)).toBeCloseTo(1)
+    const w = Math.exp(-20 / 20)
+    expect(speedIn(20)).toBeCloseTo(w * 1 + (1 - w) * 0.4)
+    expect(speedIn(5)).toBeGreaterThan(speedIn(15))
+    expect(speedIn(50)).toBeGreaterThan(0.4)
+    expect(speedIn(50)).toBeLessThan(0.5)
+  })
+
+  it('treats a forecast in the past like one for now', () => {
+    const model = createBaselineModel({ history: [obs(at(1, 9), { crowd: 0.9 })] })
+    const recent = { crowd: 0.1 }
+    expect(model.predict(seg, { at: at(8, 9), now: at(8, 10), recent }).crowd).toBeCloseTo(0.1)
+  })
+})
@@ -0,0 +1,56 @@
+import { impassableReason, accessPenalty } from './accessibility'
+
+// Route profiles. Each weight(state, segment) scales an edge's travel time by how
+// undesirable the edge is for that profile, given its effective state:
+// { speed (km/h), safety (0-100), crowd (0-1), lighting (0-1), darkness (0-1),
+//   havenRelief (0-0.5: open safe havens nearby, when that option is on) }.
+// Weights are >= 1 so travel time stays the lower bound for every profile; Infinity
+// excludes the edge. Profiles with canUse(segment) also start and end on usable edges.
+const risk = (s) => 1 - s.safety / 100
+const dark = (s) => 1 - s.lighting
+const isolation = (s) => Math.max(0, 0.35 - s.crowd) / 0.35
+const sheltered = (s) => 1 - (s.havenRelief || 0)
+
+export const routeOptions = [
+  { key: 'fastest', label: 'Fastest', color: '#0ea5e9', weight: () => 1 },
+  { key: 'safest', label: 'Safest', color: '#10b981', weight: (s) => 1 + 3 * risk(s) * sheltered(s) },
+  { key: 'balanced', label: 'Balanced', color: '#f59e0b', weight: (s) => 1 + 1.2 * risk(s) + 0.4 * s.crowd },
+  {
+    key: 'night',
+    label: 'Night-Safe',
+    color: '#6366f1',
+    weight: (s) => 1 + (2 * risk(s) + 2.5 * dark(s) * (0.3 + 0.7 * (s.darkness ?? 1))) * sheltered(s),
+  },
+  {
+    key: 'female',
+    label: 'Female-Friendly',
+    color: '#ec4899',
+    weight: (s) => 1 + 2.5 * risk(s) + 1.5 * dark(s) + 1.5 * isolation(s),
+  },
+  {
+    key: 'accessible',
+    label: 'Step-Free',
+    color: '#14b8a6',
+    accessible: true,
+    canUse: (seg) => !impassableReason(seg),
+    weight: (s, seg) => (impassableReason(seg) ? Infinity : accessPenalty(seg) * (1 + risk(s))),
+  },
+]
+
+// Travel time over an edge in seconds, for a traveller who left at departAt (ms)
+// and reaches the edge elapsedS seconds later. stateOf(segment, timestamp).
+export function edgeTimeFor(stateOf, departAt) {
+  return (edge, elapsedS = 0) => {
+    const s = stateOf(edge.seg, departAt + elapsedS * 1000)
+    return (edge.length / 1000 / s.speed) * 3600
+  }
+}
+
+// Cost of traversing an edge: travel time weighted for the profile at the time it is reached
+export function edgeCostFor(profile, stateOf, departAt) {
+  return (edge, elapsedS = 0) => {
+    const s = stateOf(edge.seg, departAt + elapsedS * 1000)
+    const seconds = (edge.length / 1000 / s.speed) * 3600
+    return seconds * profile.weight(s, edge.seg)
+  }
+}
@@ -0,0 +1,180 @@
+import { backendUrl } from './backend'
+import { haversineDistance } from './geo'
+
+// Crowdsourced hazard reports. A report is
+// { id, category, severity (1-3), coord, segmentId, createdAt, expiresAt, synced }.
+// Reports are kept in localStorage and pushed to the backend; anything that can't be
+// sent stays queued and is retried when the browser comes back online. Removing a report
+// only hides it on this device, so its id is remembered until it expires and pull()
+// won't bring it back.
+
+export const reportCategories = [
+  { key: 'streetlight', label: 'Broken streetlight', impact: 10, color: '#eab308', defaultHours: 72 },
+  { key: 'harassment', label: 'Harassment', impact: 18, color: '#dc2626', defaultHours: 6 },
+  { key: 'construction', label: 'Construction', impact: 6, color: '#f97316', defaultHours: 168 },
+  { key: 'blocked', label: 'Blocked sidewalk', impact: 5, color: '#8b5cf6', defaultHours: 24 },
+]
+
+const MAX_PENALTY = 40
+
+export const categoryOf = (key) => reportCategories.find((c) => c.key === key) || reportCategories[0]
+
+export const isActive = (report, at) => report.createdAt <= at && at < report.expiresAt
+
+// Safety points removed from a segment by the reports active at timestamp `at`
+export function reportPenalty(reports, segmentId, at) {
+  let total = 0
+  reports.forEach((r) => {
+    if (r.segmentId === segmentId && isActive(r, at)) total += categoryOf(r.category).impact * (r.severity / 2)
+  })
+  return Math.min(MAX_PENALTY, total)
+}
+
+// Active reports on the route's segments within `withinM` meters ahead of `along`
+// (meters travelled), nearest first
+export function reportsAhead(reports, route, along, at, withinM = 150) {
+  const onRoute = new Set(route.segs.map((s) => s.id))
+  return reports
+    .filter((r) => onRoute.has(r.segmentId) && isActive(r, at))
+    .map((r) => {
+      let best = 0
+      route.path.forEach((p, i) => {
+        if (haversineDistance(p, r.coord) < haversineDistance(route.path[best], r.coord)) best = i
+      })
+      return { report: r, ahead: route.cumulative[best] - along }
+    })
+    .filter(({ ahead }) => ahead >= -10 && ahead <= withinM)
+    .sort((a, b) => a.ahead - b.ahead)
+    .map(({ report }) => report)
+}
+
+const STORAGE_KEY = 'saferoutes.reports.v1'
+const REMOVED_KEY = 'saferoutes.reports.removed.v1'
+const KEEP_EXPIRED_MS = 24 * 3600 * 1000
+
+export function createReportStore({
+  storage = globalThis.localStorage,
+  endpoint = `${backendUrl()}/reports`,
+  fetchImpl = (...args) => globalThis.fetch(...args),
+} = {}) {
+  const listeners = new Set()
+  let state = null
+  let syncing = false
+
+  const read = (key, fallback) => {
+    try {
+      return JSON.parse((storage && storage.getItem(key)) || 'null') ?? fallback
+    } catch (e) {
+      return fallback
+    }
+  }
+
+  const load = () => {
+    if (state) return state
+    const reports = read(STORAGE_KEY, [])
+    // Removed report ids -> when they expire
+    const removed = read(REMOVED_KEY, {})
+    state = {
+      reports: Array.isArray(reports) ? reports : [],
+      removed: removed && typeof removed === 'object' && !Array.isArray(removed) ? removed : {},
+      lastError: null,
+    }
+    return state
+  }
+
+  const commit = (patch) => {
+    state = { ...load(), ...patch }
+    try {
+      if (storage) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(state.reports))
+        storage.setItem(REMOVED_KEY, JSON.stringify(state.removed))
+      }
+    } catch (e) {
+      // storage full or disabled: keep the in-memory copy
+    }
+    listeners.forEach((fn) => fn())
+  }
+
+  const sync = async () => {
+    if (syncing) return
+    const pending = load().reports.filter((r) => !r.synced)
+    if (pending.length === 0) return
+    syncing = true
+    try {
+      const res = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reports: pending.map(({ synced, ...r }) => r) }),
+      })
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`)
+      const sent = new Set(pending.map((r) => r.id))
+      commit({ reports: load().reports.map((r) => (sent.has(r.id) ? { ...r, synced: true } : r)), lastError: null })
+    } catch (e) {
+      commit({ lastError: `Offline: ${e.message}` })
+    } finally {
+      syncing = false
+    }
+  }
+
+  // Merge reports from other users
+  const pull = async () => {
+    try {
+      const res = await fetchImpl(endpoint, { headers: { Accept: 'application/json' } })
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`)
+      const body = await res.json()
+      const remote = (Array.isArray(body) ? body : body.reports || []).map((r) => ({ ...r, synced: true }))
+      const known = new Set(load().reports.map((r) => r.id))
+      const { removed } = load()
+      const fresh = remote.filter((r) => r && r.id && !known.has(r.id) && !(r.id in removed))
+      if (fresh.length > 0) commit({ reports: [...load().reports, ...fresh] })
+    } catch (e) {
+      commit({ lastError: `Offline: ${e.message}` })
+    }
+  }
+
+  return {
+    getSnapshot: () => load(),
+    subscribe(fn) {
+      listeners.add(fn)
+      return () => listeners.delete(fn)
+    },
+    add({ category, severity, coord, segmentId, hours }) {
+      const now = Date.now()
+      const report = {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        category,
+        severity,
+        coord,
+        segmentId,
+        createdAt: now,
+        expiresAt: now + (hours ?? categoryOf(category).defaultHours) * 3600 * 1000,
+        synced: false,
+      }
+      commit({ reports: [...load().reports, report] })
+      sync()
+      return report
+    },
+    remove(id) {
+      const { reports, removed } = load()
+      const report = reports.find((r) => r.id === id)
+      commit({
+        reports: reports.filter((r) => r.id !== id),
+        removed: { ...removed, [id]: report ? report.expiresAt : Date.now() },
+      })
+    },
+    // Drop reports, and forget removed ones, that expired more than a day ago
+    prune(now = Date.now()) {
+      const { reports, removed } = load()
+      const keep = reports.filter((r) => r.expiresAt > now - KEEP_EXPIRED_MS)
+      const stale = Object.keys(removed).filter((id) => removed[id] <= now - KEEP_EXPIRED_MS)
+      if (keep.length === reports.length && stale.length === 0) return
+      const stillRemoved = { ...removed }
+      stale.forEach((id) => delete stillRemoved[id])
+      commit({ reports: keep, removed: stillRemoved })
+    },
+    sync,
+    pull,
+  }
+}
+
+export const reportStore = createReportStore()
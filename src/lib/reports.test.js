@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import { createReportStore } from './reports'
+
+function memoryStorage() {
+  const data = new Map()
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+  }
+}
+
+const HOUR = 3600 * 1000
+const remoteReport = (id, expiresAt) => ({ id, category: 'streetlight', severity: 2, coord: [0, 0], segmentId: 'A1', createdAt: 0, expiresAt })
+
+// Backend that always lists the same reports
+const serving = (reports) => async () => ({ ok: true, json: async () => ({ reports }) })
+
+describe('createReportStore', () => {
+  it('does not bring back a removed report on pull', async () => {
+    const later = Date.now() + HOUR
+    const fetchImpl = serving([remoteReport('r1', later), remoteReport('r2', later)])
+    const store = createReportStore({ storage: memoryStorage(), endpoint: '/reports', fetchImpl })
+    await store.pull()
+    expect(store.getSnapshot().reports.map((r) => r.id)).toEqual(['r1', 'r2'])
+
+    store.remove('r1')
+    await store.pull()
+    expect(store.getSnapshot().reports.map((r) => r.id)).toEqual(['r2'])
+  })
+
+  it('remembers removals across reloads', async () => {
+    const storage = memoryStorage()
+    const fetchImpl = serving([remoteReport('r1', Date.now() + HOUR)])
+    const first = createReportStore({ storage, endpoint: '/reports', fetchImpl })
+    await first.pull()
+    first.remove('r1')
+
+    const second = createReportStore({ storage, endpoint: '/reports', fetchImpl })
+    await second.pull()
+    expect(second.getSnapshot().reports).toEqual([])
+  })
+
+  it('forgets removals a day after the report expired', () => {
+    const now = Date.now()
+    const storage = memoryStorage()
+    storage.setItem('saferoutes.reports.v1', JSON.stringify([remoteReport('old', now - 2 * HOUR), remoteReport('new', now + HOUR)]))
+    const store = createReportStore({ storage, endpoint: '/reports', fetchImpl: serving([]) })
+    store.remove('old')
+    store.remove('new')
+    store.prune(now + 21 * HOUR)
+    expect(Object.keys(store.getSnapshot().removed)).toEqual(['old', 'new'])
+    store.prune(now + 23 * HOUR)
+    expect(Object.keys(store.getSnapshot().removed)).toEqual(['new'])
+  })
+})
@@ -0,0 +1,145 @@
+// Export evaluated routes (the objects returned by MapView's evaluate) to GeoJSON,
+// GPX and KML. Each entry is { route, label } so several routes can share a file.
+
+const iso = (ts) => (Number.isFinite(ts) ? new Date(ts).toISOString() : undefined)
+const round = (n, d = 1) => (Number.isFinite(n) ? Math.round(n * 10 ** d) / 10 ** d : null)
+
+function escapeXml(v) {
+  return String(v).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c])
+}
+
+function routeSummary(route, label) {
+  return {
+    profile: route.key,
+    label,
+    distance_m: round(route.total, 0),
+    eta_min: round(route.etaMin),
+    depart_at: iso(route.departAt),
+    arrive_at: iso(route.arriveAt),
+    avg_safety: round(route.avgSafety),
+    avg_crowd: round(route.avgCrowd, 2),
+    score: round(route.score, 3),
+  }
+}
+
+// Per-segment detail with the safety the route was scored with
+function segmentRows(route) {
+  return route.segs.map((seg, i) => {
+    const stat = route.segmentStats ? route.segmentStats[i] : null
+    return {
+      seg,
+      props: {
+        segment_id: seg.id,
+        street: seg.name,
+        safety: round(stat ? stat.safety : seg.safety),
+        color: route.colored[i] ? route.colored[i].color : undefined,
+        reach_at: iso(stat ? stat.at : undefined),
+      },
+    }
+  })
+}
+
+const lngLat = ([lat, lng]) => [lng, lat]
+
+export function routesToGeoJSON(entries) {
+  const features = []
+  entries.forEach(({ route, label }) => {
+    features.push({
+      type: 'Feature',
+      properties: { kind: 'route', ...routeSummary(route, label) },
+      geometry: { type: 'LineString', coordinates: route.path.map(lngLat) },
+    })
+    segmentRows(route).forEach(({ seg, props }) => {
+      features.push({
+        type: 'Feature',
+        properties: { kind: 'segment', profile: route.key, ...props },
+        geometry: { type: 'LineString', coordinates: seg.coords.map(lngLat) },
+      })
+    })
+  })
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2)
+}
+
+const GPX_NS = 'https://saferoutes.local/gpx/1'
+
+function gpxExtensions(obj, indent) {
+  const rows = Object.entries(obj)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `${indent}  <sr:${k}>${escapeXml(v)}</sr:${k}>`)
+  return `${indent}<extensions>\n${rows.join('\n')}\n${indent}</extensions>`
+}
+
+export function routesToGpx(entries) {
+  const tracks = entries.map(({ route, label }) => {
+    const segs = segmentRows(route).map(({ seg, props }) => [
+      '    <trkseg>',
+      ...seg.coords.map(([lat, lng]) => `      <trkpt lat="${lat}" lon="${lng}"></trkpt>`),
+      gpxExtensions(props, '      '),
+      '    </trkseg>',
+    ].join('\n'))
+    return [
+      '  <trk>',
+      `    <name>${escapeXml(label)}</name>`,
+      `    <desc>${escapeXml(`${(route.total / 1000).toFixed(2)} km, ${Math.round(route.etaMin)} min, avg safety ${Math.round(route.avgSafety)}/100`)}</desc>`,
+      gpxExtensions(routeSummary(route, label), '    '),
+      ...segs,
+      '  </trk>',
+    ].join('\n')
+  })
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="SafeRoutes" xmlns="http://www.topografix.com/GPX/1/1" xmlns:sr="${GPX_NS}">`,
+    ...tracks,
+    '</gpx>',
+    '',
+  ].join('\n')
+}
+
+// KML colors are aabbggrr
+function kmlColor(hex = '#64748b') {
+  const h = hex.replace('#', '')
+  return `ff${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`
+}
+
+function kmlData(obj) {
+  const rows = Object.entries(obj)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `<Data name="${k}"><value>${escapeXml(v)}</value></Data>`)
+  return `<ExtendedData>${rows.join('')}</ExtendedData>`
+}
+
+export function routesToKml(entries) {
+  const folders = entries.map(({ route, label }) => {
+    const placemarks = segmentRows(route).map(({ seg, props }) => [
+      '      <Placemark>',
+      `        <name>${escapeXml(props.street)}</name>`,
+      `        <Style><LineStyle><color>${kmlColor(props.color)}</color><width>5</width></LineStyle></Style>`,
+      `        ${kmlData(props)}`,
+      `        <LineString><tessellate>1</tessellate><coordinates>${seg.coords.map(([lat, lng]) => `${lng},${lat},0`).join(' ')}</coordinates></LineString>`,
+      '      </Placemark>',
+    ].join('\n'))
+    return [
+      '    <Folder>',
+      `      <name>${escapeXml(label)}</name>`,
+      `      ${kmlData(routeSummary(route, label))}`,
+      ...placemarks,
+      '    </Folder>',
+    ].join('\n')
+  })
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>SafeRoutes</name>',
+    ...folders,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n')
+}
+
+export const exportFormats = [
+  { key: 'gpx', label: 'GPX', ext: 'gpx', mime: 'application/gpx+xml', build: routesToGpx },
+  { key: 'geojson', label: 'GeoJSON', ext: 'geojson', mime: 'application/geo+json', build: routesToGeoJSON },
+  { key: 'kml', label: 'KML', ext: 'kml', mime: 'application/vnd.google-earth.kml+xml', build: routesToKml },
+]
@@ -0,0 +1,233 @@
+import { snapToGraph, withSnaps, nodeDistance } from './graph'
+
+// Minimal binary heap keyed by priority
+class MinHeap {
+  constructor() {
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(value, priority) {
+    const items = this.items
+    items.push({ value, priority })
+    let i = items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (items[parent].priority <= items[i].priority) break
+      ;[items[parent], items[i]] = [items[i], items[parent]]
+      i = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      let i = 0
+      for (;;) {
+        const l = 2 * i + 1
+        const r = l + 1
+        let m = i
+        if (l < items.length && items[l].priority < items[m].priority) m = l
+        if (r < items.length && items[r].priority < items[m].priority) m = r
+        if (m === i) break
+        ;[items[m], items[i]] = [items[i], items[m]]
+        i = m
+      }
+    }
+    return top.value
+  }
+}
+
+// A* between two node ids. edgeCost(edge, elapsedS) must return a non-negative cost.
+// When edgeTime(edge, elapsedS) is given, the search also tracks travel time so costs
+// can depend on when the edge is reached; elapsedS is 0 otherwise.
+// The heuristic is straight-line distance times the cheapest cost per meter on
+// the graph at departure, which keeps it admissible for any static profile.
+export function shortestPath(graph, from, to, edgeCost, edgeTime) {
+  let minRate = Infinity
+  graph.edges.forEach((e) => {
+    if (e.length > 0) minRate = Math.min(minRate, edgeCost(e, 0) / e.length)
+  })
+  if (!Number.isFinite(minRate)) minRate = 0
+  const h = (id) => nodeDistance(graph, id, to) * minRate
+
+  const dist = new Map([[from, 0]])
+  const elapsed = new Map([[from, 0]])
+  const prev = new Map()
+  const done = new Set()
+  const open = new MinHeap()
+  open.push(from, h(from))
+
+  while (open.size > 0) {
+    const cur = open.pop()
+    if (done.has(cur)) continue
+    if (cur === to) break
+    done.add(cur)
+    ;(graph.adjacency.get(cur) || []).forEach((step) => {
+      if (done.has(step.to)) return
+      const t = elapsed.get(cur)
+      const cost = edgeCost(step.edge, t)
+      if (!Number.isFinite(cost)) return
+      const d = dist.get(cur) + cost
+      if (d < (dist.has(step.to) ? dist.get(step.to) : Infinity)) {
+        dist.set(step.to, d)
+        elapsed.set(step.to, edgeTime ? t + edgeTime(step.edge, t) : 0)
+        prev.set(step.to, { node: cur, step })
+        open.push(step.to, d + h(step.to))
+      }
+    })
+  }
+
+  if (!dist.has(to)) return null
+  const steps = []
+  let n = to
+  while (n !== from) {
+    const p = prev.get(n)
+    steps.unshift(p.step)
+    n = p.node
+  }
+  return { cost: dist.get(to), elapsed: elapsed.get(to), steps }
+}
+
+// Merge consecutive traversed edges of the same road segment back into
+// segment-shaped objects ({ ...segment, coords }) for scoring and display.
+export function stepsToSegments(steps) {
+  const segs = []
+  steps.forEach((step) => {
+    const last = segs[segs.length - 1]
+    if (last && last.id === step.edge.seg.id) {
+      last.coords.push(...step.coords.slice(1))
+    } else {
+      segs.push({ ...step.edge.seg, coords: [...step.coords] })
+    }
+  })
+  return segs.filter((s) => s.coords.length > 1)
+}
+
+// Snap start/end to the nearest edges and route between them.
+// Returns the traversed segments, or an empty list when no path exists.
+export function planRoute(graph, start, end, edgeCost, edgeTime) {
+  return planStops(graph, [start, end], 0, () => edgeCost, () => edgeTime).segs
+}
+
+// Route through several stops in order. Each leg is searched with the costs for the
+// moment it starts: costAt(ts) / timeAt(ts) return edgeCost / edgeTime functions for a
+// departure at ts. canUse(segment) limits which edges stops may snap to.
+// Returns { segs, legs: [{ from, to, departAt }] } where [from, to) indexes segs, or
+// empty lists when any leg has no path.
+export function planStops(graph, stops, departAt, costAt, timeAt, { canUse } = {}) {
+  const none = { segs: [], legs: [] }
+  if (graph.edges.length === 0 || stops.length < 2) return none
+  const snaps = stops.map((p) => snapToGraph(graph, p, canUse && ((edge) => canUse(edge.seg))))
+  if (snaps.some((snap) => !snap)) return none
+  const { graph: g, ids } = withSnaps(graph, snaps)
+  const segs = []
+  const legs = []
+  let t = departAt
+  for (let i = 0; i < ids.length - 1; i++) {
+    const edgeTime = timeAt(t)
+    const result = shortestPath(g, ids[i], ids[i + 1], costAt(t), edgeTime)
+    if (!result) return none
+    const legSegs = stepsToSegments(result.steps)
+    legs.push({ from: segs.length, to: segs.length + legSegs.length, departAt: t })
+    segs.push(...legSegs)
+    if (edgeTime) t += result.elapsed * 1000
+  }
+  return { segs, legs }
+}
+
+// Pairwise leg cost between stops for optimizeStopOrder, using one static edgeCost
+// (typically the profile's cost at departure)
+export function stopLegCost(graph, stops, edgeCost, { canUse } = {}) {
+  const snaps = stops.map((p) => snapToGraph(graph, p, canUse && ((edge) => canUse(edge.seg))))
+  if (snaps.some((snap) => !snap)) return () => Infinity
+  const { graph: g, ids } = withSnaps(graph, snaps)
+  return (a, b) => {
+    const result = shortestPath(g, ids[a], ids[b], edgeCost)
+    return result ? result.cost : Infinity
+  }
+}
+
+// Best visiting order for the intermediate stops between a fixed first and last stop.
+// legCost(a, b) is the cost of going from stop a to stop b (indices into stops) and may
+// be Infinity. Small sets are solved exactly; larger ones use nearest neighbour + 2-opt.
+// Returns the permutation of middle indices, e.g. [3, 1, 2].
+export function optimizeStopOrder(stopCount, legCost) {
+  const last = stopCount - 1
+  const middle = Array.from({ length: Math.max(0, stopCount - 2) }, (_, i) => i + 1)
+  if (middle.length < 2) return middle
+
+  const memo = new Map()
+  const cost = (a, b) => {
+    const k = `${a}>${b}`
+    if (!memo.has(k)) memo.set(k, legCost(a, b))
+    return memo.get(k)
+  }
+  const tourCost = (order) => {
+    let total = 0
+    let prev = 0
+    for (const i of order) {
+      total += cost(prev, i)
+      prev = i
+    }
+    return total + cost(prev, last)
+  }
+
+  if (middle.length <= 6) {
+    let best = middle
+    let bestCost = tourCost(middle)
+    permutations(middle).forEach((order) => {
+      const c = tourCost(order)
+      if (c < bestCost) {
+        best = order
+        bestCost = c
+      }
+    })
+    return best
+  }
+
+  const order = []
+  const left = new Set(middle)
+  let cur = 0
+  while (left.size > 0) {
+    let next = null
+    left.forEach((i) => {
+      if (next === null || cost(cur, i) < cost(cur, next)) next = i
+    })
+    order.push(next)
+    left.delete(next)
+    cur = next
+  }
+  let best = order
+  let bestCost = tourCost(order)
+  for (let improved = true; improved;) {
+    improved = false
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const cand = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)]
+        const c = tourCost(cand)
+        if (c < bestCost - 1e-9) {
+          best = cand
+          bestCost = c
+          improved = true
+        }
+      }
+    }
+  }
+  return best
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items]
+  const out = []
+  items.forEach((item, i) => {
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).forEach((rest) => out.push([item, ...rest]))
+  })
+  return out
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest'
+import { buildGraph } from './graph'
+import { planRoute, planStops, shortestPath } from './router'
+import { routeOptions, edgeCostFor, edgeTimeFor } from './profiles'
+import { pathDistance } from './geo'
+
+// Two ways from W to E: Short St straight across, and the safer, quieter Long Way round
+// the north at twice the length. Trips start on Approach Rd and end on Exit Rd, either side.
+// Island Rd is not connected to anything.
+const W = [0, 0]
+const E = [0, 0.004]
+const fixture = (shortAttrs = {}) => ({
+  streets: [
+    { id: 'approach', name: 'Approach Rd', segments: [{ id: 'APPROACH', coords: [[0, -0.001], W] }] },
+    { id: 'short', name: 'Short St', segments: [{ id: 'SHORT', coords: [W, E], ...shortAttrs }] },
+    { id: 'long', name: 'Long Way', segments: [{ id: 'LONG', coords: [W, [0.002, 0], [0.002, 0.004], E], safety: 90, crowd: 0.3 }] },
+    { id: 'exit', name: 'Exit Rd', segments: [{ id: 'EXIT', coords: [E, [0, 0.005]] }] },
+    { id: 'island', name: 'Island Rd', segments: [{ id: 'ISLAND', coords: [[0.01, 0.01], [0.01, 0.012]] }] },
+  ],
+  intersections: [],
+})
+
+// Walking pace, lit and moderately busy unless the segment says otherwise, at full dark
+const stateOf = (seg) => ({
+  speed: 5,
+  safety: seg.safety ?? 60,
+  crowd: seg.crowd ?? 0.5,
+  lighting: seg.lighting ?? 1,
+  darkness: 1,
+})
+
+const profile = (key) => routeOptions.find((o) => o.key === key)
+const plan = (network, key, from = [-0.0001, -0.0005], to = [-0.0001, 0.0045]) => {
+  const p = profile(key)
+  const graph = buildGraph(network)
+  return planStops(graph, [from, to], 0, () => edgeCostFor(p, stateOf, 0), () => edgeTimeFor(stateOf, 0), { canUse: p.canUse }).segs
+}
+const streetsOf = (segs) => [...new Set(segs.map((s) => s.id))]
+const wayAcross = (segs) => streetsOf(segs).filter((id) => id === 'SHORT' || id === 'LONG')
+
+describe('planRoute', () => {
+  const graph = buildGraph(fixture())
+  const cost = edgeCostFor(profile('fastest'), stateOf, 0)
+
+  it('starts and ends at the snapped points in the middle of a segment', () => {
+    const segs = planRoute(graph, [-0.0002, 0.001], [0.0022, 0.002], cost)
+    expect(streetsOf(segs)).toEqual(['SHORT', 'LONG'])
+    const path = segs.flatMap((s) => s.coords)
+    expect(path[0][0]).toBeCloseTo(0, 9)
+    expect(path[0][1]).toBeCloseTo(0.001, 9)
+    expect(path[path.length - 1][0]).toBeCloseTo(0.002, 9)
+    expect(path[path.length - 1][1]).toBeCloseTo(0.002, 9)
+  })
+
+  it('stays on the edge when start and end snap to the same one', () => {
+    const segs = planRoute(graph, [-0.0001, 0.001], [-0.0001, 0.003], cost)
+    expect(streetsOf(segs)).toEqual(['SHORT'])
+    expect(pathDistance(segs[0].coords)).toBeCloseTo(pathDistance([[0, 0.001], [0, 0.003]]), 3)
+  })
+
+  it('follows the edge backwards when the end comes first along it', () => {
+    const segs = planRoute(graph, [-0.0001, 0.003], [-0.0001, 0.001], cost)
+    expect(streetsOf(segs)).toEqual(['SHORT'])
+    expect(segs[0].coords[0][1]).toBeCloseTo(0.003, 9)
+    expect(segs[0].coords[segs[0].coords.length - 1][1]).toBeCloseTo(0.001, 9)
+  })
+
+  it('returns no segments when the destination is unreachable', () => {
+    expect(planRoute(graph, [-0.0001, 0.001], [0.0101, 0.011], cost)).toEqual([])
+  })
+
+  it('returns no segments on an empty network', () => {
+    expect(planRoute(buildGraph({ streets: [] }), W, E, cost)).toEqual([])
+  })
+})
+
+describe('shortestPath', () => {
+  it('returns null between disconnected nodes and skips impassable edges', () => {
+    const graph = buildGraph(fixture())
+    const w = '0.000000,0.000000'
+    const e = '0.000000,0.004000'
+    expect(shortestPath(graph, w, '0.010000,0.010000', (edge) => edge.length)).toBeNull()
+    const noShort = shortestPath(graph, w, e, (edge) => (edge.seg.id === 'SHORT' ? Infinity : edge.length))
+    expect(noShort.steps.map((s) => s.edge.seg.id)).toEqual(['LONG'])
+    expect(shortestPath(graph, w, e, () => Infinity)).toBeNull()
+  })
+})
+
+describe('profiles', () => {
+  it('fastest takes the short street whatever it is like', () => {
+    expect(streetsOf(plan(fixture({ safety: 5, lighting: 0, crowd: 0 }), 'fastest'))).toEqual(['APPROACH', 'SHORT', 'EXIT'])
+  })
+
+  // For each profile, a short street that profile should go around
+  const avoided = [
+    ['safest', { safety: 10 }],
+    ['balanced', { safety: 0, crowd: 1 }],
+    ['night', { lighting: 0 }],
+    ['female', { crowd: 0, lighting: 0.2 }],
+    ['accessible', { stairs: true }],
+  ]
+
+  it.each(avoided)('%s goes the long way round a street it dislikes', (key, attrs) => {
+    expect(wayAcross(plan(fixture(), key))).toEqual(['SHORT'])
+    expect(wayAcross(plan(fixture(attrs), key))).toEqual(['LONG'])
+  })
+
+  it('step-free routing does not start on a street it cannot use', () => {
+    const segs = plan(fixture({ stairs: true }), 'accessible', [-0.0001, 0.002], [-0.0001, 0.004])
+    expect(streetsOf(segs)).not.toContain('SHORT')
+  })
+})
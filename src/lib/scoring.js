@@ -0,0 +1,77 @@
+// Route score and its explanation. Higher is better:
+//   score = avgSafety/100 * (0.5 + preferLit/2) - timeMin/30 * (0.5 + (1 - comfort)/2) - avgCrowd * avoidBusy * 0.8
+//           - zoneShare * 0.5
+// zoneShare is the fraction of the route inside the traveller's avoid zones (lib/zones).
+// The score is linear in per-segment quantities, so it splits exactly into terms (street
+// safety, lighting, predicted risk, reports, travel time, congestion, waiting, crowd, avoid
+// zones) and into per-segment contributions that add up to the route score.
+
+export const scoreTerms = [
+  { key: 'baseSafety', label: 'Street safety' },
+  { key: 'lighting', label: 'Lighting after dark' },
+  { key: 'predicted', label: 'Predicted risk' },
+  { key: 'reports', label: 'User reports' },
+  { key: 'travel', label: 'Travel time' },
+  { key: 'congestion', label: 'Congestion delay' },
+  { key: 'waiting', label: 'Waiting at stops' },
+  { key: 'crowd', label: 'Crowds' },
+  { key: 'zones', label: 'Avoid zones' },
+]
+
+export const termLabel = (key) => (scoreTerms.find((t) => t.key === key) || { label: key }).label
+
+const weights = (prefs) => ({
+  safety: (0.5 + prefs.preferLit * 0.5) / 100,
+  time: (0.5 + (1 - prefs.comfort) * 0.5) / 30,
+  crowd: prefs.avoidBusy * 0.8,
+  zones: 0.5,
+})
+
+export function scoreRoute({ avgSafety, timeMin, avgCrowd, zoneShare = 0 }, prefs) {
+  const w = weights(prefs)
+  return avgSafety * w.safety - timeMin * w.time - avgCrowd * w.crowd - zoneShare * w.zones
+}
+
+// `rows` are per segment: { id, name, dist (m), timeS, freeTimeS, safety, crowd, state } where
+// state is the segment state used for scoring (baseSafety, predictedAdj, lightingPenalty,
+// reportPenalty, avoidZones). The final safety may be clamped to 0-100; the clamped amount is
+// reported under predicted risk so the terms still sum to the score.
+// Optional `exposure` (m) replaces dist in the safety and crowd averages, and `waitS` is
+// the part of timeS spent waiting; transit rides use both (see MapView's evaluate).
+export const exposureOf = (r) => r.exposure ?? r.dist
+
+export function explainScore(rows, prefs) {
+  const w = weights(prefs)
+  const total = Math.max(rows.reduce((a, r) => a + exposureOf(r), 0), 1)
+  const terms = Object.fromEntries(scoreTerms.map((t) => [t.key, 0]))
+
+  const segments = rows.map((r) => {
+    const share = exposureOf(r) / total
+    const waitS = r.waitS || 0
+    const st = r.state
+    const clampAdj = r.safety - (st.baseSafety + st.predictedAdj - st.lightingPenalty - st.reportPenalty)
+    const parts = {
+      baseSafety: st.baseSafety * share * w.safety,
+      lighting: -st.lightingPenalty * share * w.safety,
+      predicted: (st.predictedAdj + clampAdj) * share * w.safety,
+      reports: -st.reportPenalty * share * w.safety,
+      travel: -(r.freeTimeS / 60) * w.time,
+      congestion: -((r.timeS - r.freeTimeS - waitS) / 60) * w.time,
+      waiting: -(waitS / 60) * w.time,
+      crowd: -r.crowd * share * w.crowd,
+      zones: -(st.avoidZones && st.avoidZones.length > 0 ? share : 0) * w.zones,
+    }
+    Object.entries(parts).forEach(([k, v]) => { terms[k] += v })
+    return { id: r.id, name: r.name, parts, total: Object.values(parts).reduce((a, v) => a + v, 0) }
+  })
+
+  return { terms, segments, score: Object.values(terms).reduce((a, v) => a + v, 0) }
+}
+
+// Term-by-term difference between two explanations (b minus a), largest first
+export function diffExplanations(a, b) {
+  return scoreTerms
+    .map((t) => ({ key: t.key, label: t.label, delta: b.terms[t.key] - a.terms[t.key] }))
+    .filter((d) => Math.abs(d.delta) > 1e-4)
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta))
+}
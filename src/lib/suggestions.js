@@ -0,0 +1,52 @@
+// When to offer a better route. Conditions jitter every few seconds, so a suggestion
+// needs a real gain to appear, a smaller one to stay up (hysteresis), and a dismissed
+// alternative stays quiet for a cool-down period.
+
+export const DEFAULT_SUGGESTION_SETTINGS = {
+  minMinutesSaved: 2,
+  minSafetyGain: 5, // avg safety points
+  cooldownMin: 10,
+  autoSwitch: false,
+}
+
+// Fraction of the thresholds a suggestion already on screen must keep meeting
+const HOLD_RATIO = 0.5
+
+export function suggestionGain(active, candidate) {
+  return {
+    timeSaved: active.etaMin - candidate.etaMin,
+    safetyGain: candidate.avgSafety - active.avgSafety,
+  }
+}
+
+const meets = (gain, settings, ratio) =>
+  gain.timeSaved >= settings.minMinutesSaved * ratio || gain.safetyGain >= settings.minSafetyGain * ratio
+
+// routes: evaluated routes keyed by profile. current: the suggestion on screen, if any.
+// dismissed: { [profileKey]: until (ms) }. Returns { best, timeSaved, safetyGain } or null.
+export function decideSuggestion({ routes, activeKey, settings = DEFAULT_SUGGESTION_SETTINGS, current = null, dismissed = {}, now = Date.now() }) {
+  const active = routes[activeKey]
+  if (!active || active.segs.length === 0) return null
+
+  const eligible = (r) =>
+    r.key !== activeKey && r.segs.length > 0 && r.score > active.score && !((dismissed[r.key] || 0) > now)
+
+  // Keep the one on screen while it is still clearly better, even if another edges ahead
+  if (current && routes[current.best.key] && eligible(routes[current.best.key])) {
+    const held = routes[current.best.key]
+    const gain = suggestionGain(active, held)
+    if (meets(gain, settings, HOLD_RATIO)) return { best: held, ...gain }
+  }
+
+  const candidates = Object.values(routes)
+    .filter(eligible)
+    .map((r) => ({ best: r, ...suggestionGain(active, r) }))
+    .filter((c) => meets(c, settings, 1))
+    .sort((a, b) => b.best.score - a.best.score)
+  return candidates[0] || null
+}
+
+// Suppress an alternative for the cool-down period
+export function dismissSuggestion(dismissed, key, settings = DEFAULT_SUGGESTION_SETTINGS, now = Date.now()) {
+  return { ...dismissed, [key]: now + settings.cooldownMin * 60000 }
+}
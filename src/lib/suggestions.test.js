@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import { decideSuggestion, dismissSuggestion, DEFAULT_SUGGESTION_SETTINGS } from './suggestions'
+
+const NOW = new Date(2024, 0, 1, 21, 0).getTime()
+const route = (key, etaMin, avgSafety, score) => ({ key, etaMin, avgSafety, score, segs: [{ id: 'A1' }] })
+const settings = { ...DEFAULT_SUGGESTION_SETTINGS, minMinutesSaved: 2, minSafetyGain: 5, cooldownMin: 10 }
+
+const decide = (routes, opts = {}) => decideSuggestion({ routes, activeKey: 'balanced', settings, now: NOW, ...opts })
+
+describe('decideSuggestion', () => {
+  it('suggests a better-scoring route that clears the time threshold', () => {
+    const routes = { balanced: route('balanced', 20, 60, 0.1), fastest: route('fastest', 17, 60, 0.2) }
+    const s = decide(routes)
+    expect(s.best.key).toBe('fastest')
+    expect(s.timeSaved).toBe(3)
+    expect(s.safetyGain).toBe(0)
+  })
+
+  it('suggests a better-scoring route that clears the safety threshold', () => {
+    const routes = { balanced: route('balanced', 20, 60, 0.1), safest: route('safest', 21, 66, 0.2) }
+    expect(decide(routes).best.key).toBe('safest')
+  })
+
+  it('stays quiet when the gain is below both thresholds', () => {
+    const routes = { balanced: route('balanced', 20, 60, 0.1), fastest: route('fastest', 19, 63, 0.2) }
+    expect(decide(routes)).toBeNull()
+  })
+
+  it('returns null when no route scores better than the active one', () => {
+    const routes = { balanced: route('balanced', 20, 60, 0.5), fastest: route('fastest', 12, 60, 0.4), safest: route('safest', 25, 80, 0.3) }
+    expect(decide(routes)).toBeNull()
+  })
+
+  it('returns null when the active route could not be planned', () => {
+    const routes = { balanced: { ...route('balanced', 0, 0, 0), segs: [] }, fastest: route('fastest', 10, 70, 0.5) }
+    expect(decide(routes)).toBeNull()
+  })
+
+  it('picks the highest-scoring candidate when several qualify', () => {
+    const routes = {
+      balanced: route('balanced', 20, 60, 0.1),
+      fastest: route('fastest', 15, 60, 0.3),
+      safest: route('safest', 22, 75, 0.4),
+    }
+    expect(decide(routes).best.key).toBe('safest')
+  })
+
+  it('keeps a suggestion on screen while it meets HOLD_RATIO of the thresholds', () => {
+    const first = decide({ balanced: route('balanced', 20, 60, 0.1), fastest: route('fastest', 17, 60, 0.2) })
+    // The gain shrinks to 1 minute: too small to appear, enough to stay (half of 2)
+    const shrunk = { balanced: route('balanced', 20, 60, 0.1), fastest: route('fastest', 19, 60, 0.2) }
+    expect(decide(shrunk)).toBeNull()
+    expect(decide(shrunk, { current: first }).best.key).toBe('fastest')
+    // Below half the threshold it goes away
+    const gone = { balanced: route('balanced', 20, 60, 0.1), fastest: route('fastest', 19.5, 60, 0.2) }
+    expect(decide(gone, { current: first })).toBeNull()
+  })
+
+  it('holds the current suggestion even when another edges ahead', () => {
+    const routes = {
+      balanced: route('balanced', 20, 60, 0.1),
+      fastest: route('fastest', 17, 60, 0.2),
+      night: route('night', 17, 61, 0.25),
+    }
+    const current = { best: routes.fastest }
+    expect(decide(routes, { current }).best.key).toBe('fastest')
+  })
+})
+
+describe('dismissSuggestion', () => {
+  const routes = { balanced: route('balanced', 20, 60, 0.1), fastest: route('fastest', 15, 60, 0.2) }
+
+  it('suppresses the dismissed route for the cool-down period', () => {
+    const dismissed = dismissSuggestion({}, 'fastest', settings, NOW)
+    expect(dismissed.fastest).toBe(NOW + 10 * 60000)
+    expect(decide(routes, { dismissed, now: NOW + 9 * 60000 })).toBeNull()
+    expect(decide(routes, { dismissed, now: NOW + 10 * 60000 }).best.key).toBe('fastest')
+  })
+
+  it('drops a held suggestion once it is dismissed', () => {
+    const current = decide(routes)
+    const dismissed = dismissSuggestion({}, 'fastest', settings, NOW)
+    expect(decide(routes, { current, dismissed })).toBeNull()
+  })
+
+  it('keeps other routes eligible', () => {
+    const both = { ...routes, safest: route('safest', 21, 70, 0.15) }
+    const dismissed = dismissSuggestion({}, 'fastest', settings, NOW)
+    expect(decide(both, { dismissed }).best.key).toBe('safest')
+  })
+})
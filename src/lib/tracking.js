@@ -0,0 +1,162 @@
+import { haversineDistance, projectOnPolyline } from './geo'
+import { snapToGraph } from './graph'
+
+// Position sources for live navigation. A source is { name, start(onFix, onError) }
+// where start() returns a stop function and every fix is
+// { coord: [lat, lng], accuracy (m), timestamp (ms) }.
+
+// Device GPS through the Geolocation API
+export function createGeolocationSource({ geolocation = globalThis.navigator?.geolocation, options } = {}) {
+  return {
+    name: 'geolocation',
+    start(onFix, onError) {
+      if (!geolocation) {
+        if (onError) onError(new Error('Geolocation is not available'))
+        return () => {}
+      }
+      const id = geolocation.watchPosition(
+        (pos) => onFix({
+          coord: [pos.coords.latitude, pos.coords.longitude],
+          accuracy: pos.coords.accuracy,
+          timestamp: pos.timestamp,
+        }),
+        (err) => onError && onError(new Error(err.message || 'Position unavailable')),
+        { enableHighAccuracy: true, maximumAge: 2000, timeout: 15000, ...options }
+      )
+      return () => geolocation.clearWatch(id)
+    },
+  }
+}
+
+// Replay a recorded track, keeping the recorded spacing between fixes (1 s when
+// the track has no timestamps), sped up by `speed`.
+export function createTrackReplaySource({ points, speed = 1 }) {
+  return {
+    name: 'replay',
+    start(onFix) {
+      let i = 0
+      let timer
+      const next = () => {
+        const p = points[i]
+        onFix({ coord: p.coord, accuracy: p.accuracy ?? 5, timestamp: Date.now() })
+        i += 1
+        if (i >= points.length) return
+        const gap = p.time != null && points[i].time != null ? points[i].time - p.time : 1000
+        timer = setTimeout(next, Math.max(50, gap / speed))
+      }
+      if (points.length > 0) next()
+      return () => clearTimeout(timer)
+    },
+  }
+}
+
+// Parse a GPX track (trkpt/rtept) or a JSON track into [{ coord, time }].
+// JSON may be an array of [lat, lng] pairs, an array of { lat, lng|lon, time },
+// or a GeoJSON LineString / Feature / FeatureCollection.
+export function parseTrack(text, filename = '') {
+  const isXml = /\.gpx$|\.xml$/i.test(filename) || text.trimStart().startsWith('<')
+  const points = isXml ? parseGpxPoints(text) : parseJsonPoints(JSON.parse(text))
+  if (points.length === 0) throw new Error('Track contains no points')
+  return points
+}
+
+function parseGpxPoints(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Invalid GPX')
+  let pts = Array.from(doc.getElementsByTagName('trkpt'))
+  if (pts.length === 0) pts = Array.from(doc.getElementsByTagName('rtept'))
+  return pts
+    .map((el) => {
+      const timeEl = el.getElementsByTagName('time')[0]
+      const time = timeEl ? Date.parse(timeEl.textContent) : NaN
+      return {
+        coord: [parseFloat(el.getAttribute('lat')), parseFloat(el.getAttribute('lon'))],
+        time: Number.isFinite(time) ? time : undefined,
+      }
+    })
+    .filter((p) => p.coord.every(Number.isFinite))
+}
+
+function parseJsonPoints(json) {
+  if (json && json.type === 'FeatureCollection') {
+    const line = json.features.find((f) => f.geometry && f.geometry.type === 'LineString')
+    return line ? parseJsonPoints(line) : []
+  }
+  if (json && json.type === 'Feature') return parseJsonPoints(json.geometry)
+  if (json && json.type === 'LineString') return json.coordinates.map(([lng, lat]) => ({ coord: [lat, lng] }))
+  if (!Array.isArray(json)) throw new Error('Unrecognised track format')
+  return json
+    .map((p) => {
+      if (Array.isArray(p)) return { coord: [p[0], p[1]] }
+      const time = p.time != null ? Date.parse(p.time) : NaN
+      return { coord: [p.lat, p.lng ?? p.lon], time: Number.isFinite(time) ? time : p.timestamp }
+    })
+    .filter((p) => p.coord.every(Number.isFinite))
+}
+
+// Map-match a position onto the route path. Prefers the stretch at or after the
+// current index so that a route doubling back on itself doesn't jump backwards.
+// Returns { index (path vertex before the match), point, distance (m off route), along (m) }.
+export function matchToPath(coord, path, cumulative, fromIdx = 0) {
+  const best = (lo) => {
+    let m = null
+    for (let i = Math.max(0, lo); i < path.length - 1; i++) {
+      const proj = projectOnPolyline(coord, [path[i], path[i + 1]])
+      if (m === null || proj.distance < m.distance) {
+        m = { index: i, point: proj.point, distance: proj.distance, along: cumulative[i] + proj.offset }
+      }
+    }
+    return m
+  }
+  const ahead = best(fromIdx - 1)
+  if (ahead && ahead.distance <= 30) return ahead
+  const anywhere = best(0)
+  return anywhere && ahead && anywhere.distance < ahead.distance ? anywhere : ahead
+}
+
+// Off-route detection with hysteresis: a traveller is off route after `confirmFixes`
+// consecutive fixes farther than the threshold (widened by the fix's accuracy).
+export function createOffRouteDetector({ thresholdM = 40, confirmFixes = 2 } = {}) {
+  let strikes = 0
+  return {
+    update(distance, accuracy = 0) {
+      if (distance > Math.max(thresholdM, accuracy)) strikes += 1
+      else strikes = 0
+      if (strikes >= confirmFixes) {
+        strikes = 0
+        return true
+      }
+      return false
+    },
+  }
+}
+
+// Has the traveller reached the end of the path?
+export function hasArrived(coord, path, radiusM = 20) {
+  return path.length > 0 && haversineDistance(coord, path[path.length - 1]) <= radiusM
+}
+
+// Attributes used for stretches of a recorded track that don't match the network
+const OFF_NETWORK = { id: 'off-network', name: 'Off network', speed: 30, safety: 50, lighting: 0.5, lanes: 1, signals: [] }
+
+// Snap a recorded track onto the network and group it into segment-shaped objects
+// ({ ...segment, coords }) that the route scoring can evaluate.
+export function trackToSegments(graph, points, { maxSnapM = 50 } = {}) {
+  const segs = []
+  let unmatched = 0
+  points.forEach((p) => {
+    const snap = snapToGraph(graph, p.coord)
+    const matched = snap && snap.distance <= maxSnapM
+    if (!matched) unmatched += 1
+    const seg = matched ? snap.edge.seg : OFF_NETWORK
+    const coord = matched ? snap.point : p.coord
+    const last = segs[segs.length - 1]
+    if (last && last.id === seg.id) last.coords.push(coord)
+    else segs.push({ ...seg, coords: last ? [last.coords[last.coords.length - 1], coord] : [coord] })
+  })
+  return {
+    segs: segs.filter((s) => s.coords.length > 1),
+    unmatched,
+    startTime: points[0] ? points[0].time : undefined,
+  }
+}
@@ -0,0 +1,227 @@
+import { snapToGraph, withSnaps } from './graph'
+import { shortestPath, stepsToSegments, planStops } from './router'
+import { serviceActive, stopsNear } from './gtfs'
+
+// Walk + transit trips: walk to a nearby stop, ride one or more scheduled trips from a
+// GTFS feed (lib/gtfs), walk to the destination. Rides are found with a connection scan
+// over the departures after leaving, minimising the profile's cost rather than arrival
+// time: walking legs cost what the profile says, waiting costs more than moving and
+// more still where the stop area is unsafe for the profile, and every transfer carries
+// a penalty. If walking the whole way costs less, the trip is just the walk.
+
+export const MAX_ACCESS_M = 800
+const ACCESS_STOPS = 6
+export const MIN_TRANSFER_S = 60
+const HORIZON_S = 3 * 3600
+const WAIT_WEIGHT = 1.5
+const TRANSFER_PENALTY_S = 120
+const MAX_LABELS = 6 // Pareto labels (arrival, cost) kept per stop
+const DAY_S = 86400
+
+// Departures within the horizon as { trip, from, to, dep, arr, seq } in seconds after
+// departAt, from today's service and yesterday's after-midnight trips
+function departuresAfter(feed, departAt) {
+  const today = new Date(departAt)
+  today.setHours(0, 0, 0, 0)
+  const days = [-1, 0].map((offset) => {
+    const date = new Date(today)
+    date.setDate(date.getDate() + offset)
+    return { date, base: (date.getTime() - departAt) / 1000 }
+  })
+  const out = []
+  days.forEach(({ date, base }) => {
+    const active = new Map()
+    const runs = (trip) => {
+      const { serviceId } = feed.trips.get(trip)
+      if (!active.has(serviceId)) active.set(serviceId, serviceActive(feed, serviceId, date))
+      return active.get(serviceId)
+    }
+    // connections are sorted by departure; start at the first one not already gone
+    let lo = 0
+    let hi = feed.connections.length
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1
+      if (base + feed.connections[mid].dep < 0) lo = mid + 1
+      else hi = mid
+    }
+    for (let i = lo; i < feed.connections.length; i++) {
+      const c = feed.connections[i]
+      const dep = base + c.dep
+      if (dep > HORIZON_S) break
+      if (runs(c.trip)) out.push({ ...c, dep, arr: base + c.arr })
+    }
+  })
+  return out.sort((a, b) => a.dep - b.dep || a.arr - b.arr)
+}
+
+// One origin -> destination leg. opts: { weight(state, seg), stateOf(seg, ts), costAt, timeAt, canUse }
+// as for planStops. Returns { segs, arriveAt, rides } or null when there is no way at all.
+export function planTransit(graph, feed, from, to, departAt, { weight, stateOf, costAt, timeAt, canUse }) {
+  const accept = canUse && ((edge) => canUse(edge.seg))
+  const origin = snapToGraph(graph, from, accept)
+  const dest = snapToGraph(graph, to, accept)
+  if (!origin || !dest) return null
+
+  const stopSnaps = new Map()
+  const snapStop = (id) => {
+    if (!stopSnaps.has(id)) stopSnaps.set(id, snapToGraph(graph, feed.stops.get(id).coord, accept))
+    return stopSnaps.get(id)
+  }
+  const access = stopsNear(feed, from, MAX_ACCESS_M, ACCESS_STOPS).filter((a) => snapStop(a.stop.id))
+  const egress = stopsNear(feed, to, MAX_ACCESS_M, ACCESS_STOPS).filter((e) => snapStop(e.stop.id))
+  const { graph: g, ids } = withSnaps(graph, [origin, dest, ...access.map((a) => snapStop(a.stop.id)), ...egress.map((e) => snapStop(e.stop.id))])
+
+  // Walks are judged at departure; egress conditions barely move within a trip
+  const edgeCost = costAt(departAt)
+  const edgeTime = timeAt(departAt)
+  const walk = (a, b) => shortestPath(g, a, b, edgeCost, edgeTime)
+  const direct = walk(ids[0], ids[1])
+  const egressByStop = new Map()
+  egress.forEach((e, j) => {
+    const w = walk(ids[2 + access.length + j], ids[1])
+    if (w) egressByStop.set(e.stop.id, w)
+  })
+
+  // Cost weight of standing at a stop, from the street it is on (cached per 15 minutes)
+  const stopWeights = new Map()
+  const stopWeight = (id, relS) => {
+    const k = `${id}:${Math.floor(relS / 900)}`
+    if (!stopWeights.has(k)) {
+      const seg = snapStop(id).edge.seg
+      const w = weight(stateOf(seg, departAt + relS * 1000), seg)
+      stopWeights.set(k, Number.isFinite(w) ? w : 3)
+    }
+    return stopWeights.get(k)
+  }
+
+  let bestCost = direct ? direct.cost : Infinity
+  let best = null
+  const labels = new Map()
+  const insert = (stop, label) => {
+    const list = labels.get(stop) || []
+    if (list.some((l) => l.arr <= label.arr && l.cost <= label.cost)) return false
+    const kept = list.filter((l) => !(label.arr <= l.arr && label.cost <= l.cost))
+    kept.push(label)
+    if (kept.length > MAX_LABELS) kept.sort((a, b) => a.cost - b.cost).pop()
+    labels.set(stop, kept)
+    return true
+  }
+  const reach = (stop, label) => {
+    if (!insert(stop, label)) return false
+    const out = egressByStop.get(stop)
+    if (out && label.boardings > 0 && label.cost + out.cost < bestCost) {
+      bestCost = label.cost + out.cost
+      best = { label, egress: out }
+    }
+    return true
+  }
+
+  access.forEach((a, i) => {
+    const w = walk(ids[0], ids[2 + i])
+    if (w) reach(a.stop.id, { stop: a.stop.id, arr: w.elapsed, cost: w.cost, boardings: 0, prev: { kind: 'access', walk: w } })
+  })
+
+  const onTrip = new Map() // trip -> { cost, at, board: { label, conn } }
+  for (const c of departuresAfter(feed, departAt)) {
+    // Every cost is at least the time it took, so nothing later can win
+    if (c.dep >= bestCost) break
+    let ride = onTrip.get(c.trip)
+    if (ride) ride = { ...ride, cost: ride.cost + (c.dep - ride.at), at: c.dep }
+    ;(labels.get(c.from) || []).forEach((l) => {
+      if (l.prev.kind === 'ride' && l.prev.trip === c.trip) return
+      if (l.arr + (l.boardings > 0 ? MIN_TRANSFER_S : 0) > c.dep) return
+      const cost = l.cost + (c.dep - l.arr) * WAIT_WEIGHT * stopWeight(c.from, l.arr) + (l.boardings > 0 ? TRANSFER_PENALTY_S : 0)
+      if (!ride || cost < ride.cost) ride = { cost, at: c.dep, board: { label: l, conn: c } }
+    })
+    if (!ride) continue
+    const cost = ride.cost + (c.arr - c.dep)
+    onTrip.set(c.trip, { ...ride, cost, at: c.arr })
+    const label = { stop: c.to, arr: c.arr, cost, boardings: ride.board.label.boardings + 1, prev: { kind: 'ride', trip: c.trip, board: ride.board, alight: c } }
+    if (!reach(c.to, label)) continue
+    ;(feed.transfers.get(c.to) || []).forEach((t) => {
+      reach(t.to, {
+        stop: t.to,
+        arr: c.arr + t.walkS,
+        cost: cost + t.walkS * stopWeight(c.to, c.arr),
+        boardings: label.boardings,
+        prev: { kind: 'transfer', from: label, walkS: t.walkS },
+      })
+    })
+  }
+
+  if (!best) return direct ? { segs: stepsToSegments(direct.steps), arriveAt: departAt + direct.elapsed * 1000, rides: 0 } : null
+  return journeySegments(feed, best, departAt, origin.point, snapStop)
+}
+
+// Street segments for the walks plus one synthetic segment per ride or transfer walk:
+// { id, name, coords, transit: { kind: 'ride', line, mode, color, headsign, stops,
+//   board: { stop, at, seg }, alight: { stop, at } } | { kind: 'transfer', to, timeS, seg } }
+// where `seg` is the street at the stop, whose state stands for the stop area.
+function journeySegments(feed, best, departAt, originPoint, snapStop) {
+  const parts = []
+  let l = best.label
+  while (l.prev.kind !== 'access') {
+    parts.unshift(l)
+    l = l.prev.kind === 'ride' ? l.prev.board.label : l.prev.from
+  }
+  const segs = stepsToSegments(l.prev.walk.steps)
+  const lastPoint = () => (segs.length > 0 ? segs[segs.length - 1].coords.slice(-1)[0] : originPoint)
+  const at = (relS) => departAt + relS * 1000
+
+  parts.forEach((p) => {
+    if (p.prev.kind === 'transfer') {
+      const fromStop = p.prev.from.stop
+      const to = feed.stops.get(p.stop)
+      segs.push({
+        id: `transfer:${fromStop}:${p.stop}`,
+        name: `Walk to ${to.name}`,
+        coords: [lastPoint(), to.coord],
+        transit: { kind: 'transfer', to: to.name, timeS: p.prev.walkS, seg: snapStop(fromStop).edge.seg },
+      })
+      return
+    }
+    const { trip, board, alight } = p.prev
+    const t = feed.trips.get(trip)
+    const route = feed.routes.get(t.routeId)
+    const stopIds = [board.conn.from, ...feed.connections
+      .filter((c) => c.trip === trip && c.seq >= board.conn.seq && c.seq <= alight.seq)
+      .sort((a, b) => a.seq - b.seq)
+      .map((c) => c.to)]
+    segs.push({
+      id: `ride:${trip}:${board.conn.seq}`,
+      name: `${route.type} ${route.name}`,
+      coords: [lastPoint(), ...stopIds.map((id) => feed.stops.get(id).coord)],
+      transit: {
+        kind: 'ride',
+        line: route.name,
+        mode: route.type,
+        color: route.color,
+        headsign: t.headsign,
+        stops: stopIds.length - 1,
+        board: { stop: feed.stops.get(board.conn.from).name, at: at(board.conn.dep), seg: snapStop(board.conn.from).edge.seg },
+        alight: { stop: feed.stops.get(alight.to).name, at: at(alight.arr) },
+      },
+    })
+  })
+
+  segs.push(...stepsToSegments(best.egress.steps))
+  return { segs, arriveAt: at(best.label.arr + best.egress.elapsed), rides: parts.filter((p) => p.prev.kind === 'ride').length }
+}
+
+// planStops for walk + transit: each leg between consecutive stops is planned with
+// planTransit from the time the previous one arrives. Same { segs, legs } result.
+export function planTransitStops(graph, feed, stops, departAt, opts) {
+  if (!feed) return planStops(graph, stops, departAt, opts.costAt, opts.timeAt, { canUse: opts.canUse })
+  const none = { segs: [], legs: [] }
+  const segs = []
+  const legs = []
+  let t = departAt
+  for (let i = 0; i < stops.length - 1; i++) {
+    const leg = planTransit(graph, feed, stops[i], stops[i + 1], t, opts)
+    if (!leg) return none
+    legs.push({ from: segs.length, to: segs.length + leg.segs.length, departAt: t })
+    segs.push(...leg.segs)
+    t = leg.arriveAt
+  }
+  return { segs, legs }
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { buildGraph } from './graph'
+import { parseGtfs } from './gtfs'
+import { planTransit, planTransitStops } from './transit'
+import { routeOptions, edgeCostFor, edgeTimeFor } from './profiles'
+import { miniFeedFiles } from './__fixtures__/gtfs'
+
+// The fixture feed's street, about an hour's walk end to end, and a road no stop is near
+const network = {
+  streets: [
+    { id: 'line', name: 'Long St', segments: [{ id: 'LINE', coords: [[0, 0], [0, 0.05]] }] },
+    { id: 'island', name: 'Island Rd', segments: [{ id: 'ISLAND', coords: [[1, 1], [1, 1.001]] }] },
+  ],
+  intersections: [],
+}
+const graph = buildGraph(network)
+const feed = parseGtfs(miniFeedFiles)
+
+const stateOf = () => ({ speed: 5, safety: 80, crowd: 0.5, lighting: 1, darkness: 0 })
+const fastest = routeOptions.find((o) => o.key === 'fastest')
+const opts = {
+  weight: fastest.weight,
+  stateOf,
+  costAt: (t) => edgeCostFor(fastest, stateOf, t),
+  timeAt: (t) => edgeTimeFor(stateOf, t),
+}
+const at = (day, h, m) => new Date(2024, 0, day, h, m).getTime()
+const WEST = [0, 0]
+const EAST = [0, 0.05]
+const transitSegs = (trip) => trip.segs.filter((s) => s.transit)
+
+describe('planTransit', () => {
+  it('rides the bus, walks across the station and waits for the metro', () => {
+    const trip = planTransit(graph, feed, WEST, EAST, at(1, 8, 0), opts)
+    expect(trip.rides).toBe(2)
+    const [bus, walk, metro] = transitSegs(trip)
+    expect(bus.transit).toMatchObject({ kind: 'ride', line: '10', mode: 'bus', color: '#FF0000', stops: 1 })
+    expect(bus.transit.board).toMatchObject({ stop: 'Market St, North', at: at(1, 8, 5) })
+    expect(bus.transit.alight).toEqual({ stop: 'Central', at: at(1, 8, 10) })
+    expect(walk.transit).toMatchObject({ kind: 'transfer', to: 'Central East' })
+    // The walk takes a couple of minutes, then the metro is waited for until 08:20
+    expect(at(1, 8, 10) + walk.transit.timeS * 1000).toBeLessThan(at(1, 8, 20))
+    expect(metro.transit).toMatchObject({ kind: 'ride', line: 'M2', mode: 'metro', stops: 2 })
+    expect(metro.transit.board).toMatchObject({ stop: 'Central East', at: at(1, 8, 20) })
+    expect(metro.transit.alight).toEqual({ stop: 'Harbour', at: at(1, 8, 30) })
+    // A walk of about 110 m from Harbour finishes the trip
+    expect(trip.arriveAt).toBeGreaterThan(at(1, 8, 31))
+    expect(trip.arriveAt).toBeLessThan(at(1, 8, 32))
+    expect(trip.segs[trip.segs.length - 1].transit).toBeUndefined()
+  })
+
+  it('walks when there is no connection left', () => {
+    const trip = planTransit(graph, feed, WEST, EAST, at(1, 8, 30), opts)
+    expect(trip.rides).toBe(0)
+    expect(transitSegs(trip)).toEqual([])
+    // 5.56 km at 5 km/h
+    expect((trip.arriveAt - at(1, 8, 30)) / 60000).toBeCloseTo(66.7, 0)
+  })
+
+  it('walks on days the timetable does not run', () => {
+    // WK is cancelled on 2 January; only the night trip of the day before runs, at 00:35
+    expect(planTransit(graph, feed, WEST, EAST, at(2, 8, 0), opts).rides).toBe(0)
+  })
+
+  it('walks when riding would not save anything', () => {
+    expect(planTransit(graph, feed, WEST, [0, 0.008], at(1, 8, 0), opts).rides).toBe(0)
+  })
+
+  it('catches the previous service day\'s trips after midnight', () => {
+    const trip = planTransit(graph, feed, WEST, EAST, at(2, 0, 30), opts)
+    expect(trip.rides).toBe(1)
+    const [night] = transitSegs(trip)
+    expect(night.transit.board).toMatchObject({ stop: 'Market St, North', at: at(2, 0, 35) })
+    expect(night.transit.alight).toEqual({ stop: 'Harbour', at: at(2, 0, 50) })
+  })
+
+  it('returns null when the destination cannot be reached at all', () => {
+    expect(planTransit(graph, feed, WEST, [1, 1.0005], at(1, 8, 0), opts)).toBeNull()
+  })
+})
+
+describe('planTransitStops', () => {
+  it('plans each leg from the time the previous one arrives', () => {
+    const { segs, legs } = planTransitStops(graph, feed, [WEST, EAST, [0, 0.045]], at(1, 8, 0), opts)
+    expect(legs).toHaveLength(2)
+    expect(legs[1].from).toBe(legs[0].to)
+    expect(legs[1].departAt).toBeGreaterThan(at(1, 8, 31))
+    expect(segs).toHaveLength(legs[1].to)
+  })
+
+  it('gives up on the whole trip when one leg has no way', () => {
+    expect(planTransitStops(graph, feed, [WEST, [1, 1.0005], EAST], at(1, 8, 0), opts)).toEqual({ segs: [], legs: [] })
+  })
+
+  it('plans walking routes without a feed', () => {
+    const { segs, legs } = planTransitStops(graph, null, [WEST, EAST], at(1, 8, 0), opts)
+    expect(legs).toHaveLength(1)
+    expect(segs.every((s) => !s.transit)).toBe(true)
+  })
+})
@@ -0,0 +1,55 @@
+import { roughness } from './accessibility'
+
+// Travel modes. A segment's own `speed` is the posted (car) speed; walkers and cyclists
+// move at their own pace, drivers at the traffic-adjusted posted speed.
+// canUse(segment) excludes what the mode can't travel on (OSM `highway` class, stairs).
+const CAR_FREE = ['footway', 'path', 'pedestrian', 'steps', 'cycleway', 'track']
+const MOTORWAYS = ['motorway', 'motorway_link', 'trunk', 'trunk_link']
+
+const walkable = (seg) => !MOTORWAYS.includes(seg.highway)
+
+export const WALK_SPEED = 4.8 // km/h
+
+export const travelModes = [
+  {
+    key: 'walk',
+    label: 'Walk',
+    canUse: walkable,
+    speed: (seg) => (seg.stairs ? WALK_SPEED * 0.6 : WALK_SPEED),
+  },
+  {
+    key: 'bike',
+    label: 'Bike',
+    canUse: (seg) => walkable(seg) && !seg.stairs && seg.highway !== 'steps',
+    speed: (seg) => Math.min(seg.speed, 16 * (1 - 0.5 * roughness(seg))),
+  },
+  {
+    key: 'drive',
+    label: 'Drive',
+    canUse: (seg) => !seg.stairs && !CAR_FREE.includes(seg.highway),
+    speed: (seg, speedFactor) => Math.max(5, seg.speed * speedFactor),
+    traffic: true,
+  },
+  {
+    // Walking legs plus scheduled rides from a loaded GTFS feed (lib/transit)
+    key: 'transit',
+    label: 'Walk + transit',
+    canUse: walkable,
+    speed: (seg) => (seg.stairs ? WALK_SPEED * 0.6 : WALK_SPEED),
+    transit: true,
+  },
+]
+
+export const modeOf = (key) => travelModes.find((m) => m.key === key) || travelModes[0]
+
+// km/h on a segment; only traffic-bound modes feel the live speed factor
+export const modeSpeed = (mode, seg, speedFactor = 1) => mode.speed(seg, mode.traffic ? speedFactor : 1)
+
+// A route profile restricted to what the mode can use
+export function profileForMode(profile, mode) {
+  return {
+    ...profile,
+    canUse: (seg) => mode.canUse(seg) && (!profile.canUse || profile.canUse(seg)),
+    weight: (s, seg) => (mode.canUse(seg) ? profile.weight(s, seg) : Infinity),
+  }
+}
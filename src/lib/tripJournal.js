@@ -0,0 +1,78 @@
+// Trip history kept in localStorage only — nothing leaves the device.
+// A trip is { id, status: 'planned' | 'completed', createdAt, start, end, waypoints, mode, profile,
+// distance (m), etaMin, actualMin, avgSafety, reroutes, departAt, arriveAt }.
+
+const STORAGE_KEY = 'saferoutes.trips.v1'
+
+function memoryStorage() {
+  const data = new Map()
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  }
+}
+
+export function createTripStore({ storage = globalThis.localStorage || memoryStorage(), key = STORAGE_KEY } = {}) {
+  const listeners = new Set()
+  let cache = null
+
+  const read = () => {
+    if (cache) return cache
+    try {
+      const parsed = JSON.parse(storage.getItem(key) || '[]')
+      cache = Array.isArray(parsed) ? parsed : []
+    } catch (e) {
+      cache = []
+    }
+    return cache
+  }
+
+  const write = (trips) => {
+    cache = trips
+    try {
+      storage.setItem(key, JSON.stringify(trips))
+    } catch (e) {
+      // quota exceeded or storage disabled: keep the in-memory copy
+    }
+    listeners.forEach((fn) => fn())
+  }
+
+  return {
+    list: () => read(),
+    save(trip) {
+      const entry = {
+        id: trip.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: trip.createdAt || Date.now(),
+        ...trip,
+      }
+      write([entry, ...read().filter((t) => t.id !== entry.id)])
+      return entry
+    },
+    remove(id) {
+      write(read().filter((t) => t.id !== id))
+    },
+    clear() {
+      write([])
+    },
+    exportJson(trips = read()) {
+      return JSON.stringify({ exportedAt: new Date().toISOString(), trips }, null, 2)
+    },
+    subscribe(fn) {
+      listeners.add(fn)
+      return () => listeners.delete(fn)
+    },
+  }
+}
+
+// Filter by creation date range (inclusive, ms) and profile key
+export function filterTrips(trips, { from, to, profile } = {}) {
+  return trips.filter((t) =>
+    (from == null || t.createdAt >= from) &&
+    (to == null || t.createdAt <= to) &&
+    (!profile || t.profile === profile)
+  )
+}
+
+// Shared store used by the map and the journal section
+export const tripStore = createTripStore()
@@ -0,0 +1,75 @@
+import { backendUrl } from './backend'
+
+// "Share my trip": the route, ETA and live position posted to a backend that passes
+// them on to the traveller's contacts. The protocol is two calls:
+//   POST {endpoint}        payload -> { id, url? }   (url: a page contacts can open)
+//   PUT  {endpoint}/{id}   payload, on every update
+// scripts/mock-share-server.js is a local stand-in that implements it.
+
+export const DEFAULT_SHARE_ENDPOINT = (import.meta.env.VITE_SHARE_URL || `${backendUrl()}/trips`).replace(/\/$/, '')
+
+// Position updates are throttled; a status change is always sent straight away
+export const SHARE_INTERVAL_MS = 30000
+
+const MAX_PATH_POINTS = 200
+const round = (c) => [Math.round(c[0] * 1e5) / 1e5, Math.round(c[1] * 1e5) / 1e5]
+
+// status: 'active' | 'arrived' | 'safe' | 'overdue' | 'sos' | 'ended'
+export function sharePayload({ route, position, status, startedAt, profile, mode, now = Date.now() }) {
+  const step = Math.max(1, Math.ceil(route.path.length / MAX_PATH_POINTS))
+  const path = route.path.filter((_, i) => i % step === 0 || i === route.path.length - 1).map(round)
+  return {
+    status,
+    startedAt: new Date(startedAt).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    profile,
+    mode,
+    eta: new Date(route.arriveAt).toISOString(),
+    distance: Math.round(route.total),
+    destination: round(route.path[route.path.length - 1]),
+    route: path,
+    position: position ? round(position) : null,
+  }
+}
+
+export function createTripShare({ endpoint = DEFAULT_SHARE_ENDPOINT, fetchImpl = (...args) => globalThis.fetch(...args) } = {}) {
+  let id = null
+  let lastSent = 0
+  let lastStatus = null
+
+  const send = async (method, url, payload) => {
+    const res = await fetchImpl(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    })
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`)
+    lastSent = Date.now()
+    lastStatus = payload.status
+    return res.status === 204 ? {} : res.json().catch(() => ({}))
+  }
+
+  return {
+    get id() {
+      return id
+    },
+    async start(payload) {
+      const body = await send('POST', endpoint, payload)
+      if (!body.id) throw new Error('Share endpoint returned no trip id')
+      id = String(body.id)
+      return { id, url: body.url || null }
+    },
+    // Resolves false when throttled (nothing sent)
+    async update(payload, { force = false } = {}) {
+      if (!id) throw new Error('Trip is not being shared')
+      if (!force && payload.status === lastStatus && Date.now() - lastSent < SHARE_INTERVAL_MS) return false
+      await send('PUT', `${endpoint}/${encodeURIComponent(id)}`, payload)
+      return true
+    },
+    async stop(payload) {
+      if (!id) return
+      await send('PUT', `${endpoint}/${encodeURIComponent(id)}`, { ...payload, status: 'ended' })
+      id = null
+    },
+  }
+}
@@ -0,0 +1,360 @@
+// Voice guidance: localized maneuver prompts in stages (prepare, approach, now), safety
+// alerts, and a speech queue in which alerts go first and are never cut off.
+// The speech backend is injected: { speak(text, { lang, voice, rate }) -> Promise
+// resolved when done, cancel(), voices() }, so the engine runs against a fake in tests.
+
+export const DEFAULT_VOICE_SETTINGS = { mode: 'all', lang: 'en', voice: null, rate: 1 }
+
+export const voiceModes = [
+  { key: 'all', label: 'All prompts' },
+  { key: 'alerts', label: 'Safety alerts only' },
+  { key: 'mute', label: 'Mute' },
+]
+
+// Prompt distances before a maneuver, most distant first
+export const guidanceStages = [
+  { key: 'prepare', at: 400 },
+  { key: 'approach', at: 100 },
+  { key: 'now', at: 25 },
+]
+
+// Phrase templates. `lowerLead` lowercases the maneuver when it follows "In 400 m, ..."
+export const phrasebooks = {
+  en: {
+    label: 'English',
+    lowerLead: true,
+    units: { m: 'meters', km: 'kilometers' },
+    compass: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+    modifiers: {
+      left: 'left', right: 'right', 'slight left': 'slight left', 'slight right': 'slight right',
+      'sharp left': 'sharp left', 'sharp right': 'sharp right',
+    },
+    depart: 'Head {dir} on {street}',
+    turn: 'Turn {mod} onto {street}',
+    turnStay: 'Turn {mod} to stay on {street}',
+    continue: 'Continue straight onto {street}',
+    uturn: 'Make a U-turn onto {street}',
+    roundabout: 'At the roundabout, exit onto {street}',
+    roundaboutEnter: 'Enter the roundabout',
+    board: 'Board {line} at {stop}',
+    boardTowards: 'Board {line} towards {headsign} at {stop}',
+    alight: 'Get off at {stop}',
+    transfer: 'Walk to {stop}',
+    waypoint: 'Reach stop {n}',
+    arrive: 'Arrive at your destination',
+    signal: '{action} at the traffic lights',
+    ahead: 'In {distance}, {action}',
+    now: '{action} now',
+    arrived: 'You have arrived',
+    offRoute: 'Off route. Recalculating.',
+    switchRoute: 'Conditions changed. Switching to the {route} route.',
+    checkIn: 'Please check in to let your contacts know you are safe.',
+    checkInOverdue: 'Check-in overdue. Confirm you are safe, or call for help.',
+    hazard: 'Caution: {hazard} reported ahead',
+    hazards: {
+      streetlight: 'a broken streetlight', harassment: 'harassment', construction: 'construction', blocked: 'a blocked sidewalk',
+    },
+  },
+  es: {
+    label: 'Español',
+    lowerLead: true,
+    units: { m: 'metros', km: 'kilómetros' },
+    compass: ['norte', 'noreste', 'este', 'sureste', 'sur', 'suroeste', 'oeste', 'noroeste'],
+    modifiers: {
+      left: 'a la izquierda', right: 'a la derecha', 'slight left': 'ligeramente a la izquierda',
+      'slight right': 'ligeramente a la derecha', 'sharp left': 'bruscamente a la izquierda', 'sharp right': 'bruscamente a la derecha',
+    },
+    depart: 'Dirígete al {dir} por {street}',
+    turn: 'Gira {mod} hacia {street}',
+    turnStay: 'Gira {mod} para seguir en {street}',
+    continue: 'Sigue recto por {street}',
+    uturn: 'Da la vuelta hacia {street}',
+    roundabout: 'En la rotonda, sal hacia {street}',
+    roundaboutEnter: 'Entra en la rotonda',
+    board: 'Sube al {line} en {stop}',
+    boardTowards: 'Sube al {line} dirección {headsign} en {stop}',
+    alight: 'Bájate en {stop}',
+    transfer: 'Camina hasta {stop}',
+    waypoint: 'Llegas a la parada {n}',
+    arrive: 'Llega a tu destino',
+    signal: '{action} en el semáforo',
+    ahead: 'En {distance}, {action}',
+    now: '{action} ahora',
+    arrived: 'Has llegado',
+    offRoute: 'Fuera de ruta. Recalculando.',
+    switchRoute: 'Las condiciones han cambiado. Cambiando a la ruta {route}.',
+    checkIn: 'Confirma tu llegada para que tus contactos sepan que estás a salvo.',
+    checkInOverdue: 'Confirmación de llegada pendiente. Confirma que estás a salvo o pide ayuda.',
+    hazard: 'Atención: se ha informado de {hazard} más adelante',
+    hazards: {
+      streetlight: 'una farola averiada', harassment: 'acoso', construction: 'obras', blocked: 'una acera bloqueada',
+    },
+  },
+  fr: {
+    label: 'Français',
+    lowerLead: true,
+    units: { m: 'mètres', km: 'kilomètres' },
+    compass: ['le nord', 'le nord-est', "l'est", 'le sud-est', 'le sud', 'le sud-ouest', "l'ouest", 'le nord-ouest'],
+    modifiers: {
+      left: 'à gauche', right: 'à droite', 'slight left': 'légèrement à gauche', 'slight right': 'légèrement à droite',
+      'sharp left': 'franchement à gauche', 'sharp right': 'franchement à droite',
+    },
+    depart: 'Dirigez-vous vers {dir} sur {street}',
+    turn: 'Tournez {mod} sur {street}',
+    turnStay: 'Tournez {mod} pour rester sur {street}',
+    continue: 'Continuez tout droit sur {street}',
+    uturn: 'Faites demi-tour sur {street}',
+    roundabout: 'Au rond-point, sortez sur {street}',
+    roundaboutEnter: 'Entrez dans le rond-point',
+    board: 'Montez dans le {line} à {stop}',
+    boardTowards: 'Montez dans le {line} direction {headsign} à {stop}',
+    alight: 'Descendez à {stop}',
+    transfer: 'Marchez jusqu’à {stop}',
+    waypoint: "Vous atteignez l'étape {n}",
+    arrive: 'Arrivez à destination',
+    signal: '{action} au feu',
+    ahead: 'Dans {distance}, {action}',
+    now: '{action} maintenant',
+    arrived: 'Vous êtes arrivé',
+    offRoute: 'Hors itinéraire. Nouveau calcul.',
+    switchRoute: "Les conditions ont changé. Passage à l'itinéraire {route}.",
+    checkIn: 'Confirmez votre arrivée pour rassurer vos contacts.',
+    checkInOverdue: "Confirmation d'arrivée en retard. Confirmez que vous êtes en sécurité ou appelez à l'aide.",
+    hazard: 'Attention : {hazard} signalé plus loin',
+    hazards: {
+      streetlight: 'lampadaire en panne', harassment: 'harcèlement', construction: 'travaux', blocked: 'trottoir bloqué',
+    },
+  },
+  de: {
+    label: 'Deutsch',
+    lowerLead: false,
+    units: { m: 'Metern', km: 'Kilometern' },
+    compass: ['Norden', 'Nordosten', 'Osten', 'Südosten', 'Süden', 'Südwesten', 'Westen', 'Nordwesten'],
+    modifiers: {
+      left: 'links', right: 'rechts', 'slight left': 'leicht links', 'slight right': 'leicht rechts',
+      'sharp left': 'scharf links', 'sharp right': 'scharf rechts',
+    },
+    depart: 'Richtung {dir} auf {street} gehen',
+    turn: '{Mod} abbiegen auf {street}',
+    turnStay: '{Mod} abbiegen, um auf {street} zu bleiben',
+    continue: 'Geradeaus weiter auf {street}',
+    uturn: 'Wenden auf {street}',
+    roundabout: 'Im Kreisverkehr Ausfahrt auf {street} nehmen',
+    roundaboutEnter: 'In den Kreisverkehr einfahren',
+    board: 'In {line} einsteigen an {stop}',
+    boardTowards: 'In {line} Richtung {headsign} einsteigen an {stop}',
+    alight: 'Aussteigen an {stop}',
+    transfer: 'Zu Fuß zu {stop}',
+    waypoint: 'Zwischenstopp {n} erreicht',
+    arrive: 'Ziel erreichen',
+    signal: '{action} an der Ampel',
+    ahead: 'In {distance}: {action}',
+    now: 'Jetzt: {action}',
+    arrived: 'Sie haben Ihr Ziel erreicht',
+    offRoute: 'Route verlassen. Neuberechnung.',
+    switchRoute: 'Die Bedingungen haben sich geändert. Wechsel zur Route {route}.',
+    checkIn: 'Bitte melden Sie sich, damit Ihre Kontakte wissen, dass Sie sicher angekommen sind.',
+    checkInOverdue: 'Rückmeldung überfällig. Bestätigen Sie, dass Sie sicher sind, oder rufen Sie Hilfe.',
+    hazard: 'Achtung: {hazard} gemeldet',
+    hazards: {
+      streetlight: 'defekte Straßenlaterne', harassment: 'Belästigung', construction: 'Baustelle', blocked: 'blockierter Gehweg',
+    },
+  },
+}
+
+export const languages = Object.keys(phrasebooks).map((key) => ({ key, label: phrasebooks[key].label }))
+
+const book = (lang) => phrasebooks[lang] || phrasebooks.en
+
+const fill = (template, vars) => template.replace(/\{(\w+)\}/g, (_, k) => {
+  // {Mod} is {mod} with a capital, for languages that lead with it
+  if (vars[k] !== undefined) return vars[k]
+  const lower = k.charAt(0).toLowerCase() + k.slice(1)
+  const v = vars[lower]
+  return v === undefined ? '' : v.charAt(0).toUpperCase() + v.slice(1)
+})
+
+export function phrase(lang, key, vars = {}) {
+  const b = book(lang)
+  return fill(b[key] || phrasebooks.en[key] || key, vars)
+}
+
+// Distances as spoken words: "400 meters", "1.2 kilometers" (in the language's number format)
+export function spokenDistance(m, lang) {
+  const { units } = book(lang)
+  if (m >= 1000) return `${(Math.round(m / 100) / 10).toLocaleString(lang)} ${units.km}`
+  const rounded = m >= 100 ? Math.round(m / 50) * 50 : Math.max(10, Math.round(m / 10) * 10)
+  return `${rounded} ${units.m}`
+}
+
+const COMPASS_KEYS = phrasebooks.en.compass
+
+// The maneuver itself, localized from the structured instruction (see maneuvers.js)
+export function maneuverText(step, lang) {
+  const b = book(lang)
+  const street = step.street
+  let action
+  if (step.type === 'depart') {
+    const i = COMPASS_KEYS.indexOf(step.modifier)
+    action = fill(b.depart, { dir: b.compass[i < 0 ? 0 : i], street })
+  } else if (step.type === 'arrive') {
+    action = b.arrive
+  } else if (step.type === 'board') {
+    action = fill(step.headsign ? b.boardTowards : b.board, { line: step.line, headsign: step.headsign, stop: step.stopName })
+  } else if (step.type === 'alight' || step.type === 'transfer') {
+    action = fill(b[step.type], { stop: step.stopName })
+  } else if (step.type === 'waypoint') {
+    action = fill(b.waypoint, { n: step.stop })
+  } else if (step.type === 'roundabout') {
+    if (step.exit === undefined) action = fill(b.roundabout, { street })
+    else action = step.exit ? fill(b.roundabout, { street: step.exit }) : b.roundaboutEnter
+  } else if (step.modifier === 'straight') {
+    action = fill(b.continue, { street })
+  } else if (step.modifier === 'uturn') {
+    action = fill(b.uturn, { street })
+  } else {
+    action = fill(step.stay ? b.turnStay : b.turn, { mod: b.modifiers[step.modifier] || step.modifier, street })
+  }
+  return step.signal ? fill(b.signal, { action }) : action
+}
+
+// Most urgent stage whose distance has been reached, e.g. 'approach' at 90 m
+export function stageFor(distanceTo) {
+  let stage = null
+  guidanceStages.forEach((s) => {
+    if (distanceTo <= s.at) stage = s
+  })
+  return stage
+}
+
+export function stagedPrompt(step, distanceTo, stage, lang) {
+  const b = book(lang)
+  if (stage.key === 'now') return step.type === 'arrive' ? b.arrived : fill(b.now, { action: maneuverText(step, lang) })
+  const action = maneuverText(step, lang)
+  const lead = b.lowerLead ? action.charAt(0).toLowerCase() + action.slice(1) : action
+  return fill(b.ahead, { distance: spokenDistance(distanceTo, lang), action: lead })
+}
+
+// Web Speech API backend; speaks nothing (but still resolves) where speech is unavailable
+export function speechSynthesisBackend(synth = typeof window !== 'undefined' ? window.speechSynthesis : null) {
+  const voices = () => (synth ? synth.getVoices() : [])
+  return {
+    voices: () => voices().map((v) => ({ name: v.name, lang: v.lang, default: v.default })),
+    onVoicesChanged(cb) {
+      if (!synth || !synth.addEventListener) return () => {}
+      synth.addEventListener('voiceschanged', cb)
+      return () => synth.removeEventListener('voiceschanged', cb)
+    },
+    speak(text, { lang = 'en', voice = null, rate = 1 } = {}) {
+      if (!synth) return Promise.resolve()
+      return new Promise((resolve) => {
+        const utter = new SpeechSynthesisUtterance(text)
+        const all = voices()
+        const chosen = all.find((v) => v.name === voice) || all.find((v) => v.lang.toLowerCase().startsWith(lang))
+        if (chosen) utter.voice = chosen
+        utter.lang = chosen ? chosen.lang : lang
+        utter.rate = rate
+        // Some engines never fire `end`; don't let that stall the queue
+        const timer = setTimeout(resolve, 2000 + (text.length * 120) / rate)
+        const done = () => {
+          clearTimeout(timer)
+          resolve()
+        }
+        utter.onend = done
+        utter.onerror = done
+        synth.speak(utter)
+      })
+    },
+    cancel() {
+      if (synth) synth.cancel()
+    },
+  }
+}
+
+// The guidance engine. `onSpeak(text, priority)` sees every accepted prompt, even when
+// muted, so a screen-reader live region can mirror it.
+export function createGuidance({ backend, settings = DEFAULT_VOICE_SETTINGS, onSpeak = () => {} }) {
+  let current = { ...DEFAULT_VOICE_SETTINGS, ...settings }
+  let queue = [] // [{ text, priority: 'alert' | 'maneuver' }]
+  let speaking = null
+  let announced = new Set()
+
+  const pump = () => {
+    if (speaking || queue.length === 0) return
+    speaking = queue.shift()
+    const { lang, voice, rate } = current
+    Promise.resolve(backend.speak(speaking.text, { lang, voice, rate }))
+      .catch(() => {})
+      .then(() => {
+        speaking = null
+        pump()
+      })
+  }
+
+  const enqueue = (text, priority) => {
+    if (current.mode === 'alerts' && priority !== 'alert') return false
+    onSpeak(text, priority)
+    if (current.mode === 'mute') return true
+    if (priority === 'alert') {
+      if (queue.some((q) => q.text === text) || (speaking && speaking.text === text)) return true
+      // Alerts line up behind earlier alerts but ahead of any maneuver prompt
+      const at = queue.findIndex((q) => q.priority !== 'alert')
+      queue.splice(at < 0 ? queue.length : at, 0, { text, priority })
+    } else {
+      // Only the latest maneuver prompt matters; older queued ones are stale
+      queue = queue.filter((q) => q.priority === 'alert')
+      queue.push({ text, priority })
+    }
+    pump()
+    return true
+  }
+
+  return {
+    get settings() {
+      return current
+    },
+    update(next) {
+      current = { ...current, ...next }
+      if (current.mode === 'mute') {
+        queue = []
+        backend.cancel()
+      } else if (current.mode === 'alerts') {
+        queue = queue.filter((q) => q.priority === 'alert')
+      }
+    },
+    // Speak the prompt due for `step` at `distanceTo` meters, once per step and stage.
+    // Returns the text, or null when nothing is due.
+    maneuver(step, distanceTo) {
+      const stage = stageFor(distanceTo)
+      if (!stage) return null
+      const id = `${step.pathIndex}:${stage.key}`
+      if (announced.has(id)) return null
+      announced.add(id)
+      // Reaching a closer stage first (e.g. after a reroute) makes the farther ones moot
+      guidanceStages.forEach((s) => {
+        if (s.at > stage.at) announced.add(`${step.pathIndex}:${s.key}`)
+      })
+      const text = stagedPrompt(step, distanceTo, stage, current.lang)
+      return enqueue(text, 'maneuver') ? text : null
+    },
+    // Safety alert from the phrasebook, e.g. alert('offRoute') or alert('hazard', { category })
+    alert(key, vars = {}) {
+      const b = book(current.lang)
+      const text = key === 'hazard'
+        ? phrase(current.lang, 'hazard', { hazard: b.hazards[vars.category] || vars.category })
+        : phrase(current.lang, key, vars)
+      enqueue(text, 'alert')
+      return text
+    },
+    // New route: maneuver stages start over; queued maneuver prompts no longer apply
+    reset() {
+      announced = new Set()
+      queue = queue.filter((q) => q.priority === 'alert')
+    },
+    stop() {
+      queue = []
+      speaking = null
+      backend.cancel()
+    },
+  }
+}
@@ -0,0 +1,160 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createGuidance, stageFor } from './voiceGuidance'
+
+// Speech backend whose utterances finish only when the test says so
+function fakeBackend() {
+  const pending = []
+  return {
+    spoken: [],
+    cancel: vi.fn(),
+    voices: () => [],
+    speak(text) {
+      this.spoken.push(text)
+      return new Promise((resolve) => pending.push(resolve))
+    },
+    async finish() {
+      pending.shift()()
+      await new Promise((r) => setTimeout(r, 0))
+    },
+  }
+}
+
+const turn = (pathIndex, street) => ({ type: 'turn', modifier: 'left', street, pathIndex })
+
+describe('stageFor', () => {
+  it('picks the closest stage already reached', () => {
+    expect(stageFor(500)).toBeNull()
+    expect(stageFor(400).key).toBe('prepare')
+    expect(stageFor(90).key).toBe('approach')
+    expect(stageFor(25).key).toBe('now')
+    expect(stageFor(0).key).toBe('now')
+  })
+})
+
+describe('createGuidance', () => {
+  it('prompts once per distance stage', () => {
+    const backend = fakeBackend()
+    const g = createGuidance({ backend })
+    const step = turn(3, 'Elm St')
+    expect(g.maneuver(step, 600)).toBeNull()
+    expect(g.maneuver(step, 400)).toBe('In 400 meters, turn left onto Elm St')
+    expect(g.maneuver(step, 350)).toBeNull()
+    expect(g.maneuver(step, 100)).toBe('In 100 meters, turn left onto Elm St')
+    expect(g.maneuver(step, 20)).toBe('Turn left onto Elm St now')
+    expect(g.maneuver(step, 10)).toBeNull()
+  })
+
+  it('skips the farther stages when a closer one comes first', () => {
+    const g = createGuidance({ backend: fakeBackend() })
+    const step = turn(3, 'Elm St')
+    expect(g.maneuver(step, 80)).toBe('In 80 meters, turn left onto Elm St')
+    expect(g.maneuver(step, 300)).toBeNull()
+  })
+
+  it('starts the stages over after reset', () => {
+    const g = createGuidance({ backend: fakeBackend() })
+    const step = turn(3, 'Elm St')
+    g.maneuver(step, 400)
+    g.reset()
+    expect(g.maneuver(step, 400)).toBe('In 400 meters, turn left onto Elm St')
+  })
+
+  it('speaks alerts before queued maneuvers, in the order they came', async () => {
+    const backend = fakeBackend()
+    const g = createGuidance({ backend })
+    g.maneuver(turn(1, 'Elm St'), 400)
+    g.maneuver(turn(2, 'Dover St'), 400)
+    g.alert('offRoute')
+    g.alert('hazard', { category: 'streetlight' })
+    expect(backend.spoken).toEqual(['In 400 meters, turn left onto Elm St'])
+
+    await backend.finish()
+    await backend.finish()
+    await backend.finish()
+    expect(backend.spoken).toEqual([
+      'In 400 meters, turn left onto Elm St',
+      'Off route. Recalculating.',
+      'Caution: a broken streetlight reported ahead',
+      'In 400 meters, turn left onto Dover St',
+    ])
+  })
+
+  it('keeps only the latest queued maneuver', async () => {
+    const backend = fakeBackend()
+    const g = createGuidance({ backend })
+    g.alert('offRoute')
+    g.maneuver(turn(1, 'Elm St'), 400)
+    g.maneuver(turn(2, 'Dover St'), 400)
+    await backend.finish()
+    await backend.finish()
+    expect(backend.spoken).toEqual(['Off route. Recalculating.', 'In 400 meters, turn left onto Dover St'])
+  })
+
+  it('does not repeat an alert that is queued or being spoken', async () => {
+    const backend = fakeBackend()
+    const g = createGuidance({ backend })
+    g.alert('offRoute')
+    g.alert('checkIn')
+    g.alert('offRoute')
+    g.alert('checkIn')
+    await backend.finish()
+    await backend.finish()
+    expect(backend.spoken).toEqual(['Off route. Recalculating.', 'Please check in to let your contacts know you are safe.'])
+    // Once spoken, the same alert may come back
+    g.alert('offRoute')
+    expect(backend.spoken).toHaveLength(3)
+  })
+
+  it('mirrors prompts to onSpeak but says nothing when muted', () => {
+    const backend = fakeBackend()
+    const onSpeak = vi.fn()
+    const g = createGuidance({ backend, onSpeak, settings: { mode: 'mute' } })
+    expect(g.maneuver(turn(1, 'Elm St'), 400)).toBe('In 400 meters, turn left onto Elm St')
+    g.alert('offRoute')
+    expect(backend.spoken).toEqual([])
+    expect(onSpeak.mock.calls).toEqual([
+      ['In 400 meters, turn left onto Elm St', 'maneuver'],
+      ['Off route. Recalculating.', 'alert'],
+    ])
+  })
+
+  it('cancels speech and drops the queue when switched to mute', async () => {
+    const backend = fakeBackend()
+    const g = createGuidance({ backend })
+    g.maneuver(turn(1, 'Elm St'), 400)
+    g.alert('offRoute')
+    g.update({ mode: 'mute' })
+    expect(backend.cancel).toHaveBeenCalled()
+    await backend.finish()
+    expect(backend.spoken).toEqual(['In 400 meters, turn left onto Elm St'])
+  })
+
+  it('speaks only safety alerts in alerts-only mode', () => {
+    const backend = fakeBackend()
+    const onSpeak = vi.fn()
+    const g = createGuidance({ backend, onSpeak, settings: { mode: 'alerts' } })
+    expect(g.maneuver(turn(1, 'Elm St'), 400)).toBeNull()
+    g.alert('offRoute')
+    expect(backend.spoken).toEqual(['Off route. Recalculating.'])
+    expect(onSpeak).toHaveBeenCalledTimes(1)
+  })
+
+  it('drops queued maneuvers but keeps alerts when switched to alerts-only', async () => {
+    const backend = fakeBackend()
+    const g = createGuidance({ backend })
+    g.alert('offRoute')
+    g.maneuver(turn(1, 'Elm St'), 400)
+    g.alert('checkIn')
+    g.update({ mode: 'alerts' })
+    await backend.finish()
+    await backend.finish()
+    expect(backend.spoken).toEqual(['Off route. Recalculating.', 'Please check in to let your contacts know you are safe.'])
+    expect(backend.cancel).not.toHaveBeenCalled()
+  })
+
+  it('speaks in the chosen language', () => {
+    const backend = fakeBackend()
+    const g = createGuidance({ backend, settings: { lang: 'es' } })
+    expect(g.maneuver(turn(1, 'Calle Mayor'), 25)).toBe('Gira a la izquierda hacia Calle Mayor ahora')
+  })
+})
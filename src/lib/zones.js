@@ -0,0 +1,163 @@
+// Avoid zones and preferred streets the traveller defines, kept in localStorage only.
+// A zone is { id, name, polygon: [[lat, lng], ...], hard, hours } where a hard zone is
+// never entered while another way exists, a soft one costs SOFT_ZONE_PENALTY times more,
+// and hours ('21:00-06:00', or null for always) limits when it applies.
+// Preferred streets are segment ids whose cost is scaled by PREFERRED_FACTOR.
+
+const STORAGE_KEY = 'saferoutes.zones.v1'
+
+export const SOFT_ZONE_PENALTY = 4
+// Hard zones the route cannot avoid still cost this much more than the way around
+export const FORCED_ZONE_PENALTY = 25
+export const PREFERRED_FACTOR = 0.6
+
+// 'HH:MM-HH:MM' -> [fromMin, toMin]; the window may run past midnight
+export function parseZoneHours(text) {
+  const m = /^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/.exec(text)
+  if (!m) throw new Error(`Expected hours like 21:00-06:00, got "${text}"`)
+  const from = Number(m[1]) * 60 + Number(m[2])
+  const to = Number(m[3]) * 60 + Number(m[4])
+  if (from >= 24 * 60 || to > 24 * 60 || Number(m[2]) > 59 || Number(m[4]) > 59) {
+    throw new Error(`Invalid hours "${text}"`)
+  }
+  return [from, to]
+}
+
+export function zoneActiveAt(zone, at) {
+  if (!zone.hours) return true
+  const [from, to] = parseZoneHours(zone.hours)
+  const t = new Date(at)
+  const minute = t.getHours() * 60 + t.getMinutes()
+  return from <= to ? minute >= from && minute < to : minute >= from || minute < to
+}
+
+// Ray casting on lat/lng, fine at city scale
+export function pointInPolygon([lat, lng], polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [yi, xi] = polygon[i]
+    const [yj, xj] = polygon[j]
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+const linesCross = (a, b, c, d) => cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0
+
+// Does a polyline enter the polygon (a vertex inside, or an edge crossing its border)?
+export function polylineEntersPolygon(coords, polygon) {
+  if (coords.some((p) => pointInPolygon(p, polygon))) return true
+  for (let i = 0; i < coords.length - 1; i++) {
+    for (let j = 0, k = polygon.length - 1; j < polygon.length; k = j++) {
+      if (linesCross(coords[i], coords[i + 1], polygon[k], polygon[j])) return true
+    }
+  }
+  return false
+}
+
+// Zones each segment enters: Map segment id -> [zone]
+export function zonesBySegment(network, zones) {
+  const out = new Map()
+  if (zones.length === 0) return out
+  network.streets.forEach((st) => st.segments.forEach((seg) => {
+    const hit = zones.filter((z) => polylineEntersPolygon(seg.coords, z.polygon))
+    if (hit.length > 0) out.set(seg.id, hit)
+  }))
+  return out
+}
+
+export const activeZones = (zones, at) => (zones ? zones.filter((z) => zoneActiveAt(z, at)) : [])
+
+// Wraps a profile so its edge weights honour the zones and preferred streets carried in
+// the segment state (avoidZones: zones active when the edge is reached, preferred).
+// With strict off, hard zones become a steep penalty instead of a wall.
+export function withUserZones(profile, { strict = true } = {}) {
+  return {
+    ...profile,
+    weight: (s, seg) => {
+      const base = profile.weight(s, seg)
+      const zones = s.avoidZones || []
+      if (zones.some((z) => z.hard) && strict) return Infinity
+      const penalty = zones.reduce((a, z) => a * (z.hard ? FORCED_ZONE_PENALTY : SOFT_ZONE_PENALTY), 1)
+      return base * penalty * (s.preferred ? PREFERRED_FACTOR : 1)
+    },
+  }
+}
+
+function memoryStorage() {
+  const data = new Map()
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+  }
+}
+
+const EMPTY = { zones: [], preferred: [] }
+
+export function createZoneStore({ storage = globalThis.localStorage || memoryStorage(), key = STORAGE_KEY } = {}) {
+  const listeners = new Set()
+  let cache = null
+
+  const read = () => {
+    if (cache) return cache
+    try {
+      const parsed = JSON.parse(storage.getItem(key) || 'null')
+      cache = parsed && Array.isArray(parsed.zones) && Array.isArray(parsed.preferred) ? parsed : EMPTY
+    } catch (e) {
+      cache = EMPTY
+    }
+    return cache
+  }
+
+  const write = (next) => {
+    cache = next
+    try {
+      storage.setItem(key, JSON.stringify(next))
+    } catch (e) {
+      // quota exceeded or storage disabled: keep the in-memory copy
+    }
+    listeners.forEach((fn) => fn())
+  }
+
+  return {
+    getSnapshot: () => read(),
+    addZone(zone) {
+      if (zone.polygon.length < 3) throw new Error('A zone needs at least three corners')
+      if (zone.hours) parseZoneHours(zone.hours)
+      const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: zone.name || `Zone ${read().zones.length + 1}`,
+        hard: !!zone.hard,
+        hours: zone.hours || null,
+        polygon: zone.polygon,
+      }
+      write({ ...read(), zones: [...read().zones, entry] })
+      return entry
+    },
+    updateZone(id, patch) {
+      if (patch.hours) parseZoneHours(patch.hours)
+      write({ ...read(), zones: read().zones.map((z) => (z.id === id ? { ...z, ...patch } : z)) })
+    },
+    removeZone(id) {
+      write({ ...read(), zones: read().zones.filter((z) => z.id !== id) })
+    },
+    togglePreferred(segId) {
+      const { preferred } = read()
+      write({ ...read(), preferred: preferred.includes(segId) ? preferred.filter((id) => id !== segId) : [...preferred, segId] })
+    },
+    clearPreferred() {
+      write({ ...read(), preferred: [] })
+    },
+    clear() {
+      write(EMPTY)
+    },
+    subscribe(fn) {
+      listeners.add(fn)
+      return () => listeners.delete(fn)
+    },
+  }
+}
+
+// Shared store used by the map and the preferences panel
+export const zoneStore = createZoneStore()
@@ -3,8 +3,12 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App'
 import Test from './Test'
+import { registerServiceWorker } from './lib/offline'
 import './index.css'
 
+// Offline shell and tile cache; skipped in dev so the worker never serves stale modules
+if (import.meta.env.PROD) registerServiceWorker()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>